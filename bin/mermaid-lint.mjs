@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// Lint Mermaid diagrams from the command line, e.g. in a pre-commit hook.
+// .mmd/.mermaid files are linted as one diagram; .md/.markdown files are linted
+// per ```mermaid block, with line numbers reported relative to the Markdown file.
+// Exit code: 0 without error-severity issues, 1 with them, 2 on usage or read errors.
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { analyzeMermaidCode, findMermaidBlocks } from '../mermaid-lint.mjs';
+
+const USAGE = `Usage: mermaid-lint [--format human|json] <file...>
+
+Lint Mermaid diagrams in .mmd files and in the \`\`\`mermaid blocks of .md files.
+
+Options:
+  -f, --format <name>  Output format: "human" (default) or "json"
+  -h, --help           Show this help
+
+Exit code: 0 when no errors were found, 1 when there are errors,
+2 for usage or file read errors. Warnings and info do not fail the run.`;
+
+const FORMATS = ['human', 'json'];
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Issues for one file's text, with lines relative to the file
+ */
+function lintText(text, file) {
+  const ext = path.extname(file).toLowerCase();
+  const blocks = MARKDOWN_EXTENSIONS.includes(ext) ? findMermaidBlocks(text) : [{ code: text, line: 1 }];
+  return blocks.flatMap((block) => analyzeMermaidCode(block.code).map((issue) => ({
+    line: issue.line ? issue.line + block.line - 1 : 0,
+    column: issue.column,
+    severity: issue.severity,
+    rule: issue.type,
+    message: issue.message,
+    suggestion: issue.suggestion || null
+  })));
+}
+
+function countBySeverity(issues) {
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, 0]));
+  issues.forEach((issue) => { counts[issue.severity] = (counts[issue.severity] || 0) + 1; });
+  return counts;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+function formatHuman(results) {
+  const out = [];
+  for (const { file, issues } of results) {
+    for (const issue of issues) {
+      out.push(`${file}:${issue.line}:${issue.column}  ${issue.severity.padEnd(7)}  ${issue.message}  [${issue.rule}]`);
+    }
+  }
+  const counts = countBySeverity(results.flatMap((r) => r.issues));
+  const total = counts.error + counts.warning + counts.info;
+  const files = plural(results.length, 'file');
+  out.push(total
+    ? `${plural(total, 'problem')} (${plural(counts.error, 'error')}, ${plural(counts.warning, 'warning')}, ${counts.info} info) in ${files}`
+    : `No problems found in ${files}`);
+  return out.join('\n');
+}
+
+function formatJson(results) {
+  return JSON.stringify(results.map(({ file, issues }) => {
+    const counts = countBySeverity(issues);
+    return {
+      file,
+      errorCount: counts.error,
+      warningCount: counts.warning,
+      infoCount: counts.info,
+      issues
+    };
+  }), null, 2);
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'human' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    console.error(`mermaid-lint: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals: files } = options;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!FORMATS.includes(values.format)) {
+    console.error(`mermaid-lint: unknown format "${values.format}" (expected ${FORMATS.join(' or ')})`);
+    return 2;
+  }
+  if (!files.length) {
+    console.error(`mermaid-lint: no files given\n\n${USAGE}`);
+    return 2;
+  }
+
+  const results = [];
+  let readFailed = false;
+  for (const file of files) {
+    try {
+      results.push({ file, issues: lintText(await readFile(file, 'utf8'), file) });
+    } catch (err) {
+      console.error(`mermaid-lint: cannot read ${file}: ${err.message}`);
+      readFailed = true;
+    }
+  }
+
+  if (results.length) console.log(values.format === 'json' ? formatJson(results) : formatHuman(results));
+  if (readFailed) return 2;
+  return results.some((r) => r.issues.some((issue) => issue.severity === 'error')) ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
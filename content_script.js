@@ -0,0 +1,271 @@
+// Detect Mermaid code blocks on the page and attach an "Open diagram" badge to each.
+// Badges live in a fixed-position overlay inside a closed shadow root, so the page's
+// own layout and styles are never touched.
+(() => {
+  if (window.__mermaidBadgesLoaded) return;
+  window.__mermaidBadgesLoaded = true;
+
+  // Elements whose text content is Mermaid source
+  const BLOCK_SELECTORS = [
+    'pre > code.language-mermaid',
+    'pre > code.lang-mermaid',
+    'pre.language-mermaid',
+    'pre.lang-mermaid',
+    'pre[lang="mermaid"]',
+    'pre.mermaid',
+    'div.mermaid'
+  ].join(',');
+  // ```mermaid fences left as plain text (raw Markdown, unrendered chat messages)
+  const FENCE = /^[ \t]*```[ \t]*mermaid[^\n]*\n([\s\S]*?)\n[ \t]*```/gim;
+  const SCAN_DELAY = 400;
+  const BADGE_INSET = 6;
+
+  const host = location.hostname;
+  let enabled = false;
+  let overlayHost = null;
+  let overlayRoot = null;
+  let observer = null;
+  let scanTimer = null;
+  let positionPending = false;
+  let seen = new WeakSet();
+  // { el, range, badge } — range marks a fence start inside a larger <pre>
+  let blocks = [];
+
+  const BADGE_CSS = `
+    :host { all: initial; }
+    .badge {
+      position: fixed;
+      top: 0;
+      left: 0;
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+      height: 22px;
+      padding: 0 8px;
+      border: 1px solid rgba(59, 130, 246, 0.55);
+      border-radius: 9999px;
+      background: rgba(255, 255, 255, 0.92);
+      color: #1d4ed8;
+      font: 600 11px/1 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+      box-shadow: 0 1px 2px rgba(2, 6, 23, 0.12);
+      cursor: pointer;
+      opacity: 0.7;
+      pointer-events: auto;
+      transition: opacity .15s ease, background .15s ease;
+    }
+    .badge:hover, .badge:focus-visible { opacity: 1; background: #fff; }
+    .badge:focus-visible { outline: none; box-shadow: 0 0 0 2px rgba(59, 130, 246, 0.55); }
+    .badge[hidden] { display: none; }
+    .badge svg { width: 12px; height: 12px; }
+    @media (prefers-color-scheme: dark) {
+      .badge { background: rgba(15, 23, 42, 0.92); color: #93c5fd; }
+      .badge:hover, .badge:focus-visible { background: #0f172a; }
+    }
+  `;
+
+  const BADGE_ICON = '<svg viewBox="0 0 24 24" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="7" height="7" rx="1"/><rect x="14" y="14" width="7" height="7" rx="1"/><path d="M6.5 10v4a3 3 0 0 0 3 3H14"/></svg>';
+
+  function ensureOverlay() {
+    if (overlayHost && overlayHost.isConnected) return;
+    overlayHost = document.createElement('div');
+    overlayHost.setAttribute('data-mermaid-badges', '');
+    // Zero-size fixed host: takes no space in the page flow
+    overlayHost.style.cssText = 'position:fixed;top:0;left:0;width:0;height:0;z-index:2147483646;pointer-events:none;';
+    overlayRoot = overlayHost.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = BADGE_CSS;
+    overlayRoot.appendChild(style);
+    document.documentElement.appendChild(overlayHost);
+  }
+
+  function createBadge(getSource) {
+    const badge = document.createElement('button');
+    badge.type = 'button';
+    badge.className = 'badge';
+    badge.title = 'Open this Mermaid block in the diagram viewer';
+    badge.innerHTML = `${BADGE_ICON}<span>Open diagram</span>`;
+    badge.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      openDiagram(getSource());
+    });
+    overlayRoot.appendChild(badge);
+    return badge;
+  }
+
+  function openDiagram(source) {
+    if (!source || !source.trim()) return;
+    const orphaned = (err) => {
+      // Extension was reloaded/updated; this page's content script is orphaned
+      console.warn('Mermaid badges: extension context unavailable', err);
+      teardown();
+    };
+    try {
+      // sendMessage rejects asynchronously when the service worker is gone or never answers
+      chrome.runtime.sendMessage({ type: 'open-mermaid', code: source }).catch((err) => {
+        if (/context invalidated/i.test(err?.message || '')) orphaned(err);
+        else console.warn('Mermaid badges: could not open the viewer', err);
+      });
+    } catch (err) {
+      orphaned(err);
+    }
+  }
+
+  // Map a character offset inside root.textContent to a one-character Range
+  function rangeAtOffset(root, offset) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let pos = 0;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const len = node.nodeValue.length;
+      if (offset < pos + len) {
+        const range = document.createRange();
+        range.setStart(node, offset - pos);
+        range.setEnd(node, offset - pos + 1);
+        return range;
+      }
+      pos += len;
+    }
+    return null;
+  }
+
+  function fenceSources(text) {
+    const out = [];
+    FENCE.lastIndex = 0;
+    let m;
+    while ((m = FENCE.exec(text))) {
+      out.push({ index: m.index + m[0].indexOf('`'), source: m[1] });
+    }
+    return out;
+  }
+
+  function isEditable(el) {
+    return !!(el.closest && el.closest('[contenteditable=""], [contenteditable="true"], textarea'));
+  }
+
+  function scanElementBlocks() {
+    for (const match of document.querySelectorAll(BLOCK_SELECTORS)) {
+      const el = match.matches('code') ? match.parentElement : match;
+      if (!el || seen.has(el) || isEditable(el)) continue;
+      // Already-rendered <div class="mermaid"> keeps only the SVG, not the source
+      if (match.querySelector('svg')) continue;
+      if (!match.textContent.trim()) continue;
+      seen.add(el);
+      // The page's own Mermaid may replace the source with its SVG after the scan;
+      // fall back to the source seen here once it has
+      const source = match.textContent;
+      const getSource = () => (match.querySelector('svg') ? source : match.textContent);
+      blocks.push({ el, range: null, badge: createBadge(getSource) });
+    }
+  }
+
+  function scanFencedBlocks() {
+    for (const pre of document.querySelectorAll('pre')) {
+      if (seen.has(pre) || isEditable(pre)) continue;
+      const text = pre.textContent;
+      if (!text.includes('```')) continue;
+      const fences = fenceSources(text);
+      if (!fences.length) continue;
+      seen.add(pre);
+      fences.forEach((fence, i) => {
+        const range = rangeAtOffset(pre, fence.index);
+        // Re-read on click so edits made after the scan are picked up
+        const getSource = () => {
+          const current = fenceSources(pre.textContent)[i];
+          return current ? current.source : fence.source;
+        };
+        blocks.push({ el: pre, range, badge: createBadge(getSource) });
+      });
+    }
+  }
+
+  function scan() {
+    scanTimer = null;
+    if (!enabled || !document.body) return;
+    ensureOverlay();
+    pruneDetached();
+    scanElementBlocks();
+    scanFencedBlocks();
+    schedulePosition();
+  }
+
+  function scheduleScan() {
+    if (scanTimer) return;
+    scanTimer = setTimeout(scan, SCAN_DELAY);
+  }
+
+  function pruneDetached() {
+    blocks = blocks.filter((block) => {
+      if (block.el.isConnected) return true;
+      block.badge.remove();
+      seen.delete(block.el);
+      return false;
+    });
+  }
+
+  function positionBadges() {
+    positionPending = false;
+    const vw = document.documentElement.clientWidth;
+    const vh = document.documentElement.clientHeight;
+    for (const block of blocks) {
+      const rect = block.el.getBoundingClientRect();
+      const anchorTop = block.range ? block.range.getBoundingClientRect().top : rect.top;
+      const visible = rect.width > 0 && rect.height > 0 && rect.bottom > 0 && rect.top < vh && rect.right > 0 && rect.left < vw;
+      block.badge.hidden = !visible;
+      if (!visible) continue;
+      const w = block.badge.offsetWidth;
+      const left = Math.max(rect.left + BADGE_INSET, Math.min(vw - w - BADGE_INSET, rect.right - w - BADGE_INSET));
+      const top = Math.max(rect.top, anchorTop) + BADGE_INSET;
+      block.badge.style.transform = `translate(${Math.round(left)}px, ${Math.round(top)}px)`;
+    }
+  }
+
+  function schedulePosition() {
+    if (positionPending) return;
+    positionPending = true;
+    requestAnimationFrame(positionBadges);
+  }
+
+  function start() {
+    if (enabled) return;
+    enabled = true;
+    observer = new MutationObserver(scheduleScan);
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    window.addEventListener('scroll', schedulePosition, { capture: true, passive: true });
+    window.addEventListener('resize', schedulePosition, { passive: true });
+    scan();
+  }
+
+  function teardown() {
+    enabled = false;
+    if (observer) observer.disconnect();
+    observer = null;
+    if (scanTimer) clearTimeout(scanTimer);
+    scanTimer = null;
+    window.removeEventListener('scroll', schedulePosition, { capture: true });
+    window.removeEventListener('resize', schedulePosition);
+    if (overlayHost) overlayHost.remove();
+    overlayHost = null;
+    overlayRoot = null;
+    blocks = [];
+    seen = new WeakSet();
+  }
+
+  function applySiteSetting(disabledSites) {
+    const disabled = Array.isArray(disabledSites) && disabledSites.includes(host);
+    if (disabled) teardown();
+    else start();
+  }
+
+  try {
+    chrome.storage.local.get('badgeDisabledSites', ({ badgeDisabledSites }) => {
+      applySiteSetting(badgeDisabledSites);
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.badgeDisabledSites) {
+        applySiteSetting(changes.badgeDisabledSites.newValue);
+      }
+    });
+  } catch (err) {
+    console.warn('Mermaid badges: storage unavailable', err);
+  }
+})();
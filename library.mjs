@@ -0,0 +1,112 @@
+// Persistent diagram library backed by IndexedDB.
+// Entries: { id, title, code, type, tags[], theme, structure, sourceUrl, sourceTitle, createdAt, updatedAt }
+
+const DB_NAME = 'merdia-library';
+const DB_VERSION = 1;
+const STORE = 'diagrams';
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // Allow a retry after a failed open (e.g. blocked by another version)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function request(mode, fn) {
+  return openDb().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+function newId() {
+  if (crypto && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  return `lib-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Normalize a comma/space separated string (or array) into unique lowercase tags
+ */
+export function parseTags(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(/[,\n]/);
+  const tags = list.map((t) => String(t).trim().replace(/^#/, '').toLowerCase()).filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+/**
+ * All entries, most recently updated first
+ */
+export async function listDiagrams() {
+  const all = await request('readonly', (store) => store.getAll());
+  return (all || []).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+export function getDiagram(id) {
+  return request('readonly', (store) => store.get(id));
+}
+
+/**
+ * Insert or update an entry. Pass an existing id to update; returns the stored entry.
+ */
+export async function saveDiagram(entry) {
+  const now = Date.now();
+  const existing = entry.id ? await getDiagram(entry.id) : null;
+  const record = {
+    ...(existing || {}),
+    ...entry,
+    id: entry.id || newId(),
+    tags: parseTags(entry.tags),
+    createdAt: (existing && existing.createdAt) || now,
+    updatedAt: now
+  };
+  await request('readwrite', (store) => store.put(record));
+  return record;
+}
+
+export function deleteDiagram(id) {
+  return request('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Filter entries by a free-text query matched against title, source, type, tags
+ * and content. "tag:foo" and "type:sequenceDiagram" terms filter on those fields only.
+ */
+export function searchDiagrams(entries, query) {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return entries;
+  return entries.filter((entry) => terms.every((term) => {
+    if (term.startsWith('tag:')) {
+      const tag = term.slice(4);
+      return (entry.tags || []).some((t) => t.includes(tag));
+    }
+    if (term.startsWith('type:')) {
+      return String(entry.type || '').toLowerCase().includes(term.slice(5));
+    }
+    const haystack = [entry.title, entry.type, entry.sourceTitle, entry.sourceUrl, (entry.tags || []).join(' '), entry.code]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+    return haystack.includes(term);
+  }));
+}
@@ -0,0 +1,3445 @@
+// Headless Mermaid lint engine, diagram structure model and source text helpers.
+// Nothing here touches the DOM or chrome.*, so the viewer, the service worker,
+// the command-line linter (bin/mermaid-lint.mjs) and the tests all share it.
+
+// ---------- Source text helpers ----------
+
+const FENCE_PATTERNS = {
+  // A whole selection wrapped in one ``` fence (the "mermaid" tag is optional)
+  SINGLE: /^\s*```(?:\s*mermaid)?\s*\n([\s\S]*?)\n```?\s*$/i,
+  // Every ```mermaid block in a larger text, e.g. a Markdown file
+  BLOCK: /^[ \t]*```[ \t]*mermaid[^\n]*\n([\s\S]*?)\n[ \t]*```/gim
+};
+
+/**
+ * Remove ```mermaid fences if present; keep inner content intact
+ */
+export function stripFences(text) {
+  const m = text.match(FENCE_PATTERNS.SINGLE);
+  return m ? m[1] : text;
+}
+
+/**
+ * Every ```mermaid block in text as { code, line }, where line is the 1-based
+ * line of the block's first code line in text. Empty blocks are skipped.
+ */
+export function findMermaidBlocks(text) {
+  const blocks = [];
+  const fence = new RegExp(FENCE_PATTERNS.BLOCK);
+  let m;
+  while ((m = fence.exec(text))) {
+    if (!m[1].trim()) continue;
+    const codeStart = m.index + m[0].indexOf('\n') + 1;
+    blocks.push({ code: m[1], line: text.slice(0, codeStart).split('\n').length });
+  }
+  return blocks;
+}
+
+/**
+ * Pull every ```mermaid block out of a selection (e.g. a whole README section).
+ * Falls back to the single-fence/raw behaviour when no mermaid fences are found.
+ */
+export function extractMermaidBlocks(text) {
+  const blocks = findMermaidBlocks(text).map((block) => block.code);
+  return blocks.length ? blocks : [stripFences(text)];
+}
+
+// Index of the line holding the diagram keyword, skipping blank lines, %% comments
+// and a leading --- frontmatter block; -1 when there is none
+export function findDiagramHeader(lines) {
+  let i = 0;
+  while (i < lines.length && !lines[i].trim()) i++;
+  if (i < lines.length && lines[i].trim() === '---') {
+    const close = lines.findIndex((line, j) => j > i && line.trim() === '---');
+    if (close === -1) return -1;
+    i = close + 1;
+  }
+  for (; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (trimmed && !trimmed.startsWith('%%')) return i;
+  }
+  return -1;
+}
+
+// First keyword of the source, e.g. "flowchart", "sequenceDiagram"
+export function detectDiagramType(src) {
+  const lines = (src || '').split(/\r?\n/);
+  const header = findDiagramHeader(lines);
+  const m = header === -1 ? null : lines[header].trim().match(/^([A-Za-z][\w-]*)/);
+  return m ? m[1] : '';
+}
+
+/**
+ * Blank out labels so IDs inside them are not mistaken for references:
+ * quoted strings, |edge labels|, bracketed shape text (the outer brackets are
+ * kept), %% comments and, outside flowcharts, everything after the first colon.
+ * The result has the same length as the input so offsets still line up.
+ */
+export function maskSourceLine(line, kind) {
+  let out = '';
+  let depth = 0;
+  let quoted = false;
+  let piped = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    const free = !quoted && !piped && depth === 0;
+    if (free && line.startsWith('%%', i)) return out + ' '.repeat(line.length - i);
+    if (free && ch === ':' && kind !== 'flowchart') return out + ':' + ' '.repeat(line.length - i - 1);
+    if (ch === '"') { quoted = !quoted; out += ' '; continue; }
+    if (quoted) { out += ' '; continue; }
+    if (depth === 0 && ch === '|') { piped = !piped; out += ' '; continue; }
+    if (piped) { out += ' '; continue; }
+    if ('[({'.includes(ch)) { depth++; out += depth === 1 ? ch : ' '; continue; }
+    if (depth > 0 && ')]}'.includes(ch)) { depth--; out += depth === 0 ? ch : ' '; continue; }
+    out += depth > 0 ? ' ' : ch;
+  }
+  return out;
+}
+
+const ACC_PATTERNS = {
+  TITLE: /^accTitle\s*:\s*(.*)$/,
+  DESCR: /^accDescr\s*:\s*(.*)$/,
+  // "accDescr { ... }" on one line or spread over several
+  DESCR_BLOCK: /^accDescr\s*\{(.*)$/
+};
+
+/**
+ * Accessible title and description from a diagram's accTitle/accDescr
+ * statements: { title, description, titleLine, descriptionLine, lineNums }.
+ * Lines are 1-based (0 when the statement is missing); lineNums holds every
+ * line the statements take up, all of a multi-line accDescr block included,
+ * so analyzers can skip them.
+ */
+export function findAccessibilityText(lines) {
+  const acc = { title: '', description: '', titleLine: 0, descriptionLine: 0, lineNums: new Set() };
+  const header = findDiagramHeader(lines);
+  if (header === -1) return acc;
+  for (let i = header + 1; i < lines.length; i++) {
+    const text = lines[i].trim();
+    let m;
+    if ((m = text.match(ACC_PATTERNS.TITLE))) {
+      acc.title = m[1].trim();
+      acc.titleLine = i + 1;
+      acc.lineNums.add(i + 1);
+    } else if ((m = text.match(ACC_PATTERNS.DESCR))) {
+      acc.description = m[1].trim();
+      acc.descriptionLine = i + 1;
+      acc.lineNums.add(i + 1);
+    } else if ((m = text.match(ACC_PATTERNS.DESCR_BLOCK))) {
+      const body = [m[1]];
+      acc.descriptionLine = i + 1;
+      acc.lineNums.add(i + 1);
+      while (!body[body.length - 1].includes('}') && i + 1 < lines.length) {
+        i++;
+        body.push(lines[i]);
+        acc.lineNums.add(i + 1);
+      }
+      const last = body.length - 1;
+      body[last] = body[last].slice(0, body[last].indexOf('}') === -1 ? undefined : body[last].indexOf('}'));
+      acc.description = body.map((line) => line.trim()).filter(Boolean).join(' ');
+    }
+  }
+  return acc;
+}
+
+// ---------- Opt-in source repair ----------
+// A conservative repair (quoting flowchart labels that contain special characters)
+// that the viewer offers when Mermaid rejects the source.
+
+const REPAIR_CONFIG = {
+  // Node shape delimiters, longest opener first so "((" wins over "("
+  SHAPES: [
+    { open: '(((', close: [')))'] },
+    { open: '[[', close: [']]'] },
+    { open: '[(', close: [')]'] },
+    { open: '[/', close: ['/]', '\\]'] },
+    { open: '[\\', close: ['\\]', '/]'] },
+    { open: '((', close: ['))'] },
+    { open: '([', close: ['])'] },
+    { open: '{{', close: ['}}'] },
+    { open: '[', close: [']'] },
+    { open: '(', close: [')'] },
+    { open: '{', close: ['}'] },
+    { open: '>', close: [']'] }
+  ],
+  // Characters that break unquoted labels
+  SPECIAL_CHARS: /[()[\]{}|;"]/,
+  // What may follow a shape's closing delimiter on the same line
+  LABEL_END: /^\s*(?:$|%%|;|&|:::|[<xo]?(?:--|==|-\.|~~))/,
+  // Text before a "|label|" edge label
+  EDGE_BEFORE_LABEL: /(?:[-=.]{2,}|[-=.]>)[>ox]?\s*$/,
+  SKIP_LINE: /^(?:%%|classDef\b|class\b|style\b|linkStyle\b|click\b)/,
+  NODE_ID: /[A-Za-z0-9_]+/y
+};
+
+/**
+ * Quote a label when it contains characters Mermaid cannot take unquoted.
+ * Inner double quotes become the #quot; entity.
+ */
+function quoteRepairLabel(label) {
+  const trimmed = label.trim();
+  if (trimmed.length > 1 && trimmed.startsWith('"') && trimmed.endsWith('"')) return label;
+  if (!REPAIR_CONFIG.SPECIAL_CHARS.test(label)) return label;
+  return `"${label.replace(/"/g, '#quot;')}"`;
+}
+
+function findShapeClose(line, from, closers) {
+  for (let p = from; p < line.length; p++) {
+    for (const close of closers) {
+      if (line.startsWith(close, p) && REPAIR_CONFIG.LABEL_END.test(line.slice(p + close.length))) {
+        return { index: p, close };
+      }
+    }
+  }
+  return null;
+}
+
+function repairFlowchartLine(line) {
+  if (REPAIR_CONFIG.SKIP_LINE.test(line.trim())) return line;
+  let out = '';
+  let i = 0;
+  while (i < line.length) {
+    const ch = line[i];
+
+    // Already-quoted text is left alone
+    if (ch === '"') {
+      const end = line.indexOf('"', i + 1);
+      const stop = end === -1 ? line.length : end + 1;
+      out += line.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    // Edge label: A -->|label| B
+    if (ch === '|' && REPAIR_CONFIG.EDGE_BEFORE_LABEL.test(out)) {
+      const end = line.indexOf('|', i + 1);
+      if (end !== -1) {
+        out += `|${quoteRepairLabel(line.slice(i + 1, end))}|`;
+        i = end + 1;
+        continue;
+      }
+    }
+
+    // Node id followed by a shape: A[label], B((label)), subgraph S [title]
+    if (i === 0 || !/\w/.test(line[i - 1])) {
+      REPAIR_CONFIG.NODE_ID.lastIndex = i;
+      const idMatch = REPAIR_CONFIG.NODE_ID.exec(line);
+      if (idMatch) {
+        let j = i + idMatch[0].length;
+        if (/^\s*subgraph\s+$/.test(out)) {
+          while (line[j] === ' ') j++;
+        }
+        const shape = REPAIR_CONFIG.SHAPES.find((sh) => line.startsWith(sh.open, j));
+        const closing = shape && findShapeClose(line, j + shape.open.length, shape.close);
+        if (closing) {
+          const label = line.slice(j + shape.open.length, closing.index);
+          out += line.slice(i, j) + shape.open + quoteRepairLabel(label) + closing.close;
+          i = closing.index + closing.close.length;
+          continue;
+        }
+        out += idMatch[0];
+        i += idMatch[0].length;
+        continue;
+      }
+    }
+
+    out += ch;
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Build a repaired copy of the source plus a per-line list of changes.
+ * Only flowcharts are repaired; other diagram types are returned unchanged.
+ */
+export function repairMermaidCode(src) {
+  const type = detectDiagramType(src);
+  if (type !== 'graph' && type !== 'flowchart') return { code: src, changes: [] };
+  const changes = [];
+  const lines = src.split('\n').map((line, idx) => {
+    const fixed = repairFlowchartLine(line);
+    if (fixed !== line) changes.push({ line: idx + 1, before: line, after: fixed });
+    return fixed;
+  });
+  return { code: lines.join('\n'), changes };
+}
+
+// ---------- Mermaid lint analysis ----------
+
+/**
+ * Configuration constants for lint analysis
+ */
+export const LINT_CONFIG = {
+  // Header keyword -> analyzer family
+  DIAGRAM_TYPES: {
+    graph: 'flowchart',
+    flowchart: 'flowchart',
+    'flowchart-elk': 'flowchart',
+    sequenceDiagram: 'sequence',
+    classDiagram: 'class',
+    'classDiagram-v2': 'class',
+    stateDiagram: 'state',
+    'stateDiagram-v2': 'state',
+    erDiagram: 'er',
+    gantt: 'gantt'
+  },
+  VALID_DIRECTIONS: ['TD', 'TB', 'BT', 'RL', 'LR'],
+  MERMAID_KEYWORDS: ['graph', 'flowchart', 'subgraph', 'end', 'TD', 'TB', 'BT', 'RL', 'LR'],
+  TYPO_DETECTION: {
+    MAX_DISTANCE: 2,
+    MAX_LENGTH_DIFF: 2,
+    MIN_NODE_LENGTH: 2,
+    // A1/A2, step3/step4: same prefix, different trailing number
+    IGNORE_NUMBERED: true
+  },
+  PATTERNS: {
+    DIRECTION: /^(graph|flowchart)\s+([A-Z]{1,2})\b/i,
+    SUBGRAPH_START: /^\s*subgraph\b/i,
+    SUBGRAPH_END: /^\s*end\s*$/i,
+    // %% lint-disable [rules] (whole file) / %% lint-disable-next-line [rules]
+    SUPPRESSION: /^%%\s*lint-disable(-next-line)?(?:\s+(.*))?$/
+  },
+  FLOWCHART: {
+    // Lines that are not node or link statements
+    STATEMENT_KEYWORDS: ['classDef', 'class', 'style', 'linkStyle', 'click', 'subgraph', 'end', 'direction',
+      'accTitle', 'accDescr', 'title'],
+    HOTSPOT_MIN_FANOUT: 3,
+    HOTSPOT_COUNT: 3,
+    PATTERNS: {
+      // Everything after "graph TD" on the header line
+      HEADER: /^\s*(?:graph|flowchart(?:-elk)?)\b(?:\s+[A-Za-z]{2}\b)?\s*;?(.*)$/,
+      SUBGRAPH: /^subgraph\s+([\w$-]+)?/,
+      CLASS_DEF: /^classDef\s+([\w,-]+)/,
+      CLASS_ASSIGN: /^class\s+([\w$,\s-]+?)\s+([\w,-]+)$/,
+      STYLE: /^style\s+([\w$-]+)/,
+      // Applied to masked text: labels are blanked, outer brackets kept
+      NODE_ID: /^([\w$]+(?:-[\w$]+)*)/,
+      NODE_SHAPE: /^(?:\[[^\]]*\]|\([^)]*\)|\{[^}]*\}|>[^\]]*\]|@\{[^}]*\})/,
+      NODE_CLASS: /^:::([\w-]+)/,
+      EDGE_ID: /^[\w$]+@(?=[<ox=.~-])/,
+      // "-- text -->", "== text ==>", "-. text .->"
+      LINK_WITH_TEXT: /^[<ox]?(?:--|==|-\.)\s(?:.*?)(?:-{2,}|={2,}|\.-+)(?:>|[ox](?=\s))?\s*/,
+      LINK: /^[<ox]?(?:-{2,}|={2,}|-\.+-|~{3,})(?:>|[ox](?=\s))?\s*/
+    }
+  },
+  SEQUENCE: {
+    // Blocks closed by "end"
+    BLOCKS: ['alt', 'opt', 'loop', 'par', 'par_over', 'critical', 'break', 'rect', 'box'],
+    // Branch keyword -> blocks it may appear in
+    BRANCHES: { else: ['alt'], and: ['par', 'par_over'], option: ['critical'] },
+    ARROWS: ['->>', '-->>', '->', '-->', '-x', '--x', '-)', '--)', '<<->>', '<<-->>'],
+    // Lines starting with these are never messages
+    STATEMENT_KEYWORDS: ['participant', 'actor', 'create', 'destroy', 'activate', 'deactivate', 'note', 'autonumber',
+      'title', 'acctitle', 'accdescr', 'link', 'links', 'properties', 'details', 'alt', 'else', 'opt', 'loop', 'par',
+      'par_over', 'and', 'critical', 'option', 'break', 'rect', 'box', 'end'],
+    PATTERNS: {
+      HEADER: /^sequenceDiagram\b/,
+      DECLARATION: /^(?:create\s+)?(participant|actor)\s+(.+?)(?:\s+as\s+.*)?$/,
+      ACTIVATION: /^(activate|deactivate)\s+(.+)$/,
+      NOTE: /^note\s+(?:left of|right of|over)\s+([^:]+):/i,
+      DESTROY: /^destroy\s+(.+)$/,
+      // From, arrow (longest first), +/- activation marker, To
+      MESSAGE: /^([^:]+?)\s*(<<-->>|<<->>|-->>|->>|-->|->|--x|-x|--\)|-\))\s*([+-]?)\s*([^\s<>=.)+-][^:]*?)\s*:/,
+      // Anything shaped like a message whose arrow is not one of the above
+      MESSAGE_LOOSE: /^([^:<>=]+?)\s*((?:[<>=.-]|\))*[<>=-](?:[<>=.-]|\))*x?)\s*[+-]?\s*([^\s:<>=.)+-][^:]*?)\s*:/
+    }
+  },
+  CLASS: {
+    VISIBILITY: ['+', '-', '#', '~'],
+    // Written-out modifiers people carry over from code -> Mermaid's marker
+    VISIBILITY_WORDS: { public: '+', private: '-', protected: '#', package: '~', internal: '~' },
+    // Statements that never define classes or members
+    STATEMENT_KEYWORDS: ['classDef', 'style', 'cssClass', 'click', 'link', 'callback', 'direction', 'note',
+      'title', 'accTitle', 'accDescr'],
+    PATTERNS: {
+      CLASS: /^class\s+([A-Za-z_]\w*)[^{]*?(\{)?\s*$/,
+      NAMESPACE: /^namespace\s+[\w.]+\s*\{\s*$/,
+      // Name, optional "cardinality", arrow, optional "cardinality", name, optional : label
+      RELATION: /^([A-Za-z_]\w*)(?:~[^~]*~)?\s*(?:"[^"]*"\s*)?((?:<\||\*|o|<)?(?:--|\.\.)(?:\|>|\*|o|>)?)\s*(?:"[^"]*"\s*)?([A-Za-z_]\w*)(?:~[^~]*~)?\s*(?::.*)?$/,
+      MEMBER: /^([A-Za-z_]\w*)\s*:\s*(.+)$/,
+      ANNOTATION: /^<<[^>]*>>/
+    }
+  },
+  STATE: {
+    // Statements that never declare states
+    STATEMENT_KEYWORDS: ['direction', 'classDef', 'class', 'style', 'title', 'accTitle', 'accDescr', 'click', 'hide'],
+    PATTERNS: {
+      COMPOSITE: /^state\s+(?:"[^"]*"\s+as\s+)?(\w+)\s*(?:<<\w+>>\s*)?\{\s*$/,
+      DECLARATION: /^state\s+(?:"[^"]*"\s+as\s+)?(\w+)/,
+      TRANSITION: /^(\[\*\]|\w+)(?::::\w+)?\s*-->\s*(\[\*\]|\w+)(?::::\w+)?\s*(?::.*)?$/,
+      NOTE: /^note\s+(?:left|right)\s+of\s+(\w+)\s*(:)?/,
+      NOTE_END: /^end\s+note$/,
+      DESCRIPTION: /^(\w+)\s*:/,
+      BARE: /^(\w+)(?::::\w+)?$/
+    }
+  },
+  ER: {
+    // Crow's foot ends; Mermaid accepts either orientation on both sides
+    CARDINALITIES: ['|o', 'o|', '||', '}o', 'o{', '}|', '|{'],
+    LEFT: ['|o', '||', '}o', '}|'],
+    RIGHT: ['o|', '||', 'o{', '|{'],
+    LINES: ['--', '..'],
+    PATTERNS: {
+      ENTITY_BLOCK: /^("[^"]+"|[\w-]+)(?:\s*\[[^\]]*\])?\s*\{\s*$/,
+      ENTITY: /^("[^"]+"|[\w-]+)(?:\s*\[[^\]]*\])?$/,
+      RELATIONSHIP: /^("[^"]+"|[\w-]+)(?:\s*\[[^\]]*\])?\s+(\S+)\s+("[^"]+"|[\w-]+)(?:\s*\[[^\]]*\])?\s*:/,
+      // Word relationships ("to", aliases such as one or more) are Mermaid's to check;
+      // any other token has to be a symbol pair
+      WORD_TOKEN: /^\w+$/
+    }
+  },
+  GANTT: {
+    DEFAULT_DATE_FORMAT: 'YYYY-MM-DD',
+    // Leading task metadata that is not part of id/start/end
+    TAGS: ['active', 'done', 'crit', 'milestone', 'vert'],
+    STATEMENT_KEYWORDS: ['title', 'dateFormat', 'axisFormat', 'tickInterval', 'excludes', 'includes', 'todayMarker',
+      'weekday', 'weekend', 'inclusiveEndDates', 'topAxis', 'displayMode', 'section', 'click', 'accTitle', 'accDescr'],
+    MONTHS: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October',
+      'November', 'December'],
+    // [literal] or a dayjs token, longest first
+    FORMAT_TOKENS: /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|Do|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|SSS|A|a|X|x|ZZ|Z/g,
+    PATTERNS: {
+      DATE_FORMAT: /^dateFormat\s+(.+)$/,
+      EXCLUDES: /^(?:excludes|includes)\s+(.+)$/,
+      WEEKDAY: /^(?:weekends|monday|tuesday|wednesday|thursday|friday|saturday|sunday)$/i,
+      TASK: /^([^:]+?)\s*:\s*([^#;]+?)\s*$/,
+      AFTER: /^(after)\s+(.+)$/,
+      UNTIL: /^(until)\s+(.+)$/,
+      DURATION: /^\d+(?:\.\d+)?(?:ms|[Mdhmswy])$/
+    }
+  },
+  ACCESSIBILITY: {
+    // Header keywords whose grammar takes accTitle/accDescr
+    DIAGRAMS: ['graph', 'flowchart', 'flowchart-elk', 'sequenceDiagram', 'classDiagram', 'classDiagram-v2',
+      'stateDiagram', 'stateDiagram-v2', 'erDiagram', 'gantt', 'pie', 'journey', 'requirementDiagram', 'gitGraph',
+      'quadrantChart', 'xychart-beta', 'timeline'],
+    // WCAG 2 AA contrast for normal-size text, which node labels are
+    MIN_CONTRAST: 4.5,
+    // Text the scaffold fix inserts when the diagram has no title of its own
+    PLACEHOLDERS: {
+      TITLE: 'Short title of the diagram',
+      DESCRIPTION: 'What the diagram shows, in a sentence or two'
+    },
+    // CSS names people use in style/classDef; anything else is skipped
+    NAMED_COLORS: {
+      black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff', yellow: '#ffff00',
+      orange: '#ffa500', purple: '#800080', pink: '#ffc0cb', brown: '#a52a2a', gold: '#ffd700', gray: '#808080',
+      grey: '#808080', silver: '#c0c0c0', maroon: '#800000', navy: '#000080', teal: '#008080', lime: '#00ff00',
+      aqua: '#00ffff', cyan: '#00ffff', fuchsia: '#ff00ff', magenta: '#ff00ff', olive: '#808000',
+      lightgray: '#d3d3d3', lightgrey: '#d3d3d3', darkgray: '#a9a9a9', darkgrey: '#a9a9a9',
+      lightblue: '#add8e6', darkblue: '#00008b', lightgreen: '#90ee90', darkgreen: '#006400',
+      lightyellow: '#ffffe0', orangered: '#ff4500', crimson: '#dc143c', salmon: '#fa8072', khaki: '#f0e68c'
+    },
+    PATTERNS: {
+      // Everything after the target: "fill:#f9f,stroke:#333,color:#fff"
+      STYLE: /^(?:style|classDef)\s+\S+\s+(.+?)\s*;?\s*$/,
+      // Commas between properties, not the ones inside rgb(...)
+      PROPERTY_SEPARATOR: /,(?![^(]*\))/,
+      FRONTMATTER_TITLE: /^\s*title\s*:\s*(.+?)\s*$/,
+      BODY_TITLE: /^title\s+(.+)$/
+    }
+  },
+  // Default severity of each rule
+  ISSUE_TYPES: {
+    'dangling-edge': { severity: 'error' },
+    'unknown-direction': { severity: 'warning' },
+    'missing-end': { severity: 'warning' },
+    'unexpected-end': { severity: 'warning' },
+    'parse-error': { severity: 'error' },
+    'unclosed-block': { severity: 'error' },
+    'unmatched-end': { severity: 'error' },
+    'misplaced-branch': { severity: 'error' },
+    'inactive-deactivation': { severity: 'error' },
+    'unclosed-activation': { severity: 'warning' },
+    'participant-typo': { severity: 'warning' },
+    'undeclared-participant': { severity: 'info' },
+    'invalid-arrow': { severity: 'error' },
+    'undefined-class': { severity: 'warning' },
+    'duplicate-member': { severity: 'warning' },
+    'invalid-visibility': { severity: 'warning' },
+    'unreachable-state': { severity: 'warning' },
+    'dead-end-state': { severity: 'info' },
+    'unclosed-composite': { severity: 'error' },
+    'unmatched-brace': { severity: 'error' },
+    'invalid-cardinality': { severity: 'error' },
+    'undefined-entity': { severity: 'warning' },
+    'date-format-mismatch': { severity: 'warning' },
+    'invalid-date': { severity: 'error' },
+    'end-before-start': { severity: 'error' },
+    'duplicate-task-id': { severity: 'warning' },
+    'unknown-task-id': { severity: 'error' },
+    'circular-dependency': { severity: 'error' },
+    'isolated-node': { severity: 'warning' },
+    'unreachable-node': { severity: 'warning' },
+    'cycle': { severity: 'info' },
+    'duplicate-edge': { severity: 'warning' },
+    'unknown-style-target': { severity: 'warning' },
+    'unused-classdef': { severity: 'info' },
+    'missing-acc-title': { severity: 'info' },
+    'missing-acc-descr': { severity: 'info' },
+    'low-contrast': { severity: 'warning' }
+  },
+  SEVERITIES: ['error', 'warning', 'info'],
+  // Rules listed in the settings dialog, by diagram type
+  RULE_GROUPS: [
+    {
+      title: 'Flowchart',
+      rules: {
+        'dangling-edge': 'Edge to a node ID that looks like a typo of another node',
+        'unknown-direction': 'Direction other than TD, TB, BT, RL or LR',
+        'missing-end': 'Subgraph without a closing "end"',
+        'unexpected-end': '"end" without an open subgraph',
+        'isolated-node': 'Node without any link',
+        'unreachable-node': 'Node that no path from an entry node (no incoming links) reaches',
+        'cycle': 'Links that loop back to an earlier node',
+        'duplicate-edge': 'The same link declared more than once',
+        'unknown-style-target': 'class/style statement naming an undefined node',
+        'unused-classdef': 'classDef that no node uses'
+      }
+    },
+    {
+      title: 'Sequence diagram',
+      rules: {
+        'unclosed-block': 'alt/opt/loop/par/critical/break/rect/box block without "end"',
+        'unmatched-end': '"end" without an open block',
+        'misplaced-branch': 'else/and/option outside the block it belongs to',
+        'inactive-deactivation': 'Deactivating a participant that is not active',
+        'unclosed-activation': 'Activation that is never closed',
+        'participant-typo': 'Participant name that looks like a typo of another',
+        'undeclared-participant': 'Participant used without being declared',
+        'invalid-arrow': 'Unknown message arrow'
+      }
+    },
+    {
+      title: 'Class diagram',
+      rules: {
+        'undefined-class': 'Relationship to a class that is never defined',
+        'duplicate-member': 'Member declared twice in the same class',
+        'invalid-visibility': 'Visibility other than + - # ~'
+      }
+    },
+    {
+      title: 'State diagram',
+      rules: {
+        'unreachable-state': 'State that no path from [*] reaches',
+        'dead-end-state': 'State with no outgoing transition',
+        'unclosed-composite': 'Composite state without its closing "}"',
+        'unmatched-brace': '"}" without an open composite state'
+      }
+    },
+    {
+      title: 'ER diagram',
+      rules: {
+        'invalid-cardinality': 'Relationship with an unknown cardinality token',
+        'undefined-entity': 'Relationship to an entity whose name looks like a typo of another entity'
+      }
+    },
+    {
+      title: 'Gantt chart',
+      rules: {
+        'date-format-mismatch': 'Date not written in the declared dateFormat',
+        'invalid-date': 'Date that cannot be read or does not exist',
+        'end-before-start': 'Task that ends before it starts',
+        'duplicate-task-id': 'Task ID used more than once',
+        'unknown-task-id': '"after"/"until" naming an unknown task ID',
+        'circular-dependency': 'Tasks that depend on each other in a loop'
+      }
+    },
+    {
+      title: 'Accessibility',
+      rules: {
+        'missing-acc-title': 'Diagram without an accTitle for screen readers',
+        'missing-acc-descr': 'Diagram without an accDescr for screen readers',
+        'low-contrast': 'style/classDef text color below WCAG AA contrast (4.5:1) on its fill'
+      }
+    }
+  ]
+};
+
+/**
+ * Utility functions for lint analysis
+ */
+export const LintUtils = {
+  /**
+   * Calculate Levenshtein distance between two strings
+   */
+  levenshteinDistance(str1, str2) {
+    const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(0));
+    
+    // Initialize first row and column
+    for (let i = 0; i <= str2.length; i++) matrix[i][0] = i;
+    for (let j = 0; j <= str1.length; j++) matrix[0][j] = j;
+    
+    // Fill the matrix
+    for (let i = 1; i <= str2.length; i++) {
+      for (let j = 1; j <= str1.length; j++) {
+        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+          matrix[i][j] = matrix[i - 1][j - 1];
+        } else {
+          matrix[i][j] = Math.min(
+            matrix[i - 1][j - 1] + 1, // substitution
+            matrix[i][j - 1] + 1,     // insertion
+            matrix[i - 1][j] + 1      // deletion
+          );
+        }
+      }
+    }
+    
+    return matrix[str2.length][str1.length];
+  },
+
+  /**
+   * Edit distance where swapping two adjacent characters counts as one edit
+   * (optimal string alignment), so "Strat"/"Start" are one typo apart
+   */
+  typoDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return d[a.length][b.length];
+  },
+
+  /**
+   * Create a standardized lint issue object
+   */
+  createIssue(type, line, column, message, suggestion = null, quickFix = null) {
+    return { type, line, column, message, suggestion, quickFix };
+  },
+
+  /**
+   * Check if a string is a Mermaid keyword
+   */
+  isKeyword(text) {
+    return LINT_CONFIG.MERMAID_KEYWORDS.includes(text);
+  },
+
+  /**
+   * 1-based column of text in a raw line, searching from an optional offset
+   */
+  column(raw, text, from = 0) {
+    const idx = raw.indexOf(text, from);
+    return idx === -1 ? 1 : idx + 1;
+  },
+
+  /**
+   * 1-based column of a whole identifier (not part of a longer one)
+   */
+  wordColumn(raw, word) {
+    for (let i = raw.indexOf(word); i !== -1; i = raw.indexOf(word, i + 1)) {
+      if (!/\w/.test(raw[i - 1] || '') && !/\w/.test(raw[i + word.length] || '')) return i + 1;
+    }
+    return LintUtils.column(raw, word);
+  },
+
+  /**
+   * Leading whitespace of a line, reused for inserted lines
+   */
+  indentOf(raw) {
+    return raw.match(/^\s*/)[0];
+  },
+
+  /**
+   * Index in stack ({ raw } entries) of the block a closer on raw ends: the
+   * innermost opener indented like the closer, else the innermost block
+   */
+  matchingOpener(stack, raw) {
+    const indent = this.indentOf(raw);
+    for (let k = stack.length - 1; k >= 0; k--) {
+      if (this.indentOf(stack[k].raw) === indent) return k;
+    }
+    return stack.length - 1;
+  },
+
+  /**
+   * Line after which the missing closer of a block opened on openLine belongs:
+   * after the last line indented deeper than the opener, stopping before limit
+   * (the first line that cannot be inside the block). Without an indented
+   * body, after the last non-blank line before limit.
+   */
+  closingLine(lines, openLine, limit = lines.length + 1) {
+    const indent = this.indentOf(lines[openLine - 1]).length;
+    let last = 0;
+    for (let n = openLine + 1; n < limit; n++) {
+      const trimmed = lines[n - 1].trim();
+      if (!trimmed || trimmed.startsWith('%%')) continue;
+      if (this.indentOf(lines[n - 1]).length <= indent) break;
+      last = n;
+    }
+    if (last) return last;
+    for (let n = Math.min(limit, lines.length + 1) - 1; n > openLine; n--) {
+      if (lines[n - 1].trim()) return n;
+    }
+    return openLine;
+  },
+
+  /**
+   * Check if two nodes are similar enough to be potential typos
+   */
+  areSimilarNodes(node1, node2) {
+    const { MAX_DISTANCE, MAX_LENGTH_DIFF, IGNORE_NUMBERED } = LINT_CONFIG.TYPO_DETECTION;
+    if (IGNORE_NUMBERED) {
+      const numbered = /^(.*?)(\d+)$/;
+      const a = node1.match(numbered);
+      const b = node2.match(numbered);
+      if (a && b && a[1] === b[1]) return false;
+    }
+    const distance = this.typoDistance(node1.toLowerCase(), node2.toLowerCase());
+    const lengthDiff = Math.abs(node1.length - node2.length);
+    // Short IDs are all a couple of edits apart; require most characters to agree
+    const relative = distance * 2 < Math.max(node1.length, node2.length);
+    
+    return distance <= MAX_DISTANCE && lengthDiff <= MAX_LENGTH_DIFF && relative;
+  }
+};
+
+/**
+ * Individual analyzers for different types of lint issues
+ */
+export const LintAnalyzers = {
+  /**
+   * Analyze graph direction declarations
+   */
+  analyzeDirections(lines) {
+    const issues = [];
+    
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      const lineNum = i + 1;
+      
+      if (!line || line.startsWith('%%')) continue;
+      
+      const match = line.match(LINT_CONFIG.PATTERNS.DIRECTION);
+      if (match) {
+        const direction = match[2].toUpperCase();
+        if (!LINT_CONFIG.VALID_DIRECTIONS.includes(direction)) {
+          const column = line.indexOf(match[2]) + 1;
+          const message = `Unknown direction "${direction}". Valid directions are: ${LINT_CONFIG.VALID_DIRECTIONS.join(', ')}`;
+          const suggestion = `Change "${direction}" to one of: ${LINT_CONFIG.VALID_DIRECTIONS.join(', ')}`;
+          
+          issues.push(LintUtils.createIssue(
+            'unknown-direction',
+            lineNum,
+            column,
+            message,
+            suggestion,
+            {
+              type: 'replace',
+              text: direction,
+              replacements: LINT_CONFIG.VALID_DIRECTIONS
+            }
+          ));
+        }
+      }
+    }
+    
+    return issues;
+  },
+
+  /**
+   * Analyze subgraph structure for missing end statements. An "end" indented
+   * like an outer subgraph closes that one; the subgraphs opened inside it are
+   * the unclosed ones.
+   */
+  analyzeSubgraphs(lines) {
+    const issues = [];
+    const subgraphStack = []; // { lineNum, raw }
+    // Innermost first, so "end"s inserted at the same place nest correctly
+    const reportUnclosed = (open, limit) => issues.push(LintUtils.createIssue(
+      'missing-end',
+      open.lineNum,
+      1,
+      'Subgraph is missing closing "end" statement',
+      'Add "end" statement to close this subgraph',
+      {
+        type: 'add-end',
+        afterLine: LintUtils.closingLine(lines, open.lineNum, limit),
+        indent: LintUtils.indentOf(open.raw)
+      }
+    ));
+    
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      const lineNum = i + 1;
+      
+      if (!line || line.startsWith('%%')) continue;
+      
+      if (LINT_CONFIG.PATTERNS.SUBGRAPH_START.test(line)) {
+        subgraphStack.push({ lineNum, raw: lines[i] });
+      } else if (LINT_CONFIG.PATTERNS.SUBGRAPH_END.test(line)) {
+        if (subgraphStack.length === 0) {
+          issues.push(LintUtils.createIssue(
+            'unexpected-end',
+            lineNum,
+            1,
+            'Unexpected "end" statement - no matching subgraph',
+            'Remove this "end" statement or add a matching subgraph'
+          ));
+        } else {
+          const closed = LintUtils.matchingOpener(subgraphStack, lines[i]);
+          subgraphStack.splice(closed + 1).reverse().forEach((open) => reportUnclosed(open, lineNum));
+          subgraphStack.pop();
+        }
+      }
+    }
+    
+    // Check for unclosed subgraphs
+    subgraphStack.reverse().forEach((open) => reportUnclosed(open, lines.length + 1));
+    
+    return issues;
+  },
+
+  /**
+   * Flowchart statements with labels masked out (see maskSourceLine):
+   * [{ lineNum, raw, text, column, soleStatement }]. Statements after the
+   * header ("graph TD; A-->B") and ";"-separated ones are split apart;
+   * accTitle/accDescr lines are skipped.
+   */
+  flowchartStatements(lines) {
+    const out = [];
+    const header = findDiagramHeader(lines);
+    const acc = findAccessibilityText(lines).lineNums;
+    for (let i = Math.max(header, 0); i < lines.length; i++) {
+      if (acc.has(i + 1)) continue;
+      const raw = lines[i];
+      let masked = maskSourceLine(raw, 'flowchart');
+      if (i === header) {
+        const rest = masked.match(LINT_CONFIG.FLOWCHART.PATTERNS.HEADER);
+        if (!rest) continue;
+        masked = ' '.repeat(masked.length - rest[1].length) + rest[1];
+      }
+      const pieces = [];
+      let offset = 0;
+      for (const piece of masked.split(';')) {
+        const lead = piece.length - piece.trimStart().length;
+        if (piece.trim()) pieces.push({ text: piece.trim(), column: offset + lead + 1 });
+        offset += piece.length + 1;
+      }
+      pieces.forEach((piece) => out.push({ lineNum: i + 1, raw, ...piece, soleStatement: pieces.length === 1 }));
+    }
+    return out;
+  },
+
+  /**
+   * Split "A[x] & B --> C -- text --> D" into node groups joined by links:
+   * { groups: [[{ id, offset, length, shaped, cls }]], links: [{ text, offset, directed, bidirectional }] }
+   * length covers the ID with its shape and :::class.
+   */
+  parseFlowchartChain(text) {
+    const { PATTERNS } = LINT_CONFIG.FLOWCHART;
+    const groups = [];
+    const links = [];
+    let pos = 0;
+    const skipSpace = () => { while (text[pos] === ' ' || text[pos] === '\t') pos++; };
+
+    for (;;) {
+      const group = [];
+      for (;;) {
+        skipSpace();
+        const node = text.slice(pos).match(PATTERNS.NODE_ID);
+        if (!node) break;
+        const entry = { id: node[1], offset: pos, shaped: false, cls: null };
+        pos += node[0].length;
+        const shape = text.slice(pos).match(PATTERNS.NODE_SHAPE);
+        if (shape) {
+          entry.shaped = true;
+          pos += shape[0].length;
+        }
+        const cls = text.slice(pos).match(PATTERNS.NODE_CLASS);
+        if (cls) {
+          entry.cls = cls[1];
+          pos += cls[0].length;
+        }
+        entry.length = pos - entry.offset;
+        group.push(entry);
+        skipSpace();
+        if (text[pos] !== '&') break;
+        pos++;
+      }
+      if (!group.length) break;
+      groups.push(group);
+
+      skipSpace();
+      const edgeId = text.slice(pos).match(PATTERNS.EDGE_ID);
+      if (edgeId) pos += edgeId[0].length;
+      const link = text.slice(pos).match(PATTERNS.LINK_WITH_TEXT) || text.slice(pos).match(PATTERNS.LINK);
+      if (!link) break;
+      const head = link[0].trim();
+      links.push({
+        text: link[0],
+        offset: pos,
+        directed: /[>ox]$/.test(head),
+        bidirectional: /^[<ox]/.test(head) && /[>ox]$/.test(head)
+      });
+      pos += link[0].length;
+    }
+
+    // A trailing link without a target is not an edge
+    links.length = Math.max(0, Math.min(links.length, groups.length - 1));
+    return { groups, links };
+  },
+
+  /**
+   * Text of a link such as "-->|yes|" or "-- yes -->", '' without one
+   */
+  linkLabel(linkText) {
+    const m = linkText.match(/\|(.*)\|$/) || linkText.match(/^[<ox]?(?:--|==|-\.)\s(.*?)\s*(?:-{2,}|={2,}|\.-+)[>ox]?$/);
+    return m ? m[1].trim().replace(/^"(.*)"$/, '$1') : '';
+  },
+
+  /**
+   * Graph model of a flowchart:
+   * nodes: Map id -> { id, stmt, column, shaped, definition, cls, refs, parent }
+   * subgraphs: Map id -> { stmt, column, parent, members: Set }
+   * edges: [{ from, to, directed, bidirectional, label, link, key, stmt, column, count }]
+   * definition is the source text of the node's first shaped reference
+   * ('A["Start"]'), link the arrow as written ('-->|yes|').
+   * classDefs: Map name -> { stmt, column }, classUses: Set, styleRefs: [{ id, stmt, column }]
+   */
+  buildFlowchartGraph(lines) {
+    const { PATTERNS } = LINT_CONFIG.FLOWCHART;
+    const graph = {
+      start: null,
+      nodes: new Map(),
+      subgraphs: new Map(),
+      edges: [],
+      classDefs: new Map(),
+      classUses: new Set(),
+      styleRefs: []
+    };
+    const stack = [];
+
+    const addNode = (entry, stmt) => {
+      if (graph.subgraphs.has(entry.id)) return;
+      const column = stmt.column + entry.offset;
+      const definition = entry.shaped ? stmt.raw.substr(column - 1, entry.length) : '';
+      const node = graph.nodes.get(entry.id);
+      if (node) {
+        node.refs++;
+        node.shaped = node.shaped || entry.shaped;
+        node.definition = node.definition || definition;
+        node.cls = node.cls || entry.cls;
+      } else {
+        const parent = stack.length ? stack[stack.length - 1] : null;
+        graph.nodes.set(entry.id, { id: entry.id, stmt, column, shaped: entry.shaped, definition, cls: entry.cls, refs: 1, parent });
+        if (parent) graph.subgraphs.get(parent).members.add(entry.id);
+      }
+      if (entry.cls) graph.classUses.add(entry.cls);
+    };
+
+    for (const stmt of this.flowchartStatements(lines)) {
+      const { text } = stmt;
+      const keyword = (text.match(/^[A-Za-z]+/) || [''])[0];
+
+      if (keyword === 'subgraph') {
+        const m = text.match(PATTERNS.SUBGRAPH);
+        // A quoted-only title ("subgraph "Title"") has no ID to link to
+        const id = m && m[1] ? m[1] : `subgraph@${stmt.lineNum}`;
+        graph.subgraphs.set(id, { stmt, column: stmt.column, parent: stack[stack.length - 1] || null, members: new Set() });
+        stack.push(id);
+        continue;
+      }
+      if (text === 'end') {
+        stack.pop();
+        continue;
+      }
+      if (keyword === 'classDef') {
+        const m = text.match(PATTERNS.CLASS_DEF);
+        if (m) m[1].split(',').forEach((name) => graph.classDefs.set(name.trim(), { stmt, column: stmt.column + text.indexOf(name) }));
+        continue;
+      }
+      if (keyword === 'class' || keyword === 'style') {
+        const m = text.match(keyword === 'class' ? PATTERNS.CLASS_ASSIGN : PATTERNS.STYLE);
+        if (!m) continue;
+        let from = text.indexOf(m[1]);
+        for (const id of m[1].split(',')) {
+          const trimmed = id.trim();
+          if (trimmed) graph.styleRefs.push({ id: trimmed, keyword, stmt, column: stmt.column + text.indexOf(trimmed, from) });
+          from += id.length + 1;
+        }
+        if (keyword === 'class') m[2].split(',').forEach((name) => graph.classUses.add(name.trim()));
+        continue;
+      }
+      if (LINT_CONFIG.FLOWCHART.STATEMENT_KEYWORDS.includes(keyword)) continue;
+
+      const { groups, links } = this.parseFlowchartChain(text);
+      groups.forEach((group) => group.forEach((entry) => {
+        if (!LintUtils.isKeyword(entry.id)) addNode(entry, stmt);
+      }));
+      const edgeCount = links.reduce((sum, _, i) => sum + groups[i].length * groups[i + 1].length, 0);
+      links.forEach((link, i) => {
+        const linkText = stmt.raw.substr(stmt.column - 1 + link.offset, link.text.length).trim().replace(/\s+/g, ' ');
+        for (const from of groups[i]) {
+          for (const to of groups[i + 1]) {
+            const ends = link.directed && !link.bidirectional ? [from.id, to.id] : [from.id, to.id].sort();
+            graph.edges.push({
+              from: from.id,
+              to: to.id,
+              directed: link.directed,
+              bidirectional: link.bidirectional,
+              label: this.linkLabel(linkText),
+              link: linkText,
+              key: `${ends.join('\u0000')}\u0000${linkText}`,
+              stmt,
+              column: stmt.column + link.offset,
+              count: edgeCount
+            });
+          }
+        }
+      });
+      if (!graph.start && links.length) graph.start = groups[0][0].id;
+    }
+
+    return graph;
+  },
+
+  /**
+   * Directed adjacency (undirected and bidirectional links count both ways)
+   */
+  flowchartAdjacency(graph, { directedOnly = false } = {}) {
+    const out = new Map();
+    const add = (a, b) => {
+      if (!out.has(a)) out.set(a, new Set());
+      out.get(a).add(b);
+    };
+    for (const edge of graph.edges) {
+      if (directedOnly && (!edge.directed || edge.bidirectional)) continue;
+      add(edge.from, edge.to);
+      if (!edge.directed || edge.bidirectional) add(edge.to, edge.from);
+    }
+    return out;
+  },
+
+  // Subgraphs containing a node or subgraph, innermost first
+  flowchartAncestors(graph, id) {
+    const out = [];
+    let parent = (graph.nodes.get(id) || graph.subgraphs.get(id) || {}).parent;
+    while (parent) {
+      out.push(parent);
+      parent = graph.subgraphs.get(parent).parent;
+    }
+    return out;
+  },
+
+  /**
+   * Edge endpoints that look like a typo of another node: referenced once,
+   * never given a shape, and close to an established ID
+   */
+  analyzeTypos(graph) {
+    const issues = [];
+    const { MIN_NODE_LENGTH } = LINT_CONFIG.TYPO_DETECTION;
+    const linked = new Set(graph.edges.flatMap((edge) => [edge.from, edge.to]));
+
+    for (const node of graph.nodes.values()) {
+      if (node.shaped || node.refs > 1 || !linked.has(node.id) || node.id.length < MIN_NODE_LENGTH) continue;
+      const similar = Array.from(graph.nodes.values())
+        .filter((other) => other.id !== node.id && (other.shaped || other.refs > 1) && LintUtils.areSimilarNodes(node.id, other.id))
+        .map((other) => other.id);
+      if (!similar.length) continue;
+      issues.push(LintUtils.createIssue(
+        'dangling-edge',
+        node.stmt.lineNum,
+        node.column,
+        `Node "${node.id}" might be a typo of "${similar[0]}"`,
+        `Mermaid would draw "${node.id}" as a separate node`,
+        { type: 'replace', text: node.id, replacements: similar.slice(0, 3) }
+      ));
+    }
+
+    return issues;
+  },
+
+  /**
+   * Nodes with no links at all, and nodes that no path from an entry node (one
+   * with no incoming links) reaches, i.e. loops nothing leads into. Separate
+   * chains each have their own entry. Linking a subgraph links all its members.
+   */
+  analyzeConnectivity(graph) {
+    const issues = [];
+    if (!graph.start) return issues;
+    const adjacency = this.flowchartAdjacency(graph);
+    const linked = (id) => adjacency.has(id) || graph.edges.some((edge) => edge.to === id);
+    const isolated = new Set();
+
+    for (const node of graph.nodes.values()) {
+      if (linked(node.id) || this.flowchartAncestors(graph, node.id).some(linked)) continue;
+      isolated.add(node.id);
+      issues.push(LintUtils.createIssue(
+        'isolated-node',
+        node.stmt.lineNum,
+        node.column,
+        `Node "${node.id}" is not linked to anything`,
+        `Link "${node.id}" into the flow or remove it`
+      ));
+    }
+
+    // Returns the ids newly reached from `from`
+    const reached = new Set();
+    const reach = (from) => {
+      const found = [];
+      const queue = [from];
+      const visit = (id) => {
+        if (reached.has(id)) return;
+        reached.add(id);
+        found.push(id);
+        queue.push(id);
+      };
+      reached.add(from);
+      while (queue.length) {
+        const id = queue.shift();
+        (adjacency.get(id) || []).forEach(visit);
+        // Reaching a subgraph reaches its members; links out of a subgraph leave from any member
+        const subgraph = graph.subgraphs.get(id);
+        if (subgraph) subgraph.members.forEach(visit);
+        for (const ancestor of this.flowchartAncestors(graph, id)) (adjacency.get(ancestor) || []).forEach(visit);
+      }
+      return found.filter((id) => graph.nodes.has(id));
+    };
+    // A link into a subgraph leads into each of its members
+    const incoming = new Set(Array.from(adjacency.values()).flatMap((targets) => Array.from(targets)));
+    const isEntry = (id) => linked(id) && ![id, ...this.flowchartAncestors(graph, id)].some((other) => incoming.has(other));
+    reach(graph.start);
+    for (const id of [...graph.nodes.keys(), ...graph.subgraphs.keys()]) {
+      if (!reached.has(id) && isEntry(id)) reach(id);
+    }
+
+    // One issue per unreachable region, at its first node in source order
+    for (const node of graph.nodes.values()) {
+      if (reached.has(node.id) || isolated.has(node.id)) continue;
+      const downstream = reach(node.id).length;
+      issues.push(LintUtils.createIssue(
+        'unreachable-node',
+        node.stmt.lineNum,
+        node.column,
+        `Node "${node.id}"${downstream ? ` (and ${downstream} node${downstream > 1 ? 's' : ''} after it)` : ''} cannot be reached from any entry node (one with no incoming links)`,
+        'Add a link into it from the rest of the flow, or check the arrow directions'
+      ));
+    }
+
+    return issues;
+  },
+
+  /**
+   * Cycles along directed links (one issue per strongly connected group)
+   */
+  analyzeCycles(graph) {
+    const issues = [];
+    const adjacency = this.flowchartAdjacency(graph, { directedOnly: true });
+
+    // Tarjan's strongly connected components
+    let counter = 0;
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    const strongConnect = (v) => {
+      index.set(v, counter);
+      low.set(v, counter++);
+      stack.push(v);
+      onStack.add(v);
+      for (const w of adjacency.get(v) || []) {
+        if (!index.has(w)) {
+          strongConnect(w);
+          low.set(v, Math.min(low.get(v), low.get(w)));
+        } else if (onStack.has(w)) {
+          low.set(v, Math.min(low.get(v), index.get(w)));
+        }
+      }
+      if (low.get(v) !== index.get(v)) return;
+      const component = [];
+      let w;
+      do {
+        w = stack.pop();
+        onStack.delete(w);
+        component.push(w);
+      } while (w !== v);
+      components.push(component);
+    };
+    adjacency.forEach((_, v) => { if (!index.has(v)) strongConnect(v); });
+
+    for (const component of components) {
+      const members = new Set(component);
+      const first = graph.edges.find((edge) => members.has(edge.from) && members.has(edge.to) && edge.directed && !edge.bidirectional);
+      if (!first) continue; // single node without a self-loop
+      issues.push(LintUtils.createIssue(
+        'cycle',
+        first.stmt.lineNum,
+        first.column,
+        `Cycle: ${this.cyclePath(first.from, members, adjacency).join(' → ')}`,
+        'Loops are fine for retries and state machines; check it is intended'
+      ));
+    }
+
+    return issues;
+  },
+
+  // Shortest loop from start back to itself inside one component
+  cyclePath(start, members, adjacency) {
+    const previous = new Map();
+    const queue = [start];
+    while (queue.length) {
+      const id = queue.shift();
+      for (const next of adjacency.get(id) || []) {
+        if (!members.has(next)) continue;
+        if (next === start) {
+          const path = [start];
+          for (let at = id; at !== start; at = previous.get(at)) path.splice(1, 0, at);
+          return [...path, start];
+        }
+        if (previous.has(next)) continue;
+        previous.set(next, id);
+        queue.push(next);
+      }
+    }
+    return [start, start];
+  },
+
+  /**
+   * The same link (same ends, arrow and label) written more than once
+   */
+  analyzeDuplicateEdges(graph) {
+    const issues = [];
+    const seen = new Map();
+
+    for (const edge of graph.edges) {
+      const first = seen.get(edge.key);
+      if (!first) {
+        seen.set(edge.key, edge);
+        continue;
+      }
+      issues.push(LintUtils.createIssue(
+        'duplicate-edge',
+        edge.stmt.lineNum,
+        edge.column,
+        `Link ${edge.from} → ${edge.to} is already declared on line ${first.stmt.lineNum}`,
+        'Mermaid draws every copy as a separate, overlapping link',
+        edge.count === 1 && edge.stmt.soleStatement ? { type: 'remove-line', line: edge.stmt.lineNum } : null
+      ));
+    }
+
+    return issues;
+  },
+
+  /**
+   * class/style statements naming undefined nodes, and classDefs nobody uses
+   */
+  analyzeStyleTargets(graph) {
+    const issues = [];
+    const known = (id) => graph.nodes.has(id) || graph.subgraphs.has(id);
+
+    for (const ref of graph.styleRefs) {
+      if (known(ref.id)) continue;
+      const similar = Array.from(graph.nodes.keys()).filter((id) => LintUtils.areSimilarNodes(ref.id, id));
+      issues.push(LintUtils.createIssue(
+        'unknown-style-target',
+        ref.stmt.lineNum,
+        ref.column,
+        `"${ref.keyword} ${ref.id}" refers to a node that is not defined`,
+        similar.length ? `Did you mean "${similar[0]}"?` : 'Mermaid creates an empty node for it',
+        similar.length ? { type: 'replace', text: ref.id, replacements: similar.slice(0, 3) } : null
+      ));
+    }
+
+    for (const [name, def] of graph.classDefs) {
+      // "default" styles every node without being assigned
+      if (name === 'default' || graph.classUses.has(name)) continue;
+      issues.push(LintUtils.createIssue(
+        'unused-classdef',
+        def.stmt.lineNum,
+        def.column,
+        `classDef "${name}" is never assigned to a node`,
+        `Use it with "class nodeId ${name}" or "nodeId:::${name}", or remove it`,
+        def.stmt.soleStatement && !def.stmt.text.includes(',') ? { type: 'remove-line', line: def.stmt.lineNum } : null
+      ));
+    }
+
+    return issues;
+  },
+
+  /**
+   * Summary numbers for the lint panel: { nodes, edges, depth, hotspots: [{ id, fanOut }] }.
+   * Depth is the longest shortest path from any entry node (no incoming links).
+   */
+  flowchartStats(graph) {
+    const { HOTSPOT_MIN_FANOUT, HOTSPOT_COUNT } = LINT_CONFIG.FLOWCHART;
+    const adjacency = this.flowchartAdjacency(graph, { directedOnly: true });
+    const incoming = new Set(graph.edges.filter((edge) => edge.directed && !edge.bidirectional).map((edge) => edge.to));
+    const roots = Array.from(adjacency.keys()).filter((id) => !incoming.has(id));
+    if (!roots.length && graph.start) roots.push(graph.start);
+
+    let maxDepth = 0;
+    for (const root of roots) {
+      const depth = new Map([[root, 0]]);
+      const queue = [root];
+      while (queue.length) {
+        const id = queue.shift();
+        for (const next of adjacency.get(id) || []) {
+          if (depth.has(next)) continue;
+          depth.set(next, depth.get(id) + 1);
+          maxDepth = Math.max(maxDepth, depth.get(next));
+          queue.push(next);
+        }
+      }
+    }
+
+    const hotspots = Array.from(adjacency, ([id, targets]) => ({ id, fanOut: targets.size }))
+      .filter((h) => h.fanOut >= HOTSPOT_MIN_FANOUT)
+      .sort((a, b) => b.fanOut - a.fanOut)
+      .slice(0, HOTSPOT_COUNT);
+
+    return { nodes: graph.nodes.size, edges: graph.edges.length, depth: maxDepth, hotspots };
+  },
+
+  /**
+   * Analyzer family for the diagram's header keyword:
+   * 'flowchart' | 'sequence' | 'class' | 'state' | 'er', or '' for anything else
+   */
+  detectDiagramType(lines) {
+    const header = findDiagramHeader(lines);
+    const m = header === -1 ? null : lines[header].trim().match(/^([A-Za-z][\w-]*)/);
+    return (m && LINT_CONFIG.DIAGRAM_TYPES[m[1]]) || '';
+  },
+
+  /**
+   * Statements after the header: { lineNum, raw, text, keyword }
+   * (blank lines, %% comments, frontmatter and accTitle/accDescr are skipped)
+   */
+  statements(lines) {
+    const out = [];
+    const acc = findAccessibilityText(lines).lineNums;
+    for (let i = findDiagramHeader(lines) + 1; i < lines.length; i++) {
+      const raw = lines[i];
+      const text = raw.trim();
+      if (!text || text.startsWith('%%') || acc.has(i + 1)) continue;
+      const keyword = (text.match(/^[A-Za-z_]+/) || [''])[0];
+      out.push({ lineNum: i + 1, raw, text, keyword });
+    }
+    return out;
+  },
+
+  /**
+   * Names used but never defined. Names close to a defined one are reported as
+   * typos with a rename fix; the rest get a fix that defines them.
+   * refs: [{ name, stmt }], lastDefinition: statement to insert definitions after
+   */
+  analyzeUndefined(refs, defined, lastDefinition, { type, noun, define }) {
+    const issues = [];
+    const reported = new Set();
+
+    for (const { name, stmt } of refs) {
+      if (defined.has(name) || reported.has(name)) continue;
+      reported.add(name);
+      const similar = Array.from(defined).filter((other) => LintUtils.areSimilarNodes(name, other));
+      const indent = LintUtils.indentOf(lastDefinition.raw);
+      issues.push(LintUtils.createIssue(
+        type,
+        stmt.lineNum,
+        LintUtils.wordColumn(stmt.raw, name),
+        similar.length
+          ? `${noun} "${name}" is not defined - did you mean "${similar[0]}"?`
+          : `${noun} "${name}" is used in a relationship but never defined`,
+        similar.length
+          ? `Mermaid would add "${name}" as a separate, empty ${noun.toLowerCase()}`
+          : `Define "${name}" or check the spelling`,
+        similar.length
+          ? { type: 'replace', text: name, replacements: similar }
+          : { type: 'insert-line', afterLine: lastDefinition.endLine, text: `${indent}${define(name)}` }
+      ));
+    }
+
+    return issues;
+  },
+
+  /**
+   * Collect classes, members and relationships of a class diagram
+   */
+  parseClassDiagram(statements) {
+    const { PATTERNS, STATEMENT_KEYWORDS } = LINT_CONFIG.CLASS;
+    const defined = new Set();
+    const members = []; // { cls, text, stmt }
+    const relations = []; // { from, to, stmt }
+    const scopes = []; // open braces: class name, or null for a namespace
+    let lastDefinition = null;
+
+    for (const stmt of statements) {
+      const { text } = stmt;
+      const body = scopes[scopes.length - 1];
+
+      if (text.startsWith('}')) {
+        const closed = scopes.pop();
+        if (closed && lastDefinition && lastDefinition.cls === closed) lastDefinition.endLine = stmt.lineNum;
+        continue;
+      }
+      if (body) {
+        if (!PATTERNS.ANNOTATION.test(text)) members.push({ cls: body, text, stmt });
+        continue;
+      }
+      if (PATTERNS.NAMESPACE.test(text)) {
+        scopes.push(null);
+        continue;
+      }
+      const cls = text.match(PATTERNS.CLASS);
+      if (cls) {
+        defined.add(cls[1]);
+        lastDefinition = { raw: stmt.raw, cls: cls[1], endLine: stmt.lineNum };
+        if (cls[2]) scopes.push(cls[1]);
+        continue;
+      }
+      if (STATEMENT_KEYWORDS.includes(stmt.keyword) || PATTERNS.ANNOTATION.test(text)) continue;
+      const relation = text.match(PATTERNS.RELATION);
+      if (relation) {
+        relations.push({ from: relation[1], to: relation[3], stmt });
+        continue;
+      }
+      const member = text.match(PATTERNS.MEMBER);
+      if (member) {
+        defined.add(member[1]);
+        members.push({ cls: member[1], text: member[2].trim(), stmt });
+        lastDefinition = { raw: stmt.raw, cls: null, endLine: stmt.lineNum };
+      }
+    }
+
+    return { defined, members, relations, lastDefinition };
+  },
+
+  /**
+   * Class diagrams: relationships to undefined classes, duplicate members and
+   * visibility markers Mermaid does not know
+   */
+  analyzeClassDiagram(lines) {
+    const issues = [];
+    const { VISIBILITY, VISIBILITY_WORDS } = LINT_CONFIG.CLASS;
+    const { defined, members, relations, lastDefinition } = this.parseClassDiagram(this.statements(lines));
+
+    // Without any explicit class every relationship defines its classes
+    if (defined.size) {
+      const refs = relations.flatMap(({ from, to, stmt }) => [{ name: from, stmt }, { name: to, stmt }]);
+      issues.push(...this.analyzeUndefined(refs, defined, lastDefinition, {
+        type: 'undefined-class', noun: 'Class', define: (name) => `class ${name}`
+      }));
+    }
+
+    const seen = new Map(); // "cls\u0000member" -> first line
+    for (const { cls, text, stmt } of members) {
+      const key = `${cls}\u0000${text.replace(/\s+/g, ' ')}`;
+      if (seen.has(key)) {
+        issues.push(LintUtils.createIssue(
+          'duplicate-member',
+          stmt.lineNum,
+          LintUtils.column(stmt.raw, text),
+          `"${text}" is already declared in class "${cls}" (line ${seen.get(key)})`,
+          'Remove the duplicate member',
+          { type: 'remove-line', line: stmt.lineNum }
+        ));
+      } else {
+        seen.set(key, stmt.lineNum);
+      }
+
+      const word = text.match(/^(public|private|protected|package|internal)\s+/i);
+      if (word) {
+        const marker = VISIBILITY_WORDS[word[1].toLowerCase()];
+        issues.push(LintUtils.createIssue(
+          'invalid-visibility',
+          stmt.lineNum,
+          LintUtils.column(stmt.raw, word[0]),
+          `"${word[1]}" is shown as part of the member name; Mermaid marks visibility with ${VISIBILITY.join(' ')}`,
+          `Use "${marker}" for ${word[1].toLowerCase()}`,
+          { type: 'replace', text: word[0], replacements: [marker] }
+        ));
+      } else if (/^[^\w\s]/.test(text) && !VISIBILITY.includes(text[0])) {
+        issues.push(LintUtils.createIssue(
+          'invalid-visibility',
+          stmt.lineNum,
+          LintUtils.column(stmt.raw, text),
+          `"${text[0]}" is not a visibility marker`,
+          `Use + (public), - (private), # (protected) or ~ (package/internal)`,
+          { type: 'replace', text: text[0], replacements: VISIBILITY }
+        ));
+      }
+    }
+
+    return issues;
+  },
+
+  /**
+   * Collect states, transitions and composite braces of a state diagram.
+   * [*] is scoped to its composite state: "[*] --> A" starts it, "A --> [*]" exits it.
+   */
+  parseStateDiagram(statements, lines) {
+    const { PATTERNS, STATEMENT_KEYWORDS } = LINT_CONFIG.STATE;
+    const states = new Map(); // id -> { stmt, parent, lastStmt, endLine, composite }
+    const edges = new Map(); // id -> Set of ids; [*] becomes "[*]start:scope" / "[*]end:scope"
+    const transitionList = []; // { from, to, stmt } in source order, [*] as written
+    const braceIssues = [];
+    const scopes = []; // open composites: { id, stmt, raw }
+    let inNote = false;
+    let transitions = 0;
+
+    const scope = () => (scopes.length ? scopes[scopes.length - 1].id : '');
+    const mention = (id, stmt) => {
+      const state = states.get(id);
+      if (state) {
+        state.lastStmt = stmt;
+        state.endLine = stmt.lineNum;
+      } else {
+        states.set(id, { stmt, parent: scope(), lastStmt: stmt, endLine: stmt.lineNum, composite: false });
+      }
+    };
+    const addEdge = (from, to) => {
+      if (!edges.has(from)) edges.set(from, new Set());
+      edges.get(from).add(to);
+    };
+    // Innermost first, so braces inserted at the same place nest correctly
+    const reportUnclosed = (open, limit) => {
+      const afterLine = LintUtils.closingLine(lines, open.stmt.lineNum, limit);
+      // Fixes that go after the composite state belong after its missing brace
+      states.get(open.id).endLine = afterLine;
+      braceIssues.push(LintUtils.createIssue(
+        'unclosed-composite',
+        open.stmt.lineNum,
+        LintUtils.column(open.raw, '{'),
+        `Composite state "${open.id}" is missing its closing "}"`,
+        'Add "}" after the last statement of this composite state',
+        { type: 'add-end', afterLine, indent: LintUtils.indentOf(open.raw), text: '}' }
+      ));
+    };
+
+    for (const stmt of statements) {
+      const { text } = stmt;
+      if (inNote) {
+        inNote = !PATTERNS.NOTE_END.test(text);
+        continue;
+      }
+      const note = text.match(PATTERNS.NOTE);
+      if (note) {
+        // Without ":" the note text follows on the next lines up to "end note"
+        inNote = !note[2];
+        continue;
+      }
+      if (text === '--' || STATEMENT_KEYWORDS.includes(stmt.keyword)) continue;
+
+      if (text.startsWith('}')) {
+        // A brace indented like an outer composite closes it; the ones inside were left open
+        if (scopes.length) {
+          scopes.splice(LintUtils.matchingOpener(scopes, stmt.raw) + 1).reverse()
+            .forEach((open) => reportUnclosed(open, stmt.lineNum));
+        }
+        const closed = scopes.pop();
+        if (closed) {
+          states.get(closed.id).endLine = stmt.lineNum;
+        } else {
+          braceIssues.push(LintUtils.createIssue(
+            'unmatched-brace',
+            stmt.lineNum,
+            LintUtils.column(stmt.raw, '}'),
+            'Unexpected "}" - no composite state is open',
+            'Remove this brace or open a composite state with "state Name {"',
+            { type: 'remove-line', line: stmt.lineNum }
+          ));
+        }
+        continue;
+      }
+      const composite = text.match(PATTERNS.COMPOSITE);
+      if (composite) {
+        mention(composite[1], stmt);
+        states.get(composite[1]).composite = true;
+        scopes.push({ id: composite[1], stmt, raw: stmt.raw });
+        continue;
+      }
+      const transition = text.match(PATTERNS.TRANSITION);
+      if (transition) {
+        transitions++;
+        const [, from, to] = transition;
+        transitionList.push({ from, to, stmt });
+        if (from !== '[*]') mention(from, stmt);
+        if (to !== '[*]') mention(to, stmt);
+        addEdge(from === '[*]' ? `[*]start:${scope()}` : from, to === '[*]' ? `[*]end:${scope()}` : to);
+        continue;
+      }
+      const declared = text.match(PATTERNS.DECLARATION) || text.match(PATTERNS.DESCRIPTION) || text.match(PATTERNS.BARE);
+      if (declared) mention(declared[1], stmt);
+    }
+
+    scopes.reverse().forEach((open) => reportUnclosed(open, lines.length + 1));
+
+    return { states, edges, braceIssues, transitions, transitionList };
+  },
+
+  /**
+   * States that no path from the root [*] reaches. Entering a composite state
+   * enters its own [*]; a composite without one exposes all of its children.
+   */
+  findUnreachableStates(states, edges) {
+    const rootStart = '[*]start:';
+    if (!edges.has(rootStart)) return [];
+    const visited = new Set([rootStart]);
+    const queue = [rootStart];
+
+    while (queue.length) {
+      const id = queue.shift();
+      const next = Array.from(edges.get(id) || []);
+      const state = states.get(id);
+      if (state && state.composite) {
+        const innerStart = `[*]start:${id}`;
+        if (edges.has(innerStart)) next.push(innerStart);
+        else states.forEach((child, childId) => { if (child.parent === id) next.push(childId); });
+      }
+      for (const target of next) {
+        if (visited.has(target)) continue;
+        visited.add(target);
+        queue.push(target);
+      }
+    }
+
+    // Children of an unreachable composite are covered by the composite's own issue
+    return Array.from(states.keys()).filter((id) => {
+      const { parent } = states.get(id);
+      return !visited.has(id) && (!parent || visited.has(parent));
+    });
+  },
+
+  /**
+   * State diagrams: unreachable states, states with no exit and unbalanced
+   * composite-state braces
+   */
+  analyzeStateDiagram(lines) {
+    const statements = this.statements(lines);
+    const { states, edges, braceIssues, transitions } = this.parseStateDiagram(statements, lines);
+    const issues = [...braceIssues];
+
+    for (const id of this.findUnreachableStates(states, edges)) {
+      const { stmt } = states.get(id);
+      issues.push(LintUtils.createIssue(
+        'unreachable-state',
+        stmt.lineNum,
+        LintUtils.wordColumn(stmt.raw, id),
+        `State "${id}" cannot be reached from the start state [*]`,
+        `Add a transition into "${id}" or remove it`
+      ));
+    }
+
+    // Declarations alone (no transitions yet) are not a state machine to check
+    if (!transitions) return issues;
+
+    for (const [id, state] of states) {
+      if (edges.has(id)) continue;
+      issues.push(LintUtils.createIssue(
+        'dead-end-state',
+        state.stmt.lineNum,
+        LintUtils.wordColumn(state.stmt.raw, id),
+        `State "${id}" has no outgoing transition`,
+        `Add a transition out of "${id}", e.g. to the end state [*]`,
+        { type: 'insert-line', afterLine: state.endLine, text: `${LintUtils.indentOf(state.lastStmt.raw)}${id} --> [*]` }
+      ));
+    }
+
+    return issues;
+  },
+
+  /**
+   * ER diagrams: relationship cardinality tokens, and relationship entities whose
+   * name looks like a typo of another entity. Mermaid declares every entity a
+   * relationship names (alias[Label] names the entity alias), so only a name used
+   * once that nearly matches an entity declared or used elsewhere is reported.
+   */
+  analyzeErDiagram(lines) {
+    const issues = [];
+    const { CARDINALITIES, LEFT, RIGHT, LINES, PATTERNS } = LINT_CONFIG.ER;
+    const unquote = (name) => name.replace(/^"|"$/g, '');
+    const defined = new Set();
+    const refs = [];
+    let inBlock = false;
+
+    for (const stmt of this.statements(lines)) {
+      const { text } = stmt;
+      if (inBlock) {
+        if (text.startsWith('}')) inBlock = false;
+        continue;
+      }
+      const block = text.match(PATTERNS.ENTITY_BLOCK);
+      if (block) {
+        defined.add(unquote(block[1]));
+        inBlock = true;
+        continue;
+      }
+      const relationship = text.match(PATTERNS.RELATIONSHIP);
+      if (relationship) {
+        const [, from, token, to] = relationship;
+        refs.push({ name: unquote(from), stmt }, { name: unquote(to), stmt });
+        if (PATTERNS.WORD_TOKEN.test(token)) continue;
+        const left = token.slice(0, 2);
+        const right = token.slice(-2);
+        const line = token.slice(2, -2);
+        if (token.length === 6 && CARDINALITIES.includes(left) && CARDINALITIES.includes(right) && LINES.includes(line)) continue;
+
+        const closest = LEFT
+          .flatMap((l) => LINES.flatMap((mid) => RIGHT.map((r) => `${l}${mid}${r}`)))
+          .map((candidate) => ({ candidate, distance: LintUtils.levenshteinDistance(token, candidate) }))
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, 3)
+          .map((c) => c.candidate);
+        issues.push(LintUtils.createIssue(
+          'invalid-cardinality',
+          stmt.lineNum,
+          LintUtils.column(stmt.raw, token, stmt.raw.indexOf(from) + from.length),
+          `"${token}" is not a valid relationship - expected two of ${CARDINALITIES.join(' ')} joined by -- or ..`,
+          'e.g. ||--o{ reads "exactly one to zero or more"',
+          { type: 'replace', text: token, replacements: closest }
+        ));
+        continue;
+      }
+      const entity = text.match(PATTERNS.ENTITY);
+      if (entity && stmt.keyword !== 'direction') defined.add(unquote(entity[1]));
+    }
+
+    const uses = new Map();
+    for (const { name } of refs) uses.set(name, (uses.get(name) || 0) + 1);
+    const established = new Set([...defined, ...Array.from(uses.keys()).filter((name) => uses.get(name) > 1)]);
+    for (const { name, stmt } of refs) {
+      if (established.has(name) || name.length < LINT_CONFIG.TYPO_DETECTION.MIN_NODE_LENGTH) continue;
+      const similar = Array.from(established).filter((other) => other !== name && LintUtils.areSimilarNodes(name, other));
+      if (!similar.length) continue;
+      issues.push(LintUtils.createIssue(
+        'undefined-entity',
+        stmt.lineNum,
+        LintUtils.wordColumn(stmt.raw, name),
+        `Entity "${name}" is not defined - did you mean "${similar[0]}"?`,
+        `Mermaid would add "${name}" as a separate, empty entity`,
+        { type: 'replace', text: name, replacements: similar.slice(0, 3) }
+      ));
+    }
+
+    return issues;
+  }
+};
+
+/**
+ * Sequence diagram analyzers.
+ Flowchart rules don't apply to sequence diagrams
+ * ("end" closes alt/loop blocks there, and participants are not nodes).
+ */
+export const SequenceAnalyzers = {
+  /**
+   * Split a sequence diagram into statements: { lineNum, raw, text, keyword }
+   * (comments, blank lines, the header and accTitle/accDescr are skipped)
+   */
+  statements(lines) {
+    const out = [];
+    const acc = findAccessibilityText(lines).lineNums;
+    lines.forEach((raw, i) => {
+      const text = raw.trim();
+      if (!text || text.startsWith('%%') || acc.has(i + 1) || LINT_CONFIG.SEQUENCE.PATTERNS.HEADER.test(text)) return;
+      const keyword = (text.match(/^[A-Za-z_]+/) || [''])[0];
+      out.push({ lineNum: i + 1, raw, text, keyword });
+    });
+    return out;
+  },
+
+  /**
+   * Parse "From->>+To: text". Returns { from, arrow, marker, to, valid } or null.
+   * Messages with an unknown arrow are returned with valid: false.
+   */
+  parseMessage(stmt) {
+    const { PATTERNS, STATEMENT_KEYWORDS } = LINT_CONFIG.SEQUENCE;
+    if (STATEMENT_KEYWORDS.includes(stmt.keyword.toLowerCase())) return null;
+    const valid = stmt.text.match(PATTERNS.MESSAGE);
+    if (valid) return { from: valid[1].trim(), arrow: valid[2], marker: valid[3], to: valid[4].trim(), valid: true };
+    const loose = stmt.text.match(PATTERNS.MESSAGE_LOOSE);
+    if (loose) return { from: loose[1].trim(), arrow: loose[2], marker: '', to: loose[3].trim(), valid: false };
+    return null;
+  },
+
+  /**
+   * alt/opt/loop/par/critical/break/rect/box blocks must be closed by "end";
+   * else/and/option must sit inside the block they belong to
+   */
+  analyzeBlocks(statements, lines) {
+    const issues = [];
+    const { BLOCKS, BRANCHES } = LINT_CONFIG.SEQUENCE;
+    const stack = [];
+    // Innermost first, so "end"s inserted at the same place nest correctly
+    const reportUnclosed = (open, limit) => issues.push(LintUtils.createIssue(
+      'unclosed-block',
+      open.lineNum,
+      LintUtils.column(open.raw, open.keyword),
+      `"${open.keyword}" block is missing its closing "end"`,
+      'Add "end" after the last statement of this block',
+      {
+        type: 'add-end',
+        afterLine: LintUtils.closingLine(lines, open.lineNum, limit),
+        indent: LintUtils.indentOf(open.raw)
+      }
+    ));
+
+    for (const stmt of statements) {
+      if (BLOCKS.includes(stmt.keyword)) {
+        stack.push(stmt);
+      } else if (stmt.text === 'end') {
+        if (stack.length) {
+          // An "end" indented like an outer block closes it; the blocks inside were left open
+          const closed = LintUtils.matchingOpener(stack, stmt.raw);
+          stack.splice(closed + 1).reverse().forEach((open) => reportUnclosed(open, stmt.lineNum));
+          stack.pop();
+        } else {
+          issues.push(LintUtils.createIssue(
+            'unmatched-end',
+            stmt.lineNum,
+            LintUtils.column(stmt.raw, 'end'),
+            'Unexpected "end" - no open alt/opt/loop/par/critical/break/rect/box block',
+            'Remove this "end" or open a block before it',
+            { type: 'remove-line', line: stmt.lineNum }
+          ));
+        }
+      } else if (BRANCHES[stmt.keyword]) {
+        const open = stack[stack.length - 1];
+        if (open && BRANCHES[stmt.keyword].includes(open.keyword)) continue;
+        // Suggest the branch keyword of the block we are actually in
+        const fitting = open && Object.keys(BRANCHES).find((k) => BRANCHES[k].includes(open.keyword));
+        issues.push(LintUtils.createIssue(
+          'misplaced-branch',
+          stmt.lineNum,
+          LintUtils.column(stmt.raw, stmt.keyword),
+          open
+            ? `"${stmt.keyword}" is not valid inside "${open.keyword}" (line ${open.lineNum})`
+            : `"${stmt.keyword}" is outside any ${BRANCHES[stmt.keyword].join('/')} block`,
+          fitting
+            ? `Use "${fitting}" to add a branch to "${open.keyword}"`
+            : `"${stmt.keyword}" only works inside ${BRANCHES[stmt.keyword].join('/')}`,
+          fitting ? { type: 'replace', text: stmt.keyword, replacements: [fitting] } : null
+        ));
+      }
+    }
+
+    stack.reverse().forEach((open) => reportUnclosed(open, lines.length + 1));
+
+    return issues;
+  },
+
+  /**
+   * activate/deactivate (and the +/- message shorthand) must balance per participant
+   */
+  analyzeActivations(statements) {
+    const issues = [];
+    const active = new Map(); // participant -> { count, lineNum, raw }
+    const { PATTERNS } = LINT_CONFIG.SEQUENCE;
+
+    const activate = (name, stmt) => {
+      const entry = active.get(name) || { count: 0 };
+      active.set(name, { count: entry.count + 1, lineNum: stmt.lineNum, raw: stmt.raw });
+    };
+    // Returns false when the participant was not active
+    const deactivate = (name) => {
+      const entry = active.get(name);
+      if (!entry || !entry.count) return false;
+      entry.count--;
+      return true;
+    };
+
+    for (const stmt of statements) {
+      const explicit = stmt.text.match(PATTERNS.ACTIVATION);
+      if (explicit) {
+        const name = explicit[2].trim();
+        if (explicit[1] === 'activate') {
+          activate(name, stmt);
+        } else if (!deactivate(name)) {
+          issues.push(LintUtils.createIssue(
+            'inactive-deactivation',
+            stmt.lineNum,
+            LintUtils.column(stmt.raw, name),
+            `"${name}" is deactivated but is not active - Mermaid rejects this`,
+            `Remove this line or activate "${name}" earlier`,
+            { type: 'remove-line', line: stmt.lineNum }
+          ));
+        }
+        continue;
+      }
+
+      const msg = this.parseMessage(stmt);
+      if (!msg || !msg.valid || !msg.marker) continue;
+      if (msg.marker === '+') {
+        activate(msg.to, stmt);
+      } else if (!deactivate(msg.from)) {
+        // "-" after the arrow deactivates the sender
+        issues.push(LintUtils.createIssue(
+          'inactive-deactivation',
+          stmt.lineNum,
+          LintUtils.column(stmt.raw, `${msg.arrow}-`) + msg.arrow.length,
+          `"${msg.from}" is deactivated by "${msg.arrow}-" but is not active - Mermaid rejects this`,
+          `Drop the "-" or activate "${msg.from}" earlier`,
+          { type: 'replace', text: `${msg.arrow}-`, replacements: [msg.arrow] }
+        ));
+      }
+    }
+
+    for (const [name, entry] of active) {
+      if (!entry.count) continue;
+      const indent = LintUtils.indentOf(entry.raw);
+      issues.push(LintUtils.createIssue(
+        'unclosed-activation',
+        entry.lineNum,
+        LintUtils.column(entry.raw, name),
+        `"${name}" is activated but never deactivated`,
+        `Add "deactivate ${name}" where its work ends`,
+        { type: 'insert-line', afterLine: statements.length ? statements[statements.length - 1].lineNum : entry.lineNum, text: `${indent}deactivate ${name}` }
+      ));
+    }
+
+    return issues;
+  },
+
+  /**
+   * Messages, notes and activations should name declared participants.
+   * Undeclared names that look like a declared one are likely typos; without
+   * any declarations, a rarely used name close to a common one is flagged.
+   */
+  analyzeParticipants(statements) {
+    const issues = [];
+    const { PATTERNS } = LINT_CONFIG.SEQUENCE;
+    const declared = new Set();
+    // Declarations are inserted after the last plain one: a `create participant`
+    // line must stay directly above its message
+    let insertAt = null; // { afterLine, raw }
+    const references = []; // { name, stmt }
+
+    for (const stmt of statements) {
+      const decl = stmt.text.match(PATTERNS.DECLARATION);
+      if (decl) {
+        declared.add(decl[2].replace(/@\{.*$/, '').trim());
+        if (!/^create\s/.test(stmt.text)) insertAt = { afterLine: stmt.lineNum, raw: stmt.raw };
+        else if (!insertAt) insertAt = { afterLine: stmt.lineNum - 1, raw: stmt.raw };
+        continue;
+      }
+      const msg = this.parseMessage(stmt);
+      if (msg && msg.valid) {
+        references.push({ name: msg.from, stmt }, { name: msg.to, stmt });
+        continue;
+      }
+      const activation = stmt.text.match(PATTERNS.ACTIVATION);
+      if (activation) references.push({ name: activation[2].trim(), stmt });
+      const note = stmt.text.match(PATTERNS.NOTE);
+      if (note) note[1].split(',').forEach((name) => references.push({ name: name.trim(), stmt }));
+      const destroy = stmt.text.match(PATTERNS.DESTROY);
+      if (destroy) references.push({ name: destroy[1].trim(), stmt });
+    }
+
+    const counts = new Map();
+    for (const { name } of references) counts.set(name, (counts.get(name) || 0) + 1);
+    const reported = new Set();
+
+    for (const { name, stmt } of references) {
+      if (!name || declared.has(name) || reported.has(name)) continue;
+      const candidates = declared.size
+        ? Array.from(declared)
+        : Array.from(counts.keys()).filter((other) => counts.get(other) > counts.get(name));
+      const similar = candidates.filter((other) => other !== name && LintUtils.areSimilarNodes(name, other));
+
+      if (similar.length) {
+        reported.add(name);
+        issues.push(LintUtils.createIssue(
+          'participant-typo',
+          stmt.lineNum,
+          LintUtils.column(stmt.raw, name),
+          `Participant "${name}" looks like a typo of "${similar[0]}"`,
+          `Mermaid would draw "${name}" as a separate participant`,
+          { type: 'replace', text: name, replacements: similar }
+        ));
+      } else if (declared.size) {
+        reported.add(name);
+        const indent = LintUtils.indentOf(insertAt.raw);
+        issues.push(LintUtils.createIssue(
+          'undeclared-participant',
+          stmt.lineNum,
+          LintUtils.column(stmt.raw, name),
+          `Participant "${name}" is not declared; Mermaid places it where it first appears`,
+          `Declare it to control its position`,
+          { type: 'insert-line', afterLine: insertAt.afterLine, text: `${indent}participant ${name}` }
+        ));
+      }
+    }
+
+    return issues;
+  },
+
+  /**
+   * Message arrows must be one of Mermaid's sequence arrows
+   */
+  analyzeArrows(statements) {
+    const issues = [];
+    const { ARROWS } = LINT_CONFIG.SEQUENCE;
+
+    for (const stmt of statements) {
+      const msg = this.parseMessage(stmt);
+      if (!msg || msg.valid) continue;
+      const closest = ARROWS
+        .map((arrow) => ({ arrow, distance: LintUtils.levenshteinDistance(msg.arrow, arrow) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, 3)
+        .map((c) => c.arrow);
+      issues.push(LintUtils.createIssue(
+        'invalid-arrow',
+        stmt.lineNum,
+        LintUtils.column(stmt.raw, msg.arrow, stmt.raw.indexOf(msg.from) + msg.from.length),
+        `"${msg.arrow}" is not a sequence diagram arrow`,
+        `Valid arrows: ${ARROWS.join(' ')}`,
+        { type: 'replace', text: msg.arrow, replacements: closest }
+      ));
+    }
+
+    return issues;
+  },
+
+  /**
+   * Run every sequence analyzer
+   */
+  analyze(lines) {
+    const statements = this.statements(lines);
+    return [
+      ...this.analyzeBlocks(statements, lines),
+      ...this.analyzeActivations(statements),
+      ...this.analyzeParticipants(statements),
+      ...this.analyzeArrows(statements)
+    ];
+  }
+};
+
+/**
+ * Gantt chart analyzers. Dates are checked against the chart's dateFormat the
+ * way Mermaid reads them (strict dayjs-style tokens); task references follow
+ * Mermaid's "after"/"until" and previous-task rules.
+ */
+export const GanttAnalyzers = {
+  /**
+   * Compile a dayjs-style format into { regex, fields }; fields name each capture group
+   */
+  compileDateFormat(format) {
+    const { FORMAT_TOKENS, MONTHS } = LINT_CONFIG.GANTT;
+    const fields = [];
+    const groups = {
+      YYYY: ['year', '(\\d{4})'], YY: ['year2', '(\\d{2})'],
+      MMMM: ['monthName', `(${MONTHS.join('|')})`], MMM: ['monthShort', `(${MONTHS.map((m) => m.slice(0, 3)).join('|')})`],
+      MM: ['month', '(\\d{2})'], M: ['month', '(\\d{1,2})'],
+      Do: ['day', '(\\d{1,2})(?:st|nd|rd|th)'], DD: ['day', '(\\d{2})'], D: ['day', '(\\d{1,2})'],
+      dddd: [null, '[A-Za-z]+'], ddd: [null, '[A-Za-z]{3}'],
+      HH: ['hour', '(\\d{2})'], H: ['hour', '(\\d{1,2})'], hh: ['hour12', '(\\d{2})'], h: ['hour12', '(\\d{1,2})'],
+      mm: ['minute', '(\\d{2})'], m: ['minute', '(\\d{1,2})'], ss: ['second', '(\\d{2})'], s: ['second', '(\\d{1,2})'],
+      SSS: ['ms', '(\\d{3})'], A: ['meridiem', '(AM|PM)'], a: ['meridiem', '(am|pm)'],
+      X: ['unix', '(-?\\d+)'], x: ['unixMs', '(-?\\d+)'], ZZ: [null, '(?:[+-]\\d{4}|Z)'], Z: [null, '(?:[+-]\\d{2}:\\d{2}|Z)']
+    };
+    let source = '';
+    let last = 0;
+    for (const match of format.matchAll(FORMAT_TOKENS)) {
+      source += format.slice(last, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      last = match.index + match[0].length;
+      if (match[1] !== undefined) {
+        source += match[1].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        continue;
+      }
+      const [field, pattern] = groups[match[0]];
+      if (field) fields.push(field);
+      source += pattern;
+    }
+    source += format.slice(last).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { regex: new RegExp(`^${source}$`), fields };
+  },
+
+  /**
+   * Strictly parse a date in the compiled format. Returns { year, month, day,
+   * hour, minute, second, ms } or null; invalid calendar dates yield { invalid: true }.
+   */
+  parseDate(text, compiled) {
+    const match = text.match(compiled.regex);
+    if (!match) return null;
+    const { MONTHS } = LINT_CONFIG.GANTT;
+    const values = {};
+    compiled.fields.forEach((field, i) => { values[field] = match[i + 1]; });
+
+    if (values.unix !== undefined || values.unixMs !== undefined) {
+      const date = new Date(values.unixMs !== undefined ? Number(values.unixMs) : Number(values.unix) * 1000);
+      return this.partsOf(date);
+    }
+    const monthIndex = (name, short) => MONTHS.findIndex((m) => (short ? m.slice(0, 3) : m) === name) + 1;
+    let hour = values.hour !== undefined ? Number(values.hour) : Number(values.hour12 || 0);
+    if (values.meridiem) {
+      if (values.hour12 !== undefined && (hour < 1 || hour > 12)) return { invalid: true };
+      hour = (hour % 12) + (/pm/i.test(values.meridiem) ? 12 : 0);
+    }
+    const parts = {
+      year: values.year !== undefined ? Number(values.year)
+        : values.year2 !== undefined ? Number(values.year2) + (Number(values.year2) > 68 ? 1900 : 2000)
+        : new Date().getFullYear(),
+      month: values.month !== undefined ? Number(values.month)
+        : values.monthName ? monthIndex(values.monthName, false)
+        : values.monthShort ? monthIndex(values.monthShort, true)
+        : 1,
+      day: values.day !== undefined ? Number(values.day) : 1,
+      hour,
+      minute: Number(values.minute || 0),
+      second: Number(values.second || 0),
+      ms: Number(values.ms || 0)
+    };
+    return this.isValidParts(parts) ? parts : { invalid: true };
+  },
+
+  /**
+   * Read a date written in some other common format, to offer it in the declared one.
+   * Day/month order is ambiguous for 01/02/2024, so every valid reading is returned.
+   */
+  guessDates(text) {
+    const out = [];
+    const time = (m, from) => ({
+      hour: Number(m[from] || 0), minute: Number(m[from + 1] || 0), second: Number(m[from + 2] || 0), ms: 0
+    });
+    const add = (parts) => {
+      if (this.isValidParts(parts) && !out.some((o) => this.sortKey(o) === this.sortKey(parts))) out.push(parts);
+    };
+    const TIME = '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?';
+
+    let m = text.match(new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})${TIME}$`));
+    if (m) add({ year: Number(m[1]), month: Number(m[2]), day: Number(m[3]), ...time(m, 4) });
+    m = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (m) add({ year: Number(m[1]), month: Number(m[2]), day: Number(m[3]), ...time([], 0) });
+    m = text.match(new RegExp(`^(\\d{1,2})[-/.](\\d{1,2})[-/.](\\d{4})${TIME}$`));
+    if (m) {
+      add({ year: Number(m[3]), month: Number(m[2]), day: Number(m[1]), ...time(m, 4) });
+      add({ year: Number(m[3]), month: Number(m[1]), day: Number(m[2]), ...time(m, 4) });
+    }
+    // Month names ("Jan 5 2024", "5 January 2024"): let the browser read them
+    if (!out.length && /[A-Za-z]{3}/.test(text)) {
+      const date = new Date(text);
+      if (!Number.isNaN(date.getTime())) add(this.partsOf(date));
+    }
+    return out;
+  },
+
+  partsOf(date) {
+    return {
+      year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+      hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(), ms: date.getMilliseconds()
+    };
+  },
+
+  isValidParts({ year, month, day, hour, minute, second }) {
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth &&
+      hour >= 0 && hour < 24 && minute >= 0 && minute < 60 && second >= 0 && second < 60;
+  },
+
+  // Comparable number for parsed parts (time zone does not matter for ordering)
+  sortKey({ year, month, day, hour, minute, second, ms }) {
+    return Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  },
+
+  /**
+   * Write parts in a dayjs-style format
+   */
+  formatDate(parts, format) {
+    const { FORMAT_TOKENS, MONTHS } = LINT_CONFIG.GANTT;
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    const weekday = new Date(this.sortKey(parts)).getUTCDay();
+    const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const hour12 = parts.hour % 12 || 12;
+    const ordinal = (n) => `${n}${[11, 12, 13].includes(n % 100) ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+    const values = {
+      YYYY: pad(parts.year, 4), YY: pad(parts.year % 100), MMMM: MONTHS[parts.month - 1], MMM: MONTHS[parts.month - 1].slice(0, 3),
+      MM: pad(parts.month), M: String(parts.month), Do: ordinal(parts.day), DD: pad(parts.day), D: String(parts.day),
+      dddd: DAYS[weekday], ddd: DAYS[weekday].slice(0, 3), HH: pad(parts.hour), H: String(parts.hour),
+      hh: pad(hour12), h: String(hour12), mm: pad(parts.minute), m: String(parts.minute),
+      ss: pad(parts.second), s: String(parts.second), SSS: pad(parts.ms, 3),
+      A: parts.hour < 12 ? 'AM' : 'PM', a: parts.hour < 12 ? 'am' : 'pm',
+      X: String(Math.floor(new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second).getTime() / 1000)),
+      x: String(new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.ms).getTime()),
+      ZZ: '', Z: ''
+    };
+    return format.replace(FORMAT_TOKENS, (token, literal) => (literal !== undefined ? literal : values[token]));
+  },
+
+  /**
+   * Parse the chart into { dateFormat, tasks, excludes }. Each task:
+   * { id, explicitId, stmt, start, end } where start/end are
+   * { kind: 'date' | 'after' | 'until' | 'duration' | 'previous', text, ids? }.
+   */
+  parse(statements) {
+    const { PATTERNS, TAGS, STATEMENT_KEYWORDS } = LINT_CONFIG.GANTT;
+    let dateFormat = LINT_CONFIG.GANTT.DEFAULT_DATE_FORMAT;
+    const tasks = [];
+    const excludes = []; // { text, stmt }
+    let autoId = 0;
+
+    const field = (text) => {
+      const after = text.match(PATTERNS.AFTER);
+      if (after) return { kind: 'after', text, ids: after[2].trim().split(/\s+/) };
+      const until = text.match(PATTERNS.UNTIL);
+      if (until) return { kind: 'until', text, ids: until[2].trim().split(/\s+/) };
+      if (PATTERNS.DURATION.test(text)) return { kind: 'duration', text };
+      return { kind: 'date', text };
+    };
+
+    for (const stmt of statements) {
+      const { text } = stmt;
+      const format = text.match(PATTERNS.DATE_FORMAT);
+      if (format) {
+        dateFormat = format[1].trim();
+        continue;
+      }
+      const exclude = text.match(PATTERNS.EXCLUDES);
+      if (exclude) {
+        exclude[1].split(/[,\s]+/).filter(Boolean)
+          .filter((item) => !PATTERNS.WEEKDAY.test(item))
+          .forEach((item) => excludes.push({ text: item, stmt }));
+        continue;
+      }
+      if (STATEMENT_KEYWORDS.includes(stmt.keyword)) continue;
+      const task = text.match(PATTERNS.TASK);
+      if (!task) continue;
+
+      const data = task[2].split(',').map((part) => part.trim());
+      while (data.length > 1 && TAGS.includes(data[0])) data.shift();
+      // Like Mermaid, only tasks without an ID advance the task1, task2, ... counter
+      const entry = { id: data.length >= 3 ? data[0] : `task${++autoId}`, explicitId: data.length >= 3, stmt };
+      if (data.length >= 3) {
+        entry.start = field(data[1]);
+        entry.end = field(data[2]);
+      } else if (data.length === 2) {
+        entry.start = field(data[0]);
+        entry.end = field(data[1]);
+      } else {
+        entry.start = { kind: 'previous', text: '', ids: tasks.length ? [tasks[tasks.length - 1].id] : [] };
+        entry.end = field(data[0]);
+      }
+      tasks.push(entry);
+    }
+
+    return { dateFormat, tasks, excludes };
+  },
+
+  /**
+   * Dates that do not match dateFormat: offer the date rewritten in that format
+   * when it can be read some other way, otherwise report it as invalid
+   */
+  checkDate(text, stmt, compiled, dateFormat) {
+    const parsed = this.parseDate(text, compiled);
+    if (parsed && !parsed.invalid) return { parts: parsed, issue: null };
+
+    const column = LintUtils.column(stmt.raw, text, stmt.raw.indexOf(':'));
+    if (parsed && parsed.invalid) {
+      return {
+        parts: null,
+        issue: LintUtils.createIssue(
+          'invalid-date',
+          stmt.lineNum,
+          column,
+          `"${text}" matches "${dateFormat}" but is not a real date`,
+          'Check the day, month and time values'
+        )
+      };
+    }
+
+    const guesses = this.guessDates(text);
+    const normalized = Array.from(new Set(guesses.map((parts) => this.formatDate(parts, dateFormat))))
+      .filter((candidate) => this.parseDate(candidate, compiled));
+    if (!normalized.length) {
+      return {
+        parts: null,
+        issue: LintUtils.createIssue(
+          'invalid-date',
+          stmt.lineNum,
+          column,
+          `"${text}" is neither a date in "${dateFormat}" nor a duration (e.g. 3d, 2w) - Mermaid rejects it`,
+          `Write the date as ${dateFormat}`
+        )
+      };
+    }
+    return {
+      // Ambiguous readings can't be ordered reliably
+      parts: guesses.length === 1 ? guesses[0] : null,
+      issue: LintUtils.createIssue(
+        'date-format-mismatch',
+        stmt.lineNum,
+        column,
+        `"${text}" does not match dateFormat "${dateFormat}"`,
+        normalized.length > 1
+          ? `Day and month order is ambiguous - pick the intended date`
+          : `Write it as "${normalized[0]}"`,
+        { type: 'replace', text, replacements: normalized }
+      )
+    };
+  },
+
+  /**
+   * Task and excludes dates against dateFormat, and tasks that end before they start
+   */
+  analyzeDates({ dateFormat, tasks, excludes }) {
+    const issues = [];
+    const compiled = this.compileDateFormat(dateFormat);
+
+    for (const { text, stmt } of excludes) {
+      const { issue } = this.checkDate(text, stmt, compiled, dateFormat);
+      if (issue) issues.push(issue);
+    }
+
+    for (const task of tasks) {
+      const dates = {};
+      for (const key of ['start', 'end']) {
+        if (task[key].kind !== 'date') continue;
+        const { parts, issue } = this.checkDate(task[key].text, task.stmt, compiled, dateFormat);
+        if (issue) issues.push(issue);
+        dates[key] = parts;
+      }
+      if (dates.start && dates.end && this.sortKey(dates.end) < this.sortKey(dates.start)) {
+        // Swap the two dates, keeping whatever separator sits between them
+        const { raw } = task.stmt;
+        const startAt = raw.indexOf(task.start.text, raw.indexOf(':'));
+        const endAt = raw.indexOf(task.end.text, startAt + task.start.text.length);
+        const between = raw.slice(startAt + task.start.text.length, endAt);
+        issues.push(LintUtils.createIssue(
+          'end-before-start',
+          task.stmt.lineNum,
+          endAt + 1,
+          `Task ends (${task.end.text}) before it starts (${task.start.text})`,
+          'Swap the dates or correct the end date',
+          {
+            type: 'replace',
+            text: `${task.start.text}${between}${task.end.text}`,
+            replacements: [`${task.end.text}${between}${task.start.text}`]
+          }
+        ));
+      }
+    }
+
+    return issues;
+  },
+
+  /**
+   * Duplicate task IDs and "after"/"until" references to IDs that don't exist
+   */
+  analyzeTaskIds(tasks) {
+    const issues = [];
+    const firstById = new Map();
+
+    for (const task of tasks) {
+      if (!task.explicitId) continue;
+      const first = firstById.get(task.id);
+      if (!first) {
+        firstById.set(task.id, task);
+        continue;
+      }
+      issues.push(LintUtils.createIssue(
+        'duplicate-task-id',
+        task.stmt.lineNum,
+        LintUtils.wordColumn(task.stmt.raw, task.id),
+        `Task ID "${task.id}" is already used on line ${first.stmt.lineNum}`,
+        '"after"/"until" references resolve to only one of them - give each task its own ID'
+      ));
+    }
+
+    const known = new Set(tasks.map((task) => task.id));
+    for (const task of tasks) {
+      for (const key of ['start', 'end']) {
+        const ref = task[key];
+        if (ref.kind !== 'after' && ref.kind !== 'until') continue;
+        for (const id of ref.ids) {
+          if (known.has(id)) continue;
+          // Closest explicit IDs first; generated task1, task2, ... are rarely what was meant
+          const similar = Array.from(firstById.keys())
+            .filter((other) => LintUtils.areSimilarNodes(id, other))
+            .sort((a, b) => LintUtils.levenshteinDistance(id, a) - LintUtils.levenshteinDistance(id, b))
+            .slice(0, 3);
+          issues.push(LintUtils.createIssue(
+            'unknown-task-id',
+            task.stmt.lineNum,
+            LintUtils.wordColumn(task.stmt.raw, id),
+            `"${ref.kind} ${id}" refers to a task ID that does not exist`,
+            similar.length
+              ? `Did you mean "${similar[0]}"? Mermaid silently starts the task today instead`
+              : 'Mermaid silently uses today\'s date instead',
+            similar.length ? { type: 'replace', text: id, replacements: similar } : null
+          ));
+        }
+      }
+    }
+
+    return issues;
+  },
+
+  /**
+   * Tasks whose start/end depend on each other in a loop (through "after",
+   * "until" or an implicit start after the previous task)
+   */
+  analyzeCycles(tasks) {
+    const issues = [];
+    const byId = new Map();
+    tasks.forEach((task) => { if (!byId.has(task.id)) byId.set(task.id, task); });
+    const deps = (task) => [task.start, task.end]
+      .filter((ref) => ref.ids)
+      .flatMap((ref) => ref.ids)
+      .filter((id) => byId.has(id));
+
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const reported = new Set();
+    const visit = (task, path) => {
+      state.set(task.id, 'visiting');
+      path.push(task.id);
+      for (const id of deps(task)) {
+        if (state.get(id) === 'visiting') {
+          const cycle = path.slice(path.indexOf(id));
+          const key = [...cycle].sort().join('\u0000');
+          if (reported.has(key)) continue;
+          reported.add(key);
+          const first = byId.get(cycle[0]);
+          issues.push(LintUtils.createIssue(
+            'circular-dependency',
+            first.stmt.lineNum,
+            1,
+            `Circular dependency: ${[...cycle, id].join(' → ')}`,
+            'Break the loop by giving one of these tasks a fixed date'
+          ));
+        } else if (!state.has(id)) {
+          visit(byId.get(id), path);
+        }
+      }
+      path.pop();
+      state.set(task.id, 'done');
+    };
+    tasks.forEach((task) => { if (!state.has(task.id)) visit(task, []); });
+
+    return issues;
+  },
+
+  /**
+   * Run every gantt analyzer
+   */
+  analyze(lines) {
+    const chart = this.parse(LintAnalyzers.statements(lines));
+    return [
+      ...this.analyzeDates(chart),
+      ...this.analyzeTaskIds(chart.tasks),
+      ...this.analyzeCycles(chart.tasks)
+    ];
+  }
+};
+
+/**
+ * Accessibility rules for every diagram type whose grammar takes accTitle/accDescr:
+ * a missing accessible title or description, and style/classDef text colors
+ * that fail WCAG AA contrast against their fill.
+ */
+export const AccessibilityAnalyzers = {
+  /**
+   * [r, g, b] (0-255) of #rgb, #rrggbb, rgb()/rgba() or a color in NAMED_COLORS;
+   * null for anything else, see-through colors included
+   */
+  parseColor(value) {
+    const text = value.trim().toLowerCase();
+    const named = LINT_CONFIG.ACCESSIBILITY.NAMED_COLORS[text];
+    if (named) return this.parseColor(named);
+    let m = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (m) {
+      const hex = m[1].length <= 4 ? [...m[1]].map((c) => c + c).join('') : m[1];
+      if (hex.length === 8 && hex.slice(6) !== 'ff') return null;
+      return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+    }
+    m = text.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)(%?)\s*)?\)$/);
+    if (!m) return null;
+    if (m[4] !== undefined && parseFloat(m[4]) < (m[5] ? 100 : 1)) return null;
+    const rgb = m.slice(1, 4).map(Number);
+    return rgb.every((c) => c <= 255) ? rgb : null;
+  },
+
+  /**
+   * WCAG relative luminance of an [r, g, b] color
+   */
+  luminance(rgb) {
+    const [r, g, b] = rgb.map((c) => {
+      const s = c / 255;
+      return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  },
+
+  /**
+   * WCAG contrast ratio of two [r, g, b] colors, 1 to 21
+   */
+  contrastRatio(a, b) {
+    const [light, dark] = [this.luminance(a), this.luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+  },
+
+  /**
+   * Title the diagram already has (frontmatter "title:" or a "title" statement),
+   * reused as the scaffolded accTitle; '' when there is none
+   */
+  existingTitle(lines, header) {
+    const { PATTERNS } = LINT_CONFIG.ACCESSIBILITY;
+    for (let i = 0; i < header; i++) {
+      const m = lines[i].match(PATTERNS.FRONTMATTER_TITLE);
+      if (m) return m[1].replace(/^(["'])(.*)\1$/, '$2');
+    }
+    const stmt = LintAnalyzers.statements(lines).find((s) => PATTERNS.BODY_TITLE.test(s.text));
+    return stmt ? stmt.text.match(PATTERNS.BODY_TITLE)[1].trim() : '';
+  },
+
+  /**
+   * missing-acc-title / missing-acc-descr on the header line, with a fix that
+   * scaffolds the statement right after the header at the body's indentation
+   */
+  analyzeAccessibleText(lines) {
+    const { DIAGRAMS, PLACEHOLDERS } = LINT_CONFIG.ACCESSIBILITY;
+    const header = findDiagramHeader(lines);
+    const keyword = header === -1 ? '' : (lines[header].trim().match(/^([A-Za-z][\w-]*)/) || [])[1];
+    if (!DIAGRAMS.includes(keyword)) return [];
+
+    const acc = findAccessibilityText(lines);
+    const first = LintAnalyzers.statements(lines)[0];
+    const indent = first ? LintUtils.indentOf(first.raw) : `${LintUtils.indentOf(lines[header])}  `;
+    const issues = [];
+    if (!acc.titleLine) {
+      issues.push(LintUtils.createIssue(
+        'missing-acc-title',
+        header + 1,
+        1,
+        'Diagram has no accessible title (accTitle)',
+        'Screen readers announce the accTitle as the name of the diagram',
+        { type: 'scaffold', afterLine: header + 1, text: `${indent}accTitle: ${this.existingTitle(lines, header) || PLACEHOLDERS.TITLE}` }
+      ));
+    }
+    if (!acc.descriptionLine) {
+      issues.push(LintUtils.createIssue(
+        'missing-acc-descr',
+        header + 1,
+        1,
+        'Diagram has no accessible description (accDescr)',
+        'Screen readers read the accDescr to people who cannot see the diagram',
+        { type: 'scaffold', afterLine: acc.titleLine || header + 1, text: `${indent}accDescr: ${PLACEHOLDERS.DESCRIPTION}` }
+      ));
+    }
+    return issues;
+  },
+
+  /**
+   * style/classDef statements whose text color fails WCAG AA on their fill.
+   * The fix switches the text to black or white, whichever reads better.
+   */
+  analyzeContrast(lines) {
+    const { MIN_CONTRAST, PATTERNS } = LINT_CONFIG.ACCESSIBILITY;
+    const issues = [];
+    for (const stmt of LintAnalyzers.statements(lines)) {
+      const m = stmt.text.match(PATTERNS.STYLE);
+      if (!m) continue;
+      const props = {};
+      let offset = stmt.raw.indexOf(m[1]);
+      for (const piece of m[1].split(PATTERNS.PROPERTY_SEPARATOR)) {
+        const prop = piece.match(/^\s*([\w-]+)\s*:\s*/);
+        if (prop) props[prop[1]] = { value: piece.slice(prop[0].length).trim(), column: offset + prop[0].length + 1 };
+        offset += piece.length + 1;
+      }
+      if (!props.fill || !props.color) continue;
+      const fill = this.parseColor(props.fill.value);
+      const color = this.parseColor(props.color.value);
+      if (!fill || !color) continue;
+      const ratio = this.contrastRatio(fill, color);
+      if (ratio >= MIN_CONTRAST) continue;
+
+      const better = this.contrastRatio(fill, [0, 0, 0]) >= this.contrastRatio(fill, [255, 255, 255]) ? '#000' : '#fff';
+      issues.push(LintUtils.createIssue(
+        'low-contrast',
+        stmt.lineNum,
+        props.color.column,
+        `Text color ${props.color.value} on fill ${props.fill.value} has a contrast ratio of ${ratio.toFixed(2)}:1 (WCAG AA needs ${MIN_CONTRAST}:1)`,
+        `Use ${better} for text on this fill`,
+        { type: 'replace', text: props.color.value, replacements: [better] }
+      ));
+    }
+    return issues;
+  },
+
+  /**
+   * Run every accessibility analyzer
+   */
+  analyze(lines) {
+    return [...this.analyzeAccessibleText(lines), ...this.analyzeContrast(lines)];
+  }
+};
+
+/**
+ * "%% lint-disable" comments: rules silenced for the whole file or the next line.
+ * Without rule IDs every rule is silenced.
+ */
+export const LintSuppression = {
+  /**
+   * Returns { file: Set, byLine: Map<lineNum, Set> } of rule IDs ('*' = all)
+   */
+  parse(lines) {
+    const file = new Set();
+    const byLine = new Map();
+    lines.forEach((raw, i) => {
+      const match = raw.trim().match(LINT_CONFIG.PATTERNS.SUPPRESSION);
+      if (!match) return;
+      const rules = (match[2] || '').split(/[\s,]+/).filter(Boolean);
+      let target = file;
+      if (match[1]) {
+        target = byLine.get(i + 2) || new Set();
+        byLine.set(i + 2, target);
+      }
+      (rules.length ? rules : ['*']).forEach((rule) => target.add(rule));
+    });
+    return { file, byLine };
+  },
+
+  isSuppressed(issue, { file, byLine }) {
+    const covers = (rules) => !!rules && (rules.has('*') || rules.has(issue.type));
+    return covers(file) || covers(byLine.get(issue.line));
+  }
+};
+
+/**
+ * Main lint analysis engine
+ */
+export const MermaidLint = {
+  /**
+   * Analyze Mermaid code and return list of issues, filtered and graded by the
+   * lint settings and suppression comments
+   */
+  analyze(code) {
+    if (!code || !code.trim()) return [];
+
+    const lines = code.split(/\r?\n/);
+    return LintSettings.apply(this.runAnalyzers(lines), lines);
+  },
+
+  /**
+   * Run the analyzers for the diagram type, then the accessibility rules
+   */
+  runAnalyzers(lines) {
+    return [...this.runTypeAnalyzers(lines), ...AccessibilityAnalyzers.analyze(lines)];
+  },
+
+  /**
+   * Run the analyzers for the diagram type
+   */
+  runTypeAnalyzers(lines) {
+    const issues = [];
+
+    // Each diagram type has its own rules; flowchart rules misread other syntaxes
+    switch (LintAnalyzers.detectDiagramType(lines)) {
+      case 'flowchart': break;
+      case 'sequence': return SequenceAnalyzers.analyze(lines);
+      case 'class': return LintAnalyzers.analyzeClassDiagram(lines);
+      case 'state': return LintAnalyzers.analyzeStateDiagram(lines);
+      case 'er': return LintAnalyzers.analyzeErDiagram(lines);
+      case 'gantt': return GanttAnalyzers.analyze(lines);
+      default: return [];
+    }
+    
+    // Run individual analyzers
+    issues.push(...LintAnalyzers.analyzeDirections(lines));
+    issues.push(...LintAnalyzers.analyzeSubgraphs(lines));
+    
+    // Graph semantics from the parsed nodes and links
+    const graph = LintAnalyzers.buildFlowchartGraph(lines);
+    issues.push(...LintAnalyzers.analyzeTypos(graph));
+    issues.push(...LintAnalyzers.analyzeConnectivity(graph));
+    issues.push(...LintAnalyzers.analyzeCycles(graph));
+    issues.push(...LintAnalyzers.analyzeDuplicateEdges(graph));
+    issues.push(...LintAnalyzers.analyzeStyleTargets(graph));
+    
+    return issues;
+  },
+
+  /**
+   * Summary stats for the panel header, or null for diagram types without them
+   */
+  summarize(code) {
+    if (!code || !code.trim()) return null;
+    const lines = code.split(/\r?\n/);
+    if (LintAnalyzers.detectDiagramType(lines) !== 'flowchart') return null;
+    return LintAnalyzers.flowchartStats(LintAnalyzers.buildFlowchartGraph(lines));
+  }
+};
+
+/**
+ * Main analysis function (public API)
+ */
+export function analyzeMermaidCode(code) {
+  return MermaidLint.analyze(code);
+}
+
+// ---------- Quick fixes ----------
+
+/**
+ * Quick fixes as line edits on the source, so one fix or all of them can be
+ * previewed and applied in a single pass over the original lines:
+ *   { kind: 'replace', line, column, text, replacement }
+ *   { kind: 'remove', line }
+ *   { kind: 'insert', afterLine, text, closer? }
+ * closer marks the "end"/"}" that closes a block.
+ */
+export const QuickFixes = {
+  /**
+   * Edits for an issue's fix; choice picks one of several replacements
+   */
+  edits(issue, choice = 0) {
+    const fix = issue.quickFix;
+    if (!fix) return [];
+    switch (fix.type) {
+      case 'replace': {
+        const replacement = fix.replacements[choice];
+        if (replacement === undefined) return [];
+        return [{ kind: 'replace', line: issue.line, column: issue.column, text: fix.text, replacement }];
+      }
+      case 'add-end':
+        return [{ kind: 'insert', afterLine: fix.afterLine, text: `${fix.indent || ''}${fix.text || 'end'}`, closer: true }];
+      case 'insert-line':
+      case 'scaffold':
+        return [{ kind: 'insert', afterLine: fix.afterLine, text: fix.text }];
+      case 'remove-line':
+        return [{ kind: 'remove', line: fix.line }];
+      default:
+        return [];
+    }
+  },
+
+  /**
+   * Whether "Fix all" may apply the fix: replacements with a single candidate
+   * and every structural fix. Picking among several candidates, and scaffolds
+   * whose placeholder text the author still has to write, are left to the user.
+   */
+  isUnambiguous(issue) {
+    const fix = issue.quickFix;
+    if (!fix || fix.type === 'scaffold') return false;
+    return fix.type !== 'replace' || fix.replacements.length === 1;
+  },
+
+  /**
+   * Apply edits to lines (line numbers refer to the original lines) and return
+   * the new lines. Identical replacements are applied once. Lines inserted at
+   * the same place are ordered by nesting: deeper indented lines first, and a
+   * closer before other lines at its own indentation, which sit outside its block.
+   */
+  apply(lines, edits) {
+    const removed = new Set();
+    const replaces = new Map(); // line -> edits
+    const inserts = new Map(); // afterLine -> edits
+    const seen = new Set();
+    for (const edit of edits) {
+      if (edit.kind === 'remove') {
+        removed.add(edit.line);
+      } else if (edit.kind === 'replace') {
+        const key = JSON.stringify(edit);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (!replaces.has(edit.line)) replaces.set(edit.line, []);
+        replaces.get(edit.line).push(edit);
+      } else if (edit.kind === 'insert') {
+        const after = Math.max(0, Math.min(edit.afterLine, lines.length));
+        if (!inserts.has(after)) inserts.set(after, []);
+        inserts.get(after).push(edit);
+      }
+    }
+
+    const depth = (edit) => LintUtils.indentOf(edit.text).length;
+    const insertsAfter = (lineNum) => (inserts.get(lineNum) || [])
+      .map((edit, order) => ({ edit, order }))
+      .sort((a, b) => depth(b.edit) - depth(a.edit) || !!b.edit.closer - !!a.edit.closer || a.order - b.order)
+      .map(({ edit }) => edit.text);
+
+    const out = insertsAfter(0);
+    lines.forEach((raw, i) => {
+      const lineNum = i + 1;
+      if (!removed.has(lineNum)) {
+        // Right to left, so earlier columns stay valid
+        const edited = (replaces.get(lineNum) || [])
+          .sort((a, b) => b.column - a.column)
+          .reduce((text, edit) => this.replaceAt(text, edit), raw);
+        out.push(edited);
+      }
+      out.push(...insertsAfter(lineNum));
+    });
+    return out;
+  },
+
+  /**
+   * Replace the occurrence of edit.text closest to edit.column
+   */
+  replaceAt(raw, { column, text, replacement }) {
+    let best = -1;
+    for (let at = raw.indexOf(text); at !== -1; at = raw.indexOf(text, at + 1)) {
+      if (best === -1 || Math.abs(at - (column - 1)) < Math.abs(best - (column - 1))) best = at;
+    }
+    return best === -1 ? raw : raw.slice(0, best) + replacement + raw.slice(best + text.length);
+  },
+
+  /**
+   * Source with one issue's fix applied
+   */
+  applyOne(code, issue, choice = 0) {
+    return this.apply(code.split('\n'), this.edits(issue, choice)).join('\n');
+  },
+
+  /**
+   * Source with every unambiguous fix applied, plus the issues that were fixed
+   */
+  applyAll(code, issues) {
+    const fixed = issues.filter((issue) => this.isUnambiguous(issue));
+    const edits = fixed.flatMap((issue) => this.edits(issue));
+    return { code: this.apply(code.split('\n'), edits).join('\n'), fixed };
+  }
+};
+
+// ---------- Lint settings ----------
+
+const LINT_TYPO_DEFAULTS = { ...LINT_CONFIG.TYPO_DETECTION };
+
+/**
+ * Per-rule switches and severities plus typo thresholds. toStorage/fromStorage
+ * use the stored shape, overrides of the defaults only:
+ * { rules: { [type]: { enabled?, severity? } }, typo: { MAX_DISTANCE?, ... } }
+ */
+export const LintSettings = {
+  rules: {},
+
+  isEnabled(type) {
+    return !(this.rules[type] && this.rules[type].enabled === false);
+  },
+
+  severity(type) {
+    const override = this.rules[type] && this.rules[type].severity;
+    const config = LINT_CONFIG.ISSUE_TYPES[type];
+    return override || (config && config.severity) || 'warning';
+  },
+
+  /**
+   * Record a rule override, dropping values that match the default
+   */
+  setRule(type, { enabled, severity }) {
+    const rule = { ...this.rules[type] };
+    if (enabled !== undefined) {
+      if (enabled) delete rule.enabled;
+      else rule.enabled = false;
+    }
+    if (severity !== undefined) {
+      const config = LINT_CONFIG.ISSUE_TYPES[type];
+      if (config && config.severity === severity) delete rule.severity;
+      else rule.severity = severity;
+    }
+    if (Object.keys(rule).length) this.rules[type] = rule;
+    else delete this.rules[type];
+  },
+
+  setTypo(values) {
+    Object.assign(LINT_CONFIG.TYPO_DETECTION, LINT_TYPO_DEFAULTS, values);
+  },
+
+  /**
+   * Drop disabled and suppressed issues; stamp the configured severity on the rest
+   */
+  apply(issues, lines) {
+    const suppressed = LintSuppression.parse(lines);
+    return issues
+      .filter((issue) => this.isEnabled(issue.type) && !LintSuppression.isSuppressed(issue, suppressed))
+      .map((issue) => ({ ...issue, severity: this.severity(issue.type) }));
+  },
+
+  toStorage() {
+    const typo = {};
+    for (const [key, value] of Object.entries(LINT_CONFIG.TYPO_DETECTION)) {
+      if (value !== LINT_TYPO_DEFAULTS[key]) typo[key] = value;
+    }
+    return { rules: this.rules, typo };
+  },
+
+  fromStorage(stored) {
+    const { rules, typo } = stored || {};
+    this.rules = rules && typeof rules === 'object' ? { ...rules } : {};
+    this.setTypo(typo && typeof typo === 'object' ? typo : {});
+  },
+
+  reset() {
+    this.fromStorage(null);
+  }
+};
+
+// ---------- Diagram structure ----------
+// Nodes, connections and groups as plain data for the viewer's keyboard
+// navigation and text outline, built with the same parsers as the lint rules.
+
+// How DiagramStructure.flowchartDiff marks each kind of change: a classDef
+// for nodes and a linkStyle for links
+const DIFF_CONFIG = {
+  STYLES: {
+    added: {
+      cls: 'diffAdded',
+      node: 'fill:#dcfce7,stroke:#16a34a,stroke-width:2px,color:#14532d',
+      link: 'stroke:#16a34a,stroke-width:3px'
+    },
+    removed: {
+      cls: 'diffRemoved',
+      node: 'fill:#fee2e2,stroke:#dc2626,stroke-width:2px,stroke-dasharray:5 3,color:#7f1d1d',
+      link: 'stroke:#dc2626,stroke-width:2px,stroke-dasharray:5 3'
+    },
+    changed: {
+      cls: 'diffChanged',
+      node: 'fill:#fef3c7,stroke:#d97706,stroke-width:2px,color:#78350f',
+      link: 'stroke:#d97706,stroke-width:3px'
+    }
+  }
+};
+
+// "%% step" or "%% step: Title" starts a step of DiagramStructure.presentationSteps
+const STEP_MARKER = /^\s*%%\s*step\b[\s:]*(.*)$/i;
+
+/**
+ * Structure of a flowchart, sequence, class or state diagram:
+ * {
+ *   kind,
+ *   nodes: [{ id, line, parent }],
+ *   edges: [{ from, to, label, line, directed }],
+ *   groups: [{ id, label, line, parent }]
+ * }
+ * in source order. parent is the ID of the enclosing subgraph (a group) or
+ * composite state (a node), or null. Undirected links connect both ways.
+ */
+export const DiagramStructure = {
+  /**
+   * Structure of the source, or null for other diagram types
+   */
+  build(code) {
+    if (!code || !code.trim()) return null;
+    const lines = code.split(/\r?\n/);
+    switch (LintAnalyzers.detectDiagramType(lines)) {
+      case 'flowchart': return this.flowchart(lines);
+      case 'sequence': return this.sequence(lines);
+      case 'class': return this.classDiagram(lines);
+      case 'state': return this.state(lines);
+      default: return null;
+    }
+  },
+
+  flowchart(lines) {
+    const graph = LintAnalyzers.buildFlowchartGraph(lines);
+    return {
+      kind: 'flowchart',
+      nodes: Array.from(graph.nodes.values(), (node) => ({ id: node.id, line: node.stmt.lineNum, parent: node.parent })),
+      edges: graph.edges.map((edge) => ({
+        from: edge.from,
+        to: edge.to,
+        label: edge.label,
+        line: edge.stmt.lineNum,
+        directed: edge.directed && !edge.bidirectional
+      })),
+      groups: Array.from(graph.subgraphs, ([id, subgraph]) => ({
+        id,
+        label: this.subgraphLabel(subgraph.stmt.raw, id),
+        line: subgraph.stmt.lineNum,
+        parent: subgraph.parent
+      }))
+    };
+  },
+
+  /**
+   * Title of "subgraph id [Title]", "subgraph id" or "subgraph "Title""
+   */
+  subgraphLabel(raw, id) {
+    let rest = raw.trim().replace(/^subgraph\s*/, '');
+    if (rest.startsWith(id)) rest = rest.slice(id.length).trim();
+    const title = rest.replace(/^\[(.*)\]$/, '$1').replace(/^"(.*)"$/, '$1').trim();
+    return title || id;
+  },
+
+  sequence(lines) {
+    const { PATTERNS } = LINT_CONFIG.SEQUENCE;
+    const nodes = new Map();
+    const edges = [];
+    const add = (id, stmt) => {
+      if (!nodes.has(id)) nodes.set(id, { id, line: stmt.lineNum, parent: null });
+    };
+    for (const stmt of SequenceAnalyzers.statements(lines)) {
+      const decl = stmt.text.match(PATTERNS.DECLARATION);
+      if (decl) {
+        add(decl[2].replace(/@\{.*$/, '').trim(), stmt);
+        continue;
+      }
+      const msg = SequenceAnalyzers.parseMessage(stmt);
+      if (!msg || !msg.valid) continue;
+      add(msg.from, stmt);
+      add(msg.to, stmt);
+      const label = stmt.text.slice(stmt.text.indexOf(':') + 1).trim();
+      edges.push({ from: msg.from, to: msg.to, label, line: stmt.lineNum, directed: true });
+    }
+    return { kind: 'sequence', nodes: Array.from(nodes.values()), edges, groups: [] };
+  },
+
+  classDiagram(lines) {
+    const statements = LintAnalyzers.statements(lines);
+    const { members, relations } = LintAnalyzers.parseClassDiagram(statements);
+    const nodes = new Map();
+    const add = (id, stmt) => {
+      if (!nodes.has(id)) nodes.set(id, { id, line: stmt.lineNum, parent: null });
+    };
+    for (const stmt of statements) {
+      const cls = stmt.text.match(LINT_CONFIG.CLASS.PATTERNS.CLASS);
+      if (cls) add(cls[1], stmt);
+    }
+    members.forEach(({ cls, stmt }) => add(cls, stmt));
+    relations.forEach(({ from, to, stmt }) => {
+      add(from, stmt);
+      add(to, stmt);
+    });
+    const edges = relations.map(({ from, to, stmt }) => ({
+      from,
+      to,
+      label: (stmt.text.match(/:\s*(.*)$/) || ['', ''])[1].trim(),
+      line: stmt.lineNum,
+      directed: false
+    }));
+    return { kind: 'class', nodes: Array.from(nodes.values()).sort((a, b) => a.line - b.line), edges, groups: [] };
+  },
+
+  state(lines) {
+    const statements = LintAnalyzers.statements(lines);
+    const { states, transitionList } = LintAnalyzers.parseStateDiagram(statements, lines);
+    return {
+      kind: 'state',
+      nodes: Array.from(states, ([id, state]) => ({ id, line: state.stmt.lineNum, parent: state.parent || null })),
+      // [*] is drawn once per composite state and is not a node of its own
+      edges: transitionList
+        .filter(({ from, to }) => from !== '[*]' && to !== '[*]')
+        .map(({ from, to, stmt }) => ({
+          from,
+          to,
+          label: (stmt.text.match(/:\s*(.*)$/) || ['', ''])[1].trim(),
+          line: stmt.lineNum,
+          directed: true
+        })),
+      groups: []
+    };
+  },
+
+  /**
+   * Nodes reachable over one link from id, and nodes that link to it:
+   * { outgoing: [{ id, label }], incoming: [{ id, label }] }
+   */
+  connections(structure, id) {
+    const outgoing = [];
+    const incoming = [];
+    for (const edge of structure.edges) {
+      if (edge.from === id) outgoing.push({ id: edge.to, label: edge.label });
+      else if (edge.to === id) (edge.directed ? incoming : outgoing).push({ id: edge.from, label: edge.label });
+    }
+    return { outgoing, incoming };
+  },
+
+  /**
+   * Steps along the links, forwards or backwards: Map id -> [{ id, index }]
+   * with index into structure.edges. Undirected links go both ways.
+   */
+  steps(structure, forward) {
+    const out = new Map();
+    const add = (from, to, index) => {
+      if (!out.has(from)) out.set(from, []);
+      out.get(from).push({ id: to, index });
+    };
+    structure.edges.forEach((edge, index) => {
+      if (forward || !edge.directed) add(edge.from, edge.to, index);
+      if (!forward || !edge.directed) add(edge.to, edge.from, index);
+    });
+    return out;
+  },
+
+  /**
+   * What feeds into id ('up'), what it leads to ('down') or both, at most
+   * depth links away: { nodes: Set of IDs, edges: Set of edge indexes }
+   */
+  trace(structure, id, { direction = 'both', depth = Infinity } = {}) {
+    const nodes = new Set([id]);
+    const edges = new Set();
+    const walk = (forward) => {
+      const steps = this.steps(structure, forward);
+      const seen = new Set([id]);
+      let frontier = [id];
+      for (let level = 0; level < depth && frontier.length; level++) {
+        const next = [];
+        for (const from of frontier) {
+          for (const step of steps.get(from) || []) {
+            edges.add(step.index);
+            nodes.add(step.id);
+            if (!seen.has(step.id)) {
+              seen.add(step.id);
+              next.push(step.id);
+            }
+          }
+        }
+        frontier = next;
+      }
+    };
+    if (direction !== 'down') walk(false);
+    if (direction !== 'up') walk(true);
+    return { nodes, edges };
+  },
+
+  /**
+   * Fewest links from one node to another, following link direction:
+   * { nodes: [from, ..., to], edges: [edge indexes] }, or null
+   */
+  shortestPath(structure, from, to) {
+    const steps = this.steps(structure, true);
+    const prev = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length && !prev.has(to)) {
+      const id = queue.shift();
+      for (const step of steps.get(id) || []) {
+        if (prev.has(step.id)) continue;
+        prev.set(step.id, { id, index: step.index });
+        queue.push(step.id);
+      }
+    }
+    if (!prev.has(to)) return null;
+    const nodes = [to];
+    const edges = [];
+    for (let back = prev.get(to); back; back = prev.get(back.id)) {
+      nodes.unshift(back.id);
+      edges.unshift(back.index);
+    }
+    return { nodes, edges };
+  },
+
+  /**
+   * Source text of a flowchart statement. Its masked text stops before a
+   * trailing label such as the title of 'subgraph "Title"'; this runs to the
+   * next ";" or comment instead.
+   */
+  statementSource(stmt) {
+    const start = stmt.column - 1;
+    const masked = maskSourceLine(stmt.raw, 'flowchart');
+    const ends = [masked.indexOf(';', start + stmt.text.length), stmt.raw.indexOf('%%', start + stmt.text.length)];
+    const end = Math.min(...ends.filter((i) => i !== -1), stmt.raw.length);
+    return stmt.raw.slice(start, end).trim();
+  },
+
+  /**
+   * A smaller flowchart with only the given nodes and links (edge indexes as
+   * in DiagramStructure.flowchart). Nodes keep their shapes and subgraphs,
+   * and classDef/class/style lines for them are carried over; comments,
+   * accTitle/accDescr, linkStyle and click lines are not.
+   */
+  flowchartSubset(code, { nodes: keep, edges: keepEdges }) {
+    const lines = code.split(/\r?\n/);
+    const header = findDiagramHeader(lines);
+    const graph = LintAnalyzers.buildFlowchartGraph(lines);
+    const { PATTERNS } = LINT_CONFIG.FLOWCHART;
+    const source = (stmt) => this.statementSource(stmt);
+    const body = lines.slice(header + 1).find((line) => line.trim()) || '';
+    const unit = body.match(/^\s*/)[0] || '    ';
+    const indent = (level) => unit.repeat(level);
+
+    // Frontmatter and %%{init}%% directives still apply
+    const out = lines.slice(0, header).filter((line) => !/^\s*%%(?!\{)/.test(line));
+    out.push(lines[header].trim().match(/^\S+(?:\s+[A-Za-z]{2}\b)?/)[0]);
+
+    const subgraphs = new Set();
+    for (const id of keep) {
+      if (graph.subgraphs.has(id)) subgraphs.add(id);
+      LintAnalyzers.flowchartAncestors(graph, id).forEach((parent) => subgraphs.add(parent));
+    }
+    const addLevel = (parent, level) => {
+      const items = [
+        ...Array.from(subgraphs, (id) => ({ id, ...graph.subgraphs.get(id), subgraph: true })),
+        ...Array.from(graph.nodes.values()).filter((node) => keep.has(node.id))
+      ].filter((item) => item.parent === parent)
+        .sort((a, b) => a.stmt.lineNum - b.stmt.lineNum || a.column - b.column);
+      for (const item of items) {
+        if (item.subgraph) {
+          out.push(indent(level) + source(item.stmt));
+          addLevel(item.id, level + 1);
+          out.push(`${indent(level)}end`);
+        } else {
+          const cls = item.cls && !item.definition.includes(':::') ? `:::${item.cls}` : '';
+          out.push(indent(level) + (item.definition || item.id) + cls);
+        }
+      }
+    };
+    addLevel(null, 1);
+
+    [...keepEdges].sort((a, b) => a - b).forEach((index) => {
+      const edge = graph.edges[index];
+      out.push(`${indent(1)}${edge.from} ${edge.link} ${edge.to}`);
+    });
+
+    for (const stmt of LintAnalyzers.flowchartStatements(lines)) {
+      const { text } = stmt;
+      if (PATTERNS.CLASS_DEF.test(text)) {
+        out.push(indent(1) + source(stmt));
+        continue;
+      }
+      const assign = text.match(PATTERNS.CLASS_ASSIGN);
+      if (assign) {
+        const ids = assign[1].split(',').map((id) => id.trim()).filter((id) => keep.has(id));
+        if (ids.length) out.push(`${indent(1)}class ${ids.join(',')} ${assign[2]}`);
+        continue;
+      }
+      const style = text.match(PATTERNS.STYLE);
+      if (style && keep.has(style[1])) out.push(indent(1) + source(stmt));
+    }
+    return out.join('\n');
+  },
+
+  /**
+   * The flowchart with the given subgraphs drawn as single placeholder nodes:
+   * { code, placeholders: Map placeholder node ID -> subgraph ID }. A
+   * placeholder takes its subgraph's ID (subgraphs without one get
+   * collapsed_<line>). Links into or out of a collapsed subgraph are rerouted
+   * to the placeholder, once per pair and arrow; links inside it are dropped,
+   * and so are numbered linkStyle lines since link indexes change.
+   */
+  collapseSubgraphs(code, collapsed) {
+    const lines = code.split(/\r?\n/);
+    const graph = LintAnalyzers.buildFlowchartGraph(lines);
+    const statements = LintAnalyzers.flowchartStatements(lines);
+    const { PATTERNS, STATEMENT_KEYWORDS } = LINT_CONFIG.FLOWCHART;
+    const source = (stmt) => this.statementSource(stmt);
+    const keyOf = (stmt) => `${stmt.lineNum}:${stmt.column}`;
+
+    // Lines of each closed subgraph block, with IDs as in buildFlowchartGraph
+    const blocks = new Map();
+    const stack = [];
+    for (const stmt of statements) {
+      if (/^subgraph\b/.test(stmt.text)) {
+        const m = stmt.text.match(PATTERNS.SUBGRAPH);
+        stack.push({ id: m && m[1] ? m[1] : `subgraph@${stmt.lineNum}`, stmt });
+      } else if (stmt.text === 'end' && stack.length) {
+        const open = stack.pop();
+        blocks.set(open.id, { stmt: open.stmt, start: open.stmt.lineNum, end: stmt.lineNum });
+      }
+    }
+
+    // Outermost collapsed subgraph around a node or subgraph (or itself)
+    const owner = (id) => [id, ...LintAnalyzers.flowchartAncestors(graph, id)]
+      .reverse()
+      .find((sub) => collapsed.has(sub) && blocks.has(sub));
+    const placeholders = new Map();
+    const placeholderOf = new Map();
+    const taken = new Set([...graph.nodes.keys(), ...graph.subgraphs.keys()]);
+    for (const [id, block] of blocks) {
+      if (owner(id) !== id) continue;
+      let placeholder = id;
+      if (id.startsWith('subgraph@')) {
+        placeholder = `collapsed_${block.start}`;
+        while (taken.has(placeholder)) placeholder += '_';
+        taken.add(placeholder);
+      }
+      placeholders.set(placeholder, id);
+      placeholderOf.set(id, placeholder);
+    }
+    if (!placeholders.size) return { code, placeholders };
+    const hidden = (id) => !!owner(id);
+    const mapId = (id) => (hidden(id) ? placeholderOf.get(owner(id)) : id);
+
+    const removed = new Set();
+    const placeholderLines = new Map();
+    for (const [id, placeholder] of placeholderOf) {
+      const block = blocks.get(id);
+      for (let line = block.start; line <= block.end; line++) removed.add(line);
+      const count = Array.from(graph.nodes.keys()).filter((node) => owner(node) === id).length;
+      const label = this.subgraphLabel(source(block.stmt), id).replace(/"/g, '#quot;');
+      const indent = lines[block.start - 1].match(/^\s*/)[0];
+      placeholderLines.set(block.start, `${indent}${placeholder}[["▸ ${label} (${count} node${count === 1 ? '' : 's'})"]]:::collapsedSubgraph`);
+    }
+
+    // Statements outside the blocks that mention hidden nodes are rewritten;
+    // their links, like those inside the blocks, are re-added at the end
+    const rewrites = new Map();
+    const rerouted = new Set(statements.filter((stmt) => removed.has(stmt.lineNum)).map(keyOf));
+    for (const stmt of statements) {
+      if (removed.has(stmt.lineNum)) continue;
+      const { text } = stmt;
+      const keyword = (text.match(/^[A-Za-z]+/) || [''])[0];
+      let texts = null;
+      if (keyword === 'class') {
+        const m = text.match(PATTERNS.CLASS_ASSIGN);
+        const ids = m ? m[1].split(',').map((id) => id.trim()).filter(Boolean) : [];
+        if (ids.some(hidden)) {
+          const kept = ids.filter((id) => !hidden(id));
+          texts = kept.length ? [`class ${kept.join(',')} ${m[2]}`] : [];
+        }
+      } else if (keyword === 'style' || keyword === 'click') {
+        if (hidden(text.split(/\s+/)[1] || '')) texts = [];
+      } else if (keyword === 'linkStyle') {
+        if (!/^linkStyle\s+default\b/.test(text)) texts = [];
+      } else if (!STATEMENT_KEYWORDS.includes(keyword)) {
+        const entries = LintAnalyzers.parseFlowchartChain(text).groups.flat();
+        if (entries.some((entry) => hidden(entry.id))) {
+          rerouted.add(keyOf(stmt));
+          // Nodes stay where they are defined or first appear
+          const defines = (entry) => entry.length > entry.id.length || keyOf(graph.nodes.get(entry.id)?.stmt || {}) === keyOf(stmt);
+          texts = [...new Set(entries
+            .filter((entry) => !hidden(entry.id) && defines(entry))
+            .map((entry) => stmt.raw.substr(stmt.column - 1 + entry.offset, entry.length)))];
+        }
+      }
+      if (texts) rewrites.set(keyOf(stmt), texts);
+    }
+
+    const out = [];
+    lines.forEach((line, i) => {
+      const lineNum = i + 1;
+      if (placeholderLines.has(lineNum)) out.push(placeholderLines.get(lineNum));
+      if (removed.has(lineNum)) return;
+      const stmts = statements.filter((stmt) => stmt.lineNum === lineNum);
+      if (!stmts.some((stmt) => rewrites.has(keyOf(stmt)))) {
+        out.push(line);
+        return;
+      }
+      // Rebuild the line; ";"-separated statements become separate lines
+      const prefix = line.slice(0, stmts[0].column - 1);
+      const texts = stmts.flatMap((stmt) => rewrites.get(keyOf(stmt)) || [source(stmt)]);
+      if (texts.length) out.push(prefix + texts.join(`\n${line.match(/^\s*/)[0]}`));
+      else if (prefix.trim()) out.push(prefix.trimEnd());
+    });
+
+    const header = findDiagramHeader(lines);
+    const unit = (lines.slice(header + 1).find((line) => line.trim()) || '').match(/^\s*/)[0] || '    ';
+    const links = new Set();
+    for (const edge of graph.edges) {
+      if (!rerouted.has(keyOf(edge.stmt))) continue;
+      const from = mapId(edge.from);
+      const to = mapId(edge.to);
+      if (from !== to) links.add(`${unit}${from} ${edge.link} ${to}`);
+    }
+    out.push(...links, `${unit}classDef collapsedSubgraph stroke-dasharray:5 3,stroke-width:2px`);
+    return { code: out.join('\n'), placeholders };
+  },
+
+  /**
+   * Label of a flowchart node (from buildFlowchartGraph) as written in its
+   * definition, else its ID
+   */
+  flowchartNodeLabel(node) {
+    const shape = (node.definition || '').slice(node.id.length).replace(/:::[\w-]+$/, '');
+    const label = shape.replace(/^[[({>/\\]+/, '').replace(/[\])}/\\]+$/, '').trim();
+    return label.replace(/^"(.*)"$/, '$1').trim() || node.id;
+  },
+
+  /**
+   * What changed from one flowchart to another, drawn as one diagram:
+   * { code, changes }, or null unless both are flowcharts. code is the newer
+   * source with removed nodes and links added back at the end (outside any
+   * subgraph) and classes and linkStyles marking each change. changes:
+   * [{ change: 'added' | 'removed' | 'changed', kind: 'node' | 'edge', id or
+   * from/to, label, before, edge }] with before the old label of a changed
+   * one and edge the index into DiagramStructure.build(code).edges. Nodes are
+   * matched by ID, links by their ends and then by label; a node or link
+   * with a new label counts as changed.
+   */
+  flowchartDiff(before, after) {
+    const oldLines = before.split(/\r?\n/);
+    const newLines = after.split(/\r?\n/);
+    if (LintAnalyzers.detectDiagramType(oldLines) !== 'flowchart' || LintAnalyzers.detectDiagramType(newLines) !== 'flowchart') return null;
+    const oldGraph = LintAnalyzers.buildFlowchartGraph(oldLines);
+    const newGraph = LintAnalyzers.buildFlowchartGraph(newLines);
+    const label = (node) => this.flowchartNodeLabel(node);
+    const restored = [];
+
+    const nodeChanges = [];
+    for (const node of newGraph.nodes.values()) {
+      const old = oldGraph.nodes.get(node.id);
+      if (!old) nodeChanges.push({ change: 'added', kind: 'node', id: node.id, label: label(node) });
+      else if (label(old) !== label(node)) nodeChanges.push({ change: 'changed', kind: 'node', id: node.id, label: label(node), before: label(old) });
+    }
+    for (const node of oldGraph.nodes.values()) {
+      if (newGraph.nodes.has(node.id)) continue;
+      nodeChanges.push({ change: 'removed', kind: 'node', id: node.id, label: label(node) });
+      restored.push(node.definition ? node.definition.replace(/:::[\w-]+$/, '') : node.id);
+    }
+
+    // Same ends and label first, so a relabelled link does not take the
+    // place of an unchanged one between the same nodes
+    const ends = (edge) => (edge.directed && !edge.bidirectional ? [edge.from, edge.to] : [edge.from, edge.to].sort()).join('\u0000');
+    const unmatched = oldGraph.edges.slice();
+    const take = (edge, sameLabel) => {
+      const i = unmatched.findIndex((old) => ends(old) === ends(edge) && (!sameLabel || old.label === edge.label));
+      return i === -1 ? null : unmatched.splice(i, 1)[0];
+    };
+    const kept = new Set(newGraph.edges.map((edge, index) => (take(edge, true) ? index : -1)));
+    const edgeChanges = [];
+    newGraph.edges.forEach((edge, index) => {
+      if (kept.has(index)) return;
+      const old = take(edge, false);
+      const { from, to } = edge;
+      edgeChanges.push(old
+        ? { change: 'changed', kind: 'edge', from, to, label: edge.label, before: old.label, edge: index }
+        : { change: 'added', kind: 'edge', from, to, label: edge.label, edge: index });
+    });
+    unmatched.forEach((edge, i) => {
+      edgeChanges.push({ change: 'removed', kind: 'edge', from: edge.from, to: edge.to, label: edge.label, edge: newGraph.edges.length + i });
+      restored.push(`${edge.from} ${edge.link} ${edge.to}`);
+    });
+
+    const header = findDiagramHeader(newLines);
+    const unit = (newLines.slice(header + 1).find((line) => line.trim()) || '').match(/^\s*/)[0] || '    ';
+    const out = [after.trimEnd(), ...restored.map((line) => unit + line)];
+    for (const [change, style] of Object.entries(DIFF_CONFIG.STYLES)) {
+      const ids = nodeChanges.filter((c) => c.change === change).map((c) => c.id);
+      const links = edgeChanges.filter((c) => c.change === change).map((c) => c.edge);
+      if (ids.length) out.push(`${unit}classDef ${style.cls} ${style.node}`, `${unit}class ${ids.join(',')} ${style.cls}`);
+      if (links.length) out.push(`${unit}linkStyle ${links.join(',')} ${style.link}`);
+    }
+    return { code: out.join('\n'), changes: [...nodeChanges, ...edgeChanges] };
+  },
+
+  /**
+   * Order in which a presentation reveals a flowchart or sequence diagram:
+   * [{ title, nodes: [IDs], edges: [edge indexes], groups: [group IDs] }],
+   * or null for other diagram types. With "%% step" comments each one starts
+   * a step (titled by the text after it) and nodes come in the step they are
+   * first written in. Otherwise every line with links is a step and nodes
+   * come with their first link. Subgraphs appear with their first node.
+   */
+  presentationSteps(code, structure = this.build(code)) {
+    if (!structure || (structure.kind !== 'flowchart' && structure.kind !== 'sequence')) return null;
+    const markers = [];
+    code.split(/\r?\n/).forEach((line, i) => {
+      const m = line.match(STEP_MARKER);
+      if (m) markers.push({ line: i + 1, title: m[1].trim() });
+    });
+    // Steps are keyed by marker number (0 before the first one) or by line
+    const keyOf = (line) => (markers.length ? markers.filter((marker) => marker.line < line).length : line);
+    const steps = new Map();
+    const step = (key) => {
+      if (!steps.has(key)) steps.set(key, { key, title: markers.length && key ? markers[key - 1].title : '', nodes: [], edges: [], groups: [] });
+      return steps.get(key);
+    };
+
+    const firstLink = new Map();
+    for (const edge of structure.edges) {
+      [edge.from, edge.to].forEach((id) => firstLink.has(id) || firstLink.set(id, edge.line));
+    }
+    const nodeKeys = new Map();
+    for (const node of structure.nodes) {
+      const key = keyOf(markers.length ? node.line : firstLink.get(node.id) ?? node.line);
+      step(key).nodes.push(node.id);
+      nodeKeys.set(node.id, key);
+    }
+    structure.edges.forEach((edge, index) => step(keyOf(edge.line)).edges.push(index));
+
+    const parents = new Map(structure.groups.map((group) => [group.id, group.parent]));
+    const groupKeys = new Map();
+    for (const node of structure.nodes) {
+      for (let id = node.parent; parents.has(id); id = parents.get(id)) {
+        groupKeys.set(id, Math.min(groupKeys.get(id) ?? Infinity, nodeKeys.get(node.id)));
+      }
+    }
+    for (const group of structure.groups) step(groupKeys.get(group.id) ?? keyOf(group.line)).groups.push(group.id);
+
+    return Array.from(steps.values())
+      .sort((a, b) => a.key - b.key)
+      .map(({ key, ...rest }) => rest);
+  }
+};
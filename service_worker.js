@@ -1,3 +1,5 @@
+import { stripFences, extractMermaidBlocks } from './mermaid-lint.mjs';
+
 // Create the context menu on install/update
 chrome.runtime.onInstalled.addListener(() => {
     chrome.contextMenus.create({
@@ -5,31 +7,72 @@ chrome.runtime.onInstalled.addListener(() => {
       title: "Mermaid Diagram",
       contexts: ["selection"]
     });
+    chrome.contextMenus.create({
+      id: "toggle-site-badges",
+      title: "Toggle Mermaid badges on this site",
+      contexts: ["page"]
+    });
   });
   
-  function stripFences(text) {
-    // Remove ```mermaid fences if present; keep inner content intact
-    const fence = /^\s*```(?:\s*mermaid)?\s*\n([\s\S]*?)\n```?\s*$/i;
-    const m = text.match(fence);
-    return m ? m[1] : text;
-  }
-
-  // Remove parentheses and normalize accented Latin characters
-  function cleanSelectedCode(text) {
-    if (!text) return text;
-    return text
-      .replace(/[()]/g, '')
-      .normalize('NFD')
-      .replace(/[\u0300-\u036f]/g, '');
-  }
-  
   function safeUUID() {
     if (crypto && typeof crypto.randomUUID === "function") return crypto.randomUUID();
     // Fallback if ever needed
     return `id-${Date.now()}-${Math.random().toString(36).slice(2)}`;
   }
   
+  // Wrap one or more diagrams in the session payload understood by viewer.mjs.
+  // Several diagrams are shown as tabs; `source` records the page they came from
+  // so the viewer can store it with diagrams saved to the library.
+  function toViewerPayload(codes, tab) {
+    const source = tab && tab.url ? { url: tab.url, title: tab.title || "" } : null;
+    return { diagrams: codes, source };
+  }
+
+  // Hand code to a new viewer window via session storage + viewer.html#<id>
+  async function openViewer(payload) {
+    const id = safeUUID();
+
+    // Store in session storage (ephemeral). Keyed by id.
+    await chrome.storage.session.set({ [id]: payload });
+
+    // Open viewer window with the id
+    const url = chrome.runtime.getURL(`viewer.html#${encodeURIComponent(id)}`);
+    // Use last saved size if available, otherwise a larger default
+    const { popupSize } = await chrome.storage.local.get('popupSize');
+    const width = (popupSize && popupSize.width) ? popupSize.width : 1200;
+    const height = (popupSize && popupSize.height) ? popupSize.height : 800;
+    await chrome.windows.create({
+      url,
+      type: "popup",
+      width,
+      height
+    });
+  }
+
+  // Flip the per-site badge setting; content scripts react via storage.onChanged
+  async function toggleBadgesForSite(pageUrl) {
+    let host = "";
+    try {
+      host = new URL(pageUrl).hostname;
+    } catch (_) {
+      return;
+    }
+    if (!host) return;
+    const { badgeDisabledSites } = await chrome.storage.local.get('badgeDisabledSites');
+    const sites = Array.isArray(badgeDisabledSites) ? badgeDisabledSites : [];
+    const next = sites.includes(host) ? sites.filter((s) => s !== host) : [...sites, host];
+    await chrome.storage.local.set({ badgeDisabledSites: next });
+  }
+
   chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    if (info.menuItemId === "toggle-site-badges") {
+      try {
+        await toggleBadgesForSite(info.pageUrl || (tab && tab.url) || "");
+      } catch (err) {
+        console.error("Mermaid extension error:", err);
+      }
+      return;
+    }
     if (info.menuItemId !== "render-mermaid") return;
     if (!tab || !tab.id) return;
   
@@ -51,28 +94,30 @@ chrome.runtime.onInstalled.addListener(() => {
       const selection = (selectedFromPage || info.selectionText || "").trim();
       if (!selection) return;
   
-      const rawCode = stripFences(selection);
-      const code = cleanSelectedCode(rawCode);
-      const id = safeUUID();
-  
-      // Store in session storage (ephemeral). Keyed by id.
-      await chrome.storage.session.set({ [id]: code });
-  
-      // Open viewer window with the id
-      const url = chrome.runtime.getURL(`viewer.html#${encodeURIComponent(id)}`);
-      // Use last saved size if available, otherwise a larger default
-      const { popupSize } = await chrome.storage.local.get('popupSize');
-      const width = (popupSize && popupSize.width) ? popupSize.width : 1200;
-      const height = (popupSize && popupSize.height) ? popupSize.height : 800;
-      await chrome.windows.create({
-        url,
-        type: "popup",
-        width,
-        height
-      });
+      // Keep the captured text exactly as selected; the viewer offers an opt-in repair
+      // if Mermaid cannot parse it
+      const codes = extractMermaidBlocks(selection);
+      await openViewer(toViewerPayload(codes, tab));
     } catch (err) {
       // Non-fatal; just log for debugging
       console.error("Mermaid extension error:", err);
     }
   });
-  
\ No newline at end of file
+
+  // "Open diagram" badges injected by content_script.js send their block's source here
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.type !== "open-mermaid") return;
+    const source = typeof message.code === "string" ? message.code.trim() : "";
+    if (!source) {
+      sendResponse({ ok: false });
+      return;
+    }
+    // Answer once the tab is open so the badge's sendMessage promise settles
+    openViewer(toViewerPayload([stripFences(source)], sender.tab))
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => {
+        console.error("Mermaid extension error:", err);
+        sendResponse({ ok: false });
+      });
+    return true;
+  });
@@ -0,0 +1,91 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AccessibilityAnalyzers, analyzeMermaidCode, findAccessibilityText, QuickFixes } from '../mermaid-lint.mjs';
+
+const lines = (...rows) => rows.join('\n');
+const found = (src) => analyzeMermaidCode(src).map((issue) => [issue.type, issue.line]);
+
+describe('findAccessibilityText', () => {
+  test('reads accTitle, accDescr and multi-line accDescr blocks', () => {
+    const acc = findAccessibilityText([
+      'flowchart LR',
+      '  accTitle: Checkout',
+      '  accDescr {',
+      '    Cart to payment',
+      '    to receipt',
+      '  }',
+      '  A --> B'
+    ]);
+    assert.equal(acc.title, 'Checkout');
+    assert.equal(acc.description, 'Cart to payment to receipt');
+    assert.equal(acc.titleLine, 2);
+    assert.equal(acc.descriptionLine, 3);
+    assert.deepEqual([...acc.lineNums], [2, 3, 4, 5, 6]);
+  });
+
+  test('accTitle/accDescr lines are not read as diagram statements', () => {
+    const acc = lines('  accTitle: Title', '  accDescr {', '    more words', '  }');
+    assert.deepEqual(found(lines('graph TD', acc, '  A --> B')), []);
+    assert.deepEqual(found(lines('stateDiagram-v2', acc, '  [*] --> A', '  A --> [*]')), []);
+    assert.deepEqual(found(lines('erDiagram', acc, '  A ||--o{ B : has', '  A {', '  }', '  B {', '  }')), []);
+  });
+});
+
+describe('missing accessible text', () => {
+  test('both are reported on the header line', () => {
+    assert.deepEqual(found(lines('pie', '  "a": 1')), [['missing-acc-title', 1], ['missing-acc-descr', 1]]);
+    assert.deepEqual(found(lines('pie', '  accTitle: Share', '  "a": 1')), [['missing-acc-descr', 1]]);
+  });
+
+  test('diagram types without accTitle support are left alone', () => {
+    assert.deepEqual(found(lines('mindmap', '  root')), []);
+  });
+
+  test('the scaffold fix reuses the frontmatter title and the body indentation', () => {
+    const src = lines('---', 'title: "Order flow"', '---', 'flowchart LR', '    A --> B');
+    const issues = analyzeMermaidCode(src);
+    const edits = issues.flatMap((issue) => QuickFixes.edits(issue));
+    assert.equal(QuickFixes.apply(src.split('\n'), edits).join('\n'), lines(
+      '---',
+      'title: "Order flow"',
+      '---',
+      'flowchart LR',
+      '    accTitle: Order flow',
+      '    accDescr: What the diagram shows, in a sentence or two',
+      '    A --> B'
+    ));
+  });
+
+  test('fix all leaves placeholders to the author', () => {
+    const src = lines('graph TD', '  A --> B');
+    assert.deepEqual(QuickFixes.applyAll(src, analyzeMermaidCode(src)), { code: src, fixed: [] });
+  });
+});
+
+describe('low-contrast', () => {
+  const withAcc = (...rows) => lines('graph TD', '  accTitle: T', '  accDescr: D', '  A --> B', ...rows);
+
+  test('flags text colors below 4.5:1 and offers black or white', () => {
+    const src = withAcc('  style A fill:#777,color:#888', '  classDef hot fill:rgb(255, 255, 0),color:white;', '  class B hot');
+    const issues = analyzeMermaidCode(src);
+    assert.deepEqual(issues.map((i) => [i.type, i.line, i.column]), [['low-contrast', 5, 27], ['low-contrast', 6, 44]]);
+    assert.deepEqual(issues.map((i) => i.quickFix.replacements[0]), ['#000', '#000']);
+    assert.equal(QuickFixes.applyAll(src, issues).code.split('\n')[5], '  classDef hot fill:rgb(255, 255, 0),color:#000;');
+  });
+
+  test('passes readable pairs and colors it cannot judge', () => {
+    assert.deepEqual(found(withAcc(
+      '  style A fill:#003366,color:#fff',
+      '  style B fill:transparent,color:#eee',
+      '  style A fill:#fff,color:#eeeeee80',
+      '  style B stroke:#f00,color:#f00'
+    )), []);
+  });
+
+  test('contrast ratio follows WCAG', () => {
+    assert.equal(AccessibilityAnalyzers.contrastRatio([0, 0, 0], [255, 255, 255]), 21);
+    assert.deepEqual(AccessibilityAnalyzers.parseColor('#0af'), [0, 170, 255]);
+    assert.deepEqual(AccessibilityAnalyzers.parseColor('Navy'), [0, 0, 128]);
+    assert.equal(AccessibilityAnalyzers.parseColor('rgba(0, 0, 0, 0.5)'), null);
+  });
+});
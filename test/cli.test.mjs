@@ -0,0 +1,88 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/mermaid-lint.mjs', import.meta.url));
+
+// Resolves with { code, stdout, stderr } whatever the exit code
+function run(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 10000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('mermaid-lint CLI', () => {
+  let dir;
+  const file = (name) => path.join(dir, name);
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'mermaid-lint-'));
+    const acc = '  accTitle: Demo\n  accDescr: A links to B\n';
+    await writeFile(file('clean.mmd'), `graph TD\n${acc}  A --> B\n`);
+    await writeFile(file('warn.mmd'), `graph TD\n${acc}  A --> B\n  C\n`);
+    await writeFile(file('doc.md'), [
+      '# Flow',
+      '',
+      '```mermaid',
+      'sequenceDiagram',
+      '  alt ok',
+      '    A->>B: hi',
+      '```',
+      ''
+    ].join('\n'));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test('exits 0 for clean files', async () => {
+    const { code, stdout } = await run(file('clean.mmd'));
+    assert.equal(code, 0);
+    assert.match(stdout, /No problems found in 1 file/);
+  });
+
+  test('warnings are reported but do not fail', async () => {
+    const { code, stdout } = await run(file('warn.mmd'));
+    assert.equal(code, 0);
+    assert.match(stdout, /warn\.mmd:5:3 +warning +Node "C" is not linked to anything +\[isolated-node\]/);
+    assert.match(stdout, /1 problem \(0 errors, 1 warning, 0 info\) in 1 file/);
+  });
+
+  test('errors in Markdown blocks fail with file line numbers', async () => {
+    const { code, stdout } = await run(file('doc.md'), file('clean.mmd'));
+    assert.equal(code, 1);
+    assert.match(stdout, /doc\.md:5:3 +error .*\[unclosed-block\]/);
+  });
+
+  test('JSON output', async () => {
+    const { code, stdout } = await run('--format', 'json', file('doc.md'), file('warn.mmd'));
+    assert.equal(code, 1);
+    const [doc, warn] = JSON.parse(stdout);
+    assert.equal(doc.file, file('doc.md'));
+    assert.equal(doc.errorCount, 1);
+    assert.deepEqual(
+      { line: doc.issues[0].line, rule: doc.issues[0].rule, severity: doc.issues[0].severity },
+      { line: 5, rule: 'unclosed-block', severity: 'error' }
+    );
+    assert.equal(warn.warningCount, 1);
+  });
+
+  test('usage and read errors exit 2', async () => {
+    assert.equal((await run()).code, 2);
+    assert.equal((await run('--format', 'xml', file('clean.mmd'))).code, 2);
+    const missing = await run(file('missing.mmd'));
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /cannot read/);
+  });
+
+  test('--help', async () => {
+    const { code, stdout } = await run('--help');
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: mermaid-lint/);
+  });
+});
@@ -0,0 +1,265 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeMermaidCode, LINT_CONFIG, LintSettings, MermaidLint } from '../mermaid-lint.mjs';
+
+// Most samples leave out accTitle/accDescr; those rules are tested in accessibility.test.mjs
+const analyze = (src) => analyzeMermaidCode(src).filter((issue) => !issue.type.startsWith('missing-acc-'));
+// [type, line] pairs, enough to pin down which rule fired where
+const found = (src) => analyze(src).map((issue) => [issue.type, issue.line]);
+const lines = (...rows) => rows.join('\n');
+
+afterEach(() => LintSettings.reset());
+
+describe('analyzeMermaidCode', () => {
+  test('returns nothing for empty source and diagram types without rules', () => {
+    assert.deepEqual(analyze(''), []);
+    assert.deepEqual(analyze('   \n'), []);
+    assert.deepEqual(analyze(lines('pie', '  "a": 1')), []);
+  });
+
+  test('issues carry position, message and the default severity', () => {
+    const [issue] = analyze(lines('graph TD', '  A --> B', '  C'));
+    assert.equal(issue.type, 'isolated-node');
+    assert.equal(issue.line, 3);
+    assert.equal(issue.column, 3);
+    assert.equal(issue.severity, 'warning');
+    assert.match(issue.message, /"C"/);
+  });
+});
+
+describe('flowchart rules', () => {
+  test('dangling-edge suggests the node the typo was meant to be', () => {
+    const [issue] = analyze(lines(
+      'graph TD',
+      '  Start --> Process',
+      '  Process --> Proces',
+      '  Process --> Finish',
+      '  Start --> Finish'
+    ));
+    assert.equal(issue.type, 'dangling-edge');
+    assert.equal(issue.line, 3);
+    assert.deepEqual(issue.quickFix.replacements, ['Process']);
+  });
+
+  test('numbered nodes are not typos of each other', () => {
+    assert.deepEqual(found(lines('graph LR', '  Step1 --> Step2', '  Step2 --> Step3')), []);
+  });
+
+  test('unknown-direction offers the valid directions', () => {
+    const [issue] = analyze(lines('graph XY', '  A --> B'));
+    assert.equal(issue.type, 'unknown-direction');
+    assert.deepEqual(issue.quickFix.replacements, LINT_CONFIG.VALID_DIRECTIONS);
+  });
+
+  test('subgraph blocks must be closed', () => {
+    assert.deepEqual(found(lines('graph TD', '  subgraph S', '    A --> B')), [['missing-end', 2]]);
+    assert.deepEqual(found(lines('graph TD', '  A --> B', '  end')), [['unexpected-end', 3]]);
+  });
+
+  test('graph checks: cycles, duplicate links, unreachable nodes', () => {
+    assert.deepEqual(found(lines('graph TD', '  A --> B', '  B --> A')), [['cycle', 2]]);
+    assert.deepEqual(found(lines('graph TD', '  A --> B', '  A --> B')), [['duplicate-edge', 3]]);
+    assert.deepEqual(found(lines('graph TD', '  A --> B', '  C --> B')), []);
+    assert.deepEqual(found(lines('graph TD', '  A1 --> A2', '  K -- text --> L', '  X --> Y --> X')), [['unreachable-node', 4], ['cycle', 4]]);
+  });
+
+  test('class and style statements must name defined nodes and used classes', () => {
+    assert.deepEqual(found(lines(
+      'graph TD',
+      '  A --> B',
+      '  classDef hot fill:#f00',
+      '  class C hot',
+      '  classDef unused fill:#0f0'
+    )), [['unknown-style-target', 4], ['unused-classdef', 5]]);
+  });
+
+  test('labels are not mistaken for node IDs', () => {
+    assert.deepEqual(found(lines('graph TD', '  A["Start (x)"] -->|go to B| B{Done?}')), []);
+  });
+
+  test('summarize reports flowchart stats only', () => {
+    const stats = MermaidLint.summarize(lines('graph TD', '  A --> B', '  A --> C', '  C --> D'));
+    assert.equal(stats.nodes, 4);
+    assert.equal(stats.edges, 3);
+    assert.equal(stats.depth, 2);
+    assert.equal(MermaidLint.summarize(lines('sequenceDiagram', '  A->>B: hi')), null);
+  });
+});
+
+describe('sequence diagram rules', () => {
+  test('blocks, branches, activations and declarations', () => {
+    assert.deepEqual(found(lines(
+      'sequenceDiagram',
+      '  participant Alice',
+      '  Alice->>Bob: hi',
+      '  loop every minute',
+      '  deactivate Alice',
+      '  else',
+      '  end',
+      '  end'
+    )), [
+      ['misplaced-branch', 6],
+      ['unmatched-end', 8],
+      ['inactive-deactivation', 5],
+      ['undeclared-participant', 3]
+    ]);
+  });
+
+  test('undeclared participants are declared after the last plain declaration', () => {
+    const issues = analyze(lines(
+      'sequenceDiagram',
+      '  participant Alice',
+      '  Alice->>Bob: hi',
+      '  create participant Carol',
+      '  Alice->>Carol: welcome'
+    ));
+    assert.deepEqual(issues.map((i) => [i.type, i.line, i.quickFix.afterLine]), [['undeclared-participant', 3, 2]]);
+  });
+
+  test('an unclosed block offers to add "end"', () => {
+    const [issue] = analyze(lines('sequenceDiagram', '  alt ok', '  A->>B: hi'));
+    assert.equal(issue.type, 'unclosed-block');
+    assert.equal(issue.quickFix.type, 'add-end');
+  });
+});
+
+describe('class, state and ER diagram rules', () => {
+  test('class diagrams', () => {
+    assert.deepEqual(found(lines(
+      'classDiagram',
+      '  class Animal {',
+      '    +name',
+      '    +name',
+      '    *age',
+      '  }',
+      '  Animal <|-- Dog'
+    )), [['undefined-class', 7], ['duplicate-member', 4], ['invalid-visibility', 5]]);
+  });
+
+  test('state diagrams', () => {
+    const issues = analyze(lines('stateDiagram-v2', '  [*] --> A', '  A --> B', '  C --> A'));
+    assert.deepEqual(issues.map((i) => [i.type, i.line]), [['unreachable-state', 4], ['dead-end-state', 3]]);
+    assert.equal(issues[1].quickFix.text.trim(), 'B --> [*]');
+  });
+
+  test('ER diagrams', () => {
+    const issues = analyze(lines(
+      'erDiagram',
+      '  CUSTOMER {',
+      '    string name',
+      '  }',
+      '  ORDER {',
+      '    int id',
+      '  }',
+      '  CUSTOMER ||--o< ORDER : places',
+      '  CUSTOMR ||--|{ ADDRESS : has'
+    ));
+    assert.deepEqual(issues.map((i) => [i.type, i.line]), [['invalid-cardinality', 8], ['undefined-entity', 9]]);
+    assert.ok(issues[0].quickFix.replacements.includes('||--o{'));
+    assert.deepEqual(issues[1].quickFix.replacements, ['CUSTOMER']);
+  });
+
+  test('ER entities named only in relationships and aliases are declared', () => {
+    assert.deepEqual(analyze(lines(
+      'erDiagram',
+      '  CUSTOMER {',
+      '    string name',
+      '  }',
+      '  CUSTOMER ||--o{ ORDER : places',
+      '  ORDER ||--|{ LINE-ITEM : contains',
+      '  p[Person] ||--o{ c[Car] : drives'
+    )), []);
+  });
+
+  test('ER cardinality typos with letters or digits', () => {
+    const issues = analyze(lines(
+      'erDiagram',
+      '  CUSTOMER |x--|| ORDER : places',
+      '  ORDER }o--xx LINE : contains',
+      '  LINE |1--|| PRODUCT : lists',
+      '  CUSTOMER }|..|{ PRODUCT : rates'
+    ));
+    assert.deepEqual(issues.filter((i) => i.type === 'invalid-cardinality').map((i) => i.line), [2, 3, 4]);
+  });
+});
+
+describe('gantt rules', () => {
+  test('dates, task IDs and dependencies', () => {
+    assert.deepEqual(found(lines(
+      'gantt',
+      '  dateFormat YYYY-MM-DD',
+      '  section S',
+      '  One   :a1, 2024-01-10, 2024-01-05',
+      '  Two   :a1, after b9, 3d',
+      '  Three :c1, 2024/01/01, 2d',
+      '  Four  :d1, after e1, 1d',
+      '  Five  :e1, after d1, 1d'
+    )), [
+      ['end-before-start', 4],
+      ['date-format-mismatch', 6],
+      ['duplicate-task-id', 5],
+      ['unknown-task-id', 5],
+      ['circular-dependency', 7]
+    ]);
+  });
+
+  test('a mismatched date is rewritten in the declared format', () => {
+    const [issue] = analyze(lines('gantt', '  dateFormat YYYY-MM-DD', '  Task :t1, 03/15/2024, 2d'));
+    assert.equal(issue.type, 'date-format-mismatch');
+    assert.deepEqual(issue.quickFix.replacements, ['2024-03-15']);
+  });
+});
+
+describe('suppression comments', () => {
+  const src = (comment) => lines('graph TD', '  A --> B', comment, '  C', '  D');
+
+  test('lint-disable-next-line silences the following line only', () => {
+    assert.deepEqual(found(src('  %% lint-disable-next-line isolated-node')), [['isolated-node', 5]]);
+  });
+
+  test('lint-disable without rules silences the whole file', () => {
+    assert.deepEqual(found(src('  %% lint-disable')), []);
+  });
+
+  test('other rules stay active', () => {
+    assert.equal(found(src('  %% lint-disable cycle')).length, 2);
+  });
+});
+
+describe('LintSettings', () => {
+  const src = lines('graph TD', '  A --> B', '  C');
+
+  test('disabled rules are dropped', () => {
+    LintSettings.setRule('isolated-node', { enabled: false });
+    assert.deepEqual(analyze(src), []);
+  });
+
+  test('severity overrides are stamped on issues', () => {
+    LintSettings.setRule('isolated-node', { severity: 'error' });
+    assert.equal(analyze(src)[0].severity, 'error');
+  });
+
+  test('only overrides of the defaults are stored', () => {
+    LintSettings.setRule('isolated-node', { enabled: false });
+    LintSettings.setRule('isolated-node', { enabled: true, severity: 'warning' });
+    LintSettings.setTypo({ MAX_DISTANCE: 1 });
+    assert.deepEqual(LintSettings.toStorage(), { rules: {}, typo: { MAX_DISTANCE: 1 } });
+  });
+
+  test('fromStorage restores settings and reset drops them', () => {
+    LintSettings.fromStorage({ rules: { cycle: { severity: 'error' } }, typo: { MIN_NODE_LENGTH: 5 } });
+    assert.equal(LintSettings.severity('cycle'), 'error');
+    assert.equal(LINT_CONFIG.TYPO_DETECTION.MIN_NODE_LENGTH, 5);
+    LintSettings.reset();
+    assert.equal(LintSettings.severity('cycle'), 'info');
+    assert.deepEqual(LintSettings.toStorage(), { rules: {}, typo: {} });
+  });
+
+  test('every rule in the settings dialog has a default severity', () => {
+    for (const group of LINT_CONFIG.RULE_GROUPS) {
+      for (const type of Object.keys(group.rules)) {
+        assert.ok(LINT_CONFIG.SEVERITIES.includes(LINT_CONFIG.ISSUE_TYPES[type]?.severity), type);
+      }
+    }
+  });
+});
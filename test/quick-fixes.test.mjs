@@ -0,0 +1,133 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeMermaidCode, QuickFixes } from '../mermaid-lint.mjs';
+
+const lines = (...rows) => rows.join('\n');
+const fixAll = (src) => QuickFixes.applyAll(src, analyzeMermaidCode(src)).code;
+const fixFirst = (src, type, choice = 0) => {
+  const issue = analyzeMermaidCode(src).find((i) => i.type === type);
+  assert.ok(issue, `expected a ${type} issue`);
+  return QuickFixes.applyOne(src, issue, choice);
+};
+
+describe('missing closers', () => {
+  test('"end" closes the subgraph at its own indentation', () => {
+    const src = lines(
+      'graph TD',
+      '  subgraph A',
+      '    subgraph B',
+      '      x --> y',
+      '    z --> x',
+      '  end',
+      '  q --> z'
+    );
+    assert.equal(fixFirst(src, 'missing-end'), lines(
+      'graph TD',
+      '  subgraph A',
+      '    subgraph B',
+      '      x --> y',
+      '    end',
+      '    z --> x',
+      '  end',
+      '  q --> z'
+    ));
+  });
+
+  test('nested unclosed subgraphs at the end of the file', () => {
+    const src = lines('graph TD', '  subgraph A', '    subgraph B', '      x --> y', '    z --> x', '');
+    assert.equal(fixAll(src), lines(
+      'graph TD',
+      '  subgraph A',
+      '    subgraph B',
+      '      x --> y',
+      '    end',
+      '    z --> x',
+      '  end',
+      ''
+    ));
+  });
+
+  test('without indentation the closers go after the last statement', () => {
+    const src = lines('graph TD', 'subgraph A', 'subgraph B', 'x --> y', '', '');
+    assert.equal(fixAll(src), lines('graph TD', 'subgraph A', 'subgraph B', 'x --> y', 'end', 'end', '', ''));
+  });
+
+  test('sequence blocks', () => {
+    const src = lines(
+      'sequenceDiagram',
+      '  loop Every minute',
+      '    alt ok',
+      '      A->>B: ping',
+      '    B->>A: pong',
+      '  end'
+    );
+    assert.equal(fixFirst(src, 'unclosed-block'), lines(
+      'sequenceDiagram',
+      '  loop Every minute',
+      '    alt ok',
+      '      A->>B: ping',
+      '    end',
+      '    B->>A: pong',
+      '  end'
+    ));
+  });
+
+  test('composite state braces and the fixes around them', () => {
+    const src = lines(
+      'stateDiagram-v2',
+      '  [*] --> S',
+      '  state S {',
+      '    [*] --> T',
+      '    state T {',
+      '      [*] --> U',
+      '  }',
+      '  S --> [*]'
+    );
+    assert.equal(fixAll(src), lines(
+      'stateDiagram-v2',
+      '  [*] --> S',
+      '  state S {',
+      '    [*] --> T',
+      '    state T {',
+      '      [*] --> U',
+      '      U --> [*]',
+      '    }',
+      '    T --> [*]',
+      '  }',
+      '  S --> [*]'
+    ));
+  });
+});
+
+describe('QuickFixes', () => {
+  test('replace targets the occurrence at the issue column', () => {
+    // "Proces" is also a prefix of the "Process" earlier on the line
+    const src = lines('graph TD', '  Start --> Process', '  Process --> Proces', '  Process --> Finish', '  Start --> Finish');
+    const issue = analyzeMermaidCode(src).find((i) => i.type === 'dangling-edge');
+    assert.equal(issue.line, 3);
+    assert.equal(QuickFixes.applyOne(src, issue).split('\n')[2], '  Process --> Process');
+  });
+
+  test('a choice picks one of several replacements', () => {
+    assert.equal(fixFirst(lines('graph XY', '  A --> B'), 'unknown-direction', 4).split('\n')[0], 'graph LR');
+  });
+
+  test('fix all skips fixes that need a choice', () => {
+    const src = lines('graph XY', '  A --> B', '  A --> B');
+    const { code, fixed } = QuickFixes.applyAll(src, analyzeMermaidCode(src));
+    assert.deepEqual(fixed.map((i) => i.type), ['duplicate-edge']);
+    assert.equal(code, lines('graph XY', '  A --> B'));
+  });
+
+  test('edits on one line and around it combine in one pass', () => {
+    const edits = [
+      { kind: 'replace', line: 1, column: 1, text: 'a', replacement: 'A' },
+      { kind: 'replace', line: 1, column: 7, text: 'a', replacement: 'C' },
+      { kind: 'replace', line: 1, column: 7, text: 'a', replacement: 'C' },
+      { kind: 'remove', line: 2 },
+      { kind: 'insert', afterLine: 0, text: 'top' },
+      { kind: 'insert', afterLine: 9, text: 'bottom' }
+    ];
+    assert.deepEqual(QuickFixes.apply(['a --> a', 'gone', 'b'], edits), ['top', 'A --> C', 'b', 'bottom']);
+  });
+});
@@ -0,0 +1,259 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DiagramStructure } from '../mermaid-lint.mjs';
+
+const lines = (...rows) => rows.join('\n');
+const edges = (structure) => structure.edges.map((e) => [e.from, e.to, e.label]);
+
+describe('DiagramStructure.build', () => {
+  test('flowchart nodes, labelled links and subgraphs in source order', () => {
+    const structure = DiagramStructure.build(lines(
+      'graph TD',
+      '  accTitle: Checkout',
+      '  A["Start here"] -->|yes| B{Ok?}',
+      '  B -- no --> C & D',
+      '  subgraph S [Payments]',
+      '    C --- E',
+      '  end',
+      '  subgraph "Only a title"',
+      '    F',
+      '  end'
+    ));
+    assert.equal(structure.kind, 'flowchart');
+    assert.deepEqual(structure.nodes.map((n) => [n.id, n.line, n.parent]), [
+      ['A', 3, null], ['B', 3, null], ['C', 4, null], ['D', 4, null], ['E', 6, 'S'], ['F', 9, 'subgraph@8']
+    ]);
+    assert.deepEqual(edges(structure), [['A', 'B', 'yes'], ['B', 'C', 'no'], ['B', 'D', 'no'], ['C', 'E', '']]);
+    assert.deepEqual(structure.groups.map((g) => [g.id, g.label]), [['S', 'Payments'], ['subgraph@8', 'Only a title']]);
+  });
+
+  test('sequence participants and messages', () => {
+    const structure = DiagramStructure.build(lines('sequenceDiagram', '  participant B as Bob', '  A->>B: hi there', '  B-->>A: ok'));
+    assert.deepEqual(structure.nodes.map((n) => n.id), ['B', 'A']);
+    assert.deepEqual(edges(structure), [['A', 'B', 'hi there'], ['B', 'A', 'ok']]);
+  });
+
+  test('class relations and state transitions', () => {
+    const classes = DiagramStructure.build(lines('classDiagram', '  class Animal', '  Animal <|-- Dog : is a', '  Cat : +name'));
+    assert.deepEqual(classes.nodes.map((n) => n.id), ['Animal', 'Dog', 'Cat']);
+    assert.deepEqual(edges(classes), [['Animal', 'Dog', 'is a']]);
+
+    const states = DiagramStructure.build(lines(
+      'stateDiagram-v2',
+      '  [*] --> Idle',
+      '  Idle --> Busy : start',
+      '  state Busy {',
+      '    [*] --> Work',
+      '  }'
+    ));
+    assert.deepEqual(states.nodes.map((n) => [n.id, n.parent]), [['Idle', null], ['Busy', null], ['Work', 'Busy']]);
+    assert.deepEqual(edges(states), [['Idle', 'Busy', 'start']]);
+  });
+
+  test('other diagram types have no structure', () => {
+    assert.equal(DiagramStructure.build(lines('pie', '  "a": 1')), null);
+    assert.equal(DiagramStructure.build(''), null);
+  });
+});
+
+describe('DiagramStructure.connections', () => {
+  test('undirected and bidirectional links go both ways', () => {
+    const structure = DiagramStructure.build(lines('graph TD', '  A --> B', '  C --- A', '  A <--> D', '  E --> A'));
+    assert.deepEqual(DiagramStructure.connections(structure, 'A'), {
+      outgoing: [{ id: 'B', label: '' }, { id: 'C', label: '' }, { id: 'D', label: '' }],
+      incoming: [{ id: 'E', label: '' }]
+    });
+  });
+});
+
+describe('tracing', () => {
+  const structure = DiagramStructure.build(lines(
+    'flowchart LR',
+    '  Cart -->|checkout| Pay',
+    '  Pay --> Ship --> Done',
+    '  Pay -.-> Retry --> Cart',
+    '  Ship --- Log'
+  ));
+  const sorted = (set) => [...set].sort();
+
+  test('upstream, downstream and depth', () => {
+    const down = DiagramStructure.trace(structure, 'Pay', { direction: 'down', depth: 1 });
+    assert.deepEqual(sorted(down.nodes), ['Pay', 'Retry', 'Ship']);
+    assert.deepEqual(sorted(down.edges), [1, 3]);
+    assert.deepEqual(sorted(DiagramStructure.trace(structure, 'Done', { direction: 'up' }).nodes), ['Cart', 'Done', 'Log', 'Pay', 'Retry', 'Ship']);
+    assert.deepEqual(sorted(DiagramStructure.trace(structure, 'Log', { depth: 1 }).nodes), ['Log', 'Ship']);
+  });
+
+  test('shortest path follows link direction', () => {
+    assert.deepEqual(DiagramStructure.shortestPath(structure, 'Cart', 'Done'), { nodes: ['Cart', 'Pay', 'Ship', 'Done'], edges: [0, 1, 2] });
+    assert.deepEqual(DiagramStructure.shortestPath(structure, 'Retry', 'Log'), { nodes: ['Retry', 'Cart', 'Pay', 'Ship', 'Log'], edges: [4, 0, 1, 5] });
+    assert.equal(DiagramStructure.shortestPath(structure, 'Done', 'Cart'), null);
+  });
+});
+
+describe('DiagramStructure.flowchartSubset', () => {
+  test('keeps shapes, subgraphs, link text and styles of the chosen part', () => {
+    const src = lines(
+      '%%{init: {"theme": "forest"}}%%',
+      '%% a comment',
+      'flowchart LR',
+      '  accTitle: Shop',
+      '  Cart["Cart (3)"] -->|checkout| Pay{Pay?}',
+      '  subgraph Back [Backend]',
+      '    Pay -- ok --> Ship((Ship)):::hot',
+      '    Pay -. fail .-> Retry',
+      '  end',
+      '  Ship --> Done',
+      '  classDef hot fill:#f96',
+      '  class Cart,Done hot',
+      '  style Retry fill:#ff0',
+      '  linkStyle 0 stroke:red'
+    );
+    const structure = DiagramStructure.build(src);
+    const part = DiagramStructure.trace(structure, 'Ship', { direction: 'up' });
+    assert.equal(DiagramStructure.flowchartSubset(src, part), lines(
+      '%%{init: {"theme": "forest"}}%%',
+      'flowchart LR',
+      '  Cart["Cart (3)"]',
+      '  Pay{Pay?}',
+      '  subgraph Back [Backend]',
+      '    Ship((Ship)):::hot',
+      '  end',
+      '  Cart -->|checkout| Pay',
+      '  Pay -- ok --> Ship',
+      '  classDef hot fill:#f96',
+      '  class Cart hot'
+    ));
+  });
+});
+
+describe('DiagramStructure.collapseSubgraphs', () => {
+  const src = lines(
+    'flowchart LR',
+    '  Client --> API',
+    '  subgraph Back [Backend]',
+    '    API --> Svc & Db',
+    '    subgraph Inner',
+    '      Svc --> Cache',
+    '    end',
+    '  end',
+    '  subgraph "Ops only"',
+    '    Mon',
+    '  end',
+    '  Cache -.->|hit| Client; Mon --> API',
+    '  class Svc,Client hot',
+    '  linkStyle 0 stroke:red'
+  );
+
+  test('a collapsed subgraph becomes one node and its links are rerouted', () => {
+    const { code, placeholders } = DiagramStructure.collapseSubgraphs(src, new Set(['Back', 'Inner']));
+    assert.deepEqual([...placeholders], [['Back', 'Back']]);
+    assert.equal(code, lines(
+      'flowchart LR',
+      '  Client --> API',
+      '  Back[["▸ Backend (3 nodes)"]]:::collapsedSubgraph',
+      '  subgraph "Ops only"',
+      '    Mon',
+      '  end',
+      '  Mon --> API',
+      '  class Client hot',
+      '  API --> Back',
+      '  Back -.->|hit| Client',
+      '  classDef collapsedSubgraph stroke-dasharray:5 3,stroke-width:2px'
+    ));
+  });
+
+  test('nested and untitled subgraphs', () => {
+    const inner = DiagramStructure.collapseSubgraphs(src, new Set(['Inner'])).code.split('\n');
+    assert.equal(inner[4], '    Inner[["▸ Inner (1 node)"]]:::collapsedSubgraph');
+    assert.ok(inner.includes('  Svc --> Inner') && inner.includes('  Inner -.->|hit| Client'));
+
+    const { code, placeholders } = DiagramStructure.collapseSubgraphs(src, new Set(['subgraph@9']));
+    assert.deepEqual([...placeholders], [['collapsed_9', 'subgraph@9']]);
+    assert.match(code, /^ {2}collapsed_9\[\["▸ Ops only \(1 node\)"\]\]/m);
+    assert.match(code, /^ {2}collapsed_9 --> API$/m);
+  });
+
+  test('nothing to collapse leaves the source as is', () => {
+    assert.deepEqual(DiagramStructure.collapseSubgraphs(src, new Set(['Missing'])), { code: src, placeholders: new Map() });
+  });
+});
+
+describe('DiagramStructure.flowchartDiff', () => {
+  test('marks added, removed and relabelled nodes and links', () => {
+    const before = lines(
+      'flowchart LR',
+      '  A[Cart] -->|pay| B{Pay?}',
+      '  B --> C((Ship))',
+      '  B -.-> R[Retry]:::warn',
+      '  A --> B'
+    );
+    const after = lines(
+      'flowchart LR',
+      '  A[Cart] -->|checkout| B{Pay now?}',
+      '  B --> C((Ship))',
+      '  A --> B',
+      '  C --> D["Done"]'
+    );
+    const { code, changes } = DiagramStructure.flowchartDiff(before, after);
+    assert.deepEqual(changes.map((c) => [c.change, c.kind, c.id || `${c.from}-${c.to}`, c.label, c.before]), [
+      ['changed', 'node', 'B', 'Pay now?', 'Pay?'],
+      ['added', 'node', 'D', 'Done', undefined],
+      ['removed', 'node', 'R', 'Retry', undefined],
+      ['changed', 'edge', 'A-B', 'checkout', 'pay'],
+      ['added', 'edge', 'C-D', '', undefined],
+      ['removed', 'edge', 'B-R', '', undefined]
+    ]);
+    const rows = code.split('\n');
+    assert.deepEqual(rows.slice(0, 7), [...after.split('\n'), '  R[Retry]', '  B -.-> R']);
+    assert.ok(rows.includes('  class D diffAdded') && rows.includes('  class R diffRemoved') && rows.includes('  class B diffChanged'));
+    assert.deepEqual(rows.filter((row) => row.startsWith('  linkStyle')).map((row) => row.split(' ')[3]), ['3', '4', '0']);
+    // Link indexes point into the structure of the combined source
+    const union = DiagramStructure.build(code);
+    assert.deepEqual(changes.filter((c) => c.kind === 'edge').map((c) => [union.edges[c.edge].from, union.edges[c.edge].to]), [['A', 'B'], ['C', 'D'], ['B', 'R']]);
+  });
+
+  test('identical flowcharts have no changes; other types are not compared', () => {
+    const src = lines('graph TD', '  A --> B');
+    assert.deepEqual(DiagramStructure.flowchartDiff(src, src), { code: src, changes: [] });
+    assert.equal(DiagramStructure.flowchartDiff(src, lines('sequenceDiagram', '  A->>B: hi')), null);
+  });
+});
+
+describe('DiagramStructure.presentationSteps', () => {
+  test('a step per line with links; nodes and subgraphs come with their first link', () => {
+    const src = lines(
+      'flowchart LR',
+      '  A[Start]',
+      '  subgraph Pay [Payment]',
+      '    B --> C',
+      '  end',
+      '  A --> B',
+      '  C --> D & E'
+    );
+    assert.deepEqual(DiagramStructure.presentationSteps(src), [
+      { title: '', nodes: ['B', 'C'], edges: [0], groups: ['Pay'] },
+      { title: '', nodes: ['A'], edges: [1], groups: [] },
+      { title: '', nodes: ['D', 'E'], edges: [2, 3], groups: [] }
+    ]);
+  });
+
+  test('%% step comments group lines and name the steps', () => {
+    const src = lines(
+      'sequenceDiagram',
+      '  participant A as Alice',
+      '  A->>B: hi',
+      '  %% step: Reply',
+      '  B-->>A: ok',
+      '  B->>C: forward',
+      '  %% step',
+      '  C-->>B: done'
+    );
+    assert.deepEqual(DiagramStructure.presentationSteps(src), [
+      { title: '', nodes: ['A', 'B'], edges: [0], groups: [] },
+      { title: 'Reply', nodes: ['C'], edges: [1, 2], groups: [] },
+      { title: '', nodes: [], edges: [3], groups: [] }
+    ]);
+    assert.equal(DiagramStructure.presentationSteps(lines('classDiagram', '  A <|-- B')), null);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectDiagramType,
+  extractMermaidBlocks,
+  findMermaidBlocks,
+  maskSourceLine,
+  repairMermaidCode,
+  stripFences
+} from '../mermaid-lint.mjs';
+
+const lines = (...rows) => rows.join('\n');
+
+describe('stripFences', () => {
+  test('unwraps a fenced selection', () => {
+    assert.equal(stripFences('```mermaid\ngraph TD\n  A --> B\n```'), 'graph TD\n  A --> B');
+    assert.equal(stripFences('```\ngraph TD\n```'), 'graph TD');
+  });
+
+  test('leaves unfenced text alone', () => {
+    assert.equal(stripFences('graph TD\n  A --> B'), 'graph TD\n  A --> B');
+  });
+});
+
+describe('findMermaidBlocks / extractMermaidBlocks', () => {
+  const markdown = lines(
+    '# Title',
+    '',
+    '```mermaid',
+    'graph TD',
+    '  A --> B',
+    '```',
+    '',
+    '```js',
+    'const x = 1;',
+    '```',
+    '',
+    '  ```mermaid',
+    '  sequenceDiagram',
+    '  ```',
+    '',
+    '```mermaid',
+    '',
+    '```'
+  );
+
+  test('finds every non-empty mermaid block with its first code line', () => {
+    assert.deepEqual(findMermaidBlocks(markdown), [
+      { code: 'graph TD\n  A --> B', line: 4 },
+      { code: '  sequenceDiagram', line: 13 }
+    ]);
+  });
+
+  test('extracts the code of each block', () => {
+    assert.deepEqual(extractMermaidBlocks(markdown), ['graph TD\n  A --> B', '  sequenceDiagram']);
+  });
+
+  test('falls back to the whole selection without mermaid fences', () => {
+    assert.deepEqual(extractMermaidBlocks('graph LR\n  A --> B'), ['graph LR\n  A --> B']);
+    assert.deepEqual(extractMermaidBlocks('```\ngraph LR\n```'), ['graph LR']);
+  });
+});
+
+describe('detectDiagramType', () => {
+  test('skips blank lines, comments and frontmatter', () => {
+    assert.equal(detectDiagramType(lines('', '%% note', 'flowchart LR', '  A --> B')), 'flowchart');
+    assert.equal(detectDiagramType(lines('---', 'title: Demo', '---', 'sequenceDiagram')), 'sequenceDiagram');
+    assert.equal(detectDiagramType(lines('---', 'title: unclosed')), '');
+    assert.equal(detectDiagramType(''), '');
+  });
+});
+
+describe('maskSourceLine', () => {
+  test('blanks labels and comments but keeps offsets', () => {
+    const line = '  A["B and C"] -->|to D| E{F?} %% G';
+    const masked = maskSourceLine(line, 'flowchart');
+    assert.equal(masked.length, line.length);
+    assert.equal(masked.trimEnd(), '  A[         ] -->       E{  }');
+  });
+
+  test('outside flowcharts everything after the first colon is text', () => {
+    assert.equal(maskSourceLine('Alice->>Bob: hi Carol', 'sequence'), 'Alice->>Bob:         ');
+  });
+});
+
+describe('repairMermaidCode', () => {
+  test('quotes flowchart labels with special characters', () => {
+    const src = lines('graph TD', '  A[Start (now)] --> B', '  B -->|yes (ok)| C{Done?}');
+    const { code, changes } = repairMermaidCode(src);
+    assert.equal(code, lines('graph TD', '  A["Start (now)"] --> B', '  B -->|"yes (ok)"| C{Done?}'));
+    assert.deepEqual(changes.map((c) => c.line), [2, 3]);
+  });
+
+  test('leaves valid flowcharts and other diagram types unchanged', () => {
+    const quoted = lines('graph TD', '  A["Start (now)"] --> B');
+    assert.deepEqual(repairMermaidCode(quoted), { code: quoted, changes: [] });
+    const sequence = lines('sequenceDiagram', '  A->>B: call (x)');
+    assert.deepEqual(repairMermaidCode(sequence), { code: sequence, changes: [] });
+  });
+});
@@ -1,19 +1,83 @@
+import { listDiagrams, saveDiagram, deleteDiagram, searchDiagrams, parseTags } from './library.mjs';
+import {
+  detectDiagramType,
+  findAccessibilityText,
+  findDiagramHeader,
+  maskSourceLine,
+  repairMermaidCode,
+  stripFences,
+  LINT_CONFIG,
+  AccessibilityAnalyzers,
+  DiagramStructure,
+  LintUtils,
+  LintSettings,
+  MermaidLint,
+  QuickFixes,
+  analyzeMermaidCode
+} from './mermaid-lint.mjs';
+
 // Load Mermaid dynamically so we can surface errors if chunks are missing
 let mermaid = null;
 
 const qs = (sel) => document.querySelector(sel);
 
+const appEl = qs('#app');
 const statusEl = qs('#status');
 const diagramEl = qs('#diagram');
 const canvasEl = qs('#canvas');
+const diagramAnnouncerEl = qs('#diagramAnnouncer');
 const minimapEl = qs('#minimap');
 const mmContentEl = qs('#mm-content');
 const mmViewportEl = qs('#mm-viewport');
+const minimapBtn = qs('#minimapBtn');
+const diagramSearchEl = qs('#diagramSearch');
+const diagramSearchInput = qs('#diagramSearchInput');
+const diagramSearchCountEl = qs('#diagramSearchCount');
+const traceBarEl = qs('#traceBar');
+const traceLabelEl = qs('#traceLabel');
+const traceDepthSel = qs('#traceDepth');
+const tracePathBtn = qs('#tracePath');
+const traceExportBtn = qs('#traceExport');
+const subgraphControlsEl = qs('#subgraphControls');
+const collapseAllBtn = qs('#collapseAll');
+const expandAllBtn = qs('#expandAll');
+const diffPanelEl = qs('#diffPanel');
+const diffSummaryEl = qs('#diffSummary');
+const diffStaleEl = qs('#diffStale');
+const diffListEl = qs('#diffList');
+const diffToggleBtn = qs('#diffToggle');
+const diffExportBtn = qs('#diffExport');
+const presentBtn = qs('#presentBtn');
+const presentBarEl = qs('#presentBar');
+const presentLabelEl = qs('#presentLabel');
+const presentPrevBtn = qs('#presentPrev');
+const presentNextBtn = qs('#presentNext');
+const presentZoomBtn = qs('#presentZoom');
+const presentLaserBtn = qs('#presentLaser');
+const laserPointerEl = qs('#laserPointer');
 const dividerEl = qs('#divider');
 const rawEl = qs('#raw');
 const codeWrapEl = qs('#codeWrap');
 const codeHighlightEl = qs('#codeHighlight');
 const exportBtn = qs('#export');
+const exportMenuEl = qs('#exportMenu');
+const exportScaleSel = qs('#exportScale');
+const exportWidthField = qs('#exportWidthField');
+const exportWidthInput = qs('#exportWidth');
+const exportBgSel = qs('#exportBackground');
+const copyBtn = qs('#copy');
+const copyMenuEl = qs('#copyMenu');
+const libraryBtn = qs('#libraryBtn');
+const libraryModal = qs('#libraryModal');
+const closeLibraryBtn = qs('#closeLibrary');
+const librarySaveForm = qs('#librarySaveForm');
+const librarySaveTitle = qs('#librarySaveTitle');
+const librarySaveTags = qs('#librarySaveTags');
+const librarySaveHint = qs('#librarySaveHint');
+const librarySaveNewBtn = qs('#librarySaveNew');
+const librarySearchEl = qs('#librarySearch');
+const libraryCountEl = qs('#libraryCount');
+const libraryListEl = qs('#libraryList');
 const rerenderBtn = qs('#rerender');
 const themeSel = qs('#theme');
 const structureSel = qs('#structure');
@@ -27,15 +91,83 @@ const ontopChk = qs('#ontop');
 const lintPanel = qs('#lintPanel');
 const lintToggle = qs('#lintToggle');
 const lintResults = qs('#lintResults');
+const lintStatsEl = qs('#lintStats');
+const lintSettingsBtn = qs('#lintSettingsBtn');
+const lintSettingsModal = qs('#lintSettingsModal');
+const closeLintSettingsBtn = qs('#closeLintSettings');
+const lintTypoFieldsEl = qs('#lintTypoFields');
+const typoIgnoreNumberedEl = qs('#typoIgnoreNumbered');
+const lintRulesEl = qs('#lintRules');
+const lintSettingsResetBtn = qs('#lintSettingsReset');
+const lintFixAllBtn = qs('#lintFixAll');
+const fixPreviewModal = qs('#fixPreviewModal');
+const fixPreviewTitleEl = qs('#fixPreviewTitle');
+const fixPreviewSummaryEl = qs('#fixPreviewSummary');
+const fixPreviewDiffEl = qs('#fixPreviewDiff');
+const fixPreviewApplyBtn = qs('#fixPreviewApply');
+const fixPreviewCancelBtn = qs('#fixPreviewCancel');
+const closeFixPreviewBtn = qs('#closeFixPreview');
+const outlineBtn = qs('#outlineBtn');
+const outlineModal = qs('#outlineModal');
+const outlineBodyEl = qs('#outlineBody');
+const closeOutlineBtn = qs('#closeOutline');
 const helpBtn = qs('#helpBtn');
 const helpModal = qs('#helpModal');
 const closeHelp = qs('#closeHelp');
+const diagramTabsEl = qs('#diagramTabs');
+const tabListEl = qs('#tabList');
+const exportAllBtn = qs('#exportAll');
+const repairBarEl = qs('#repairBar');
+const repairMessageEl = qs('#repairMessage');
+const repairChangesEl = qs('#repairChanges');
+const repairReviewBtn = qs('#repairReview');
+const repairApplyBtn = qs('#repairApply');
+const repairDismissBtn = qs('#repairDismiss');
+const undoBtn = qs('#undo');
+const redoBtn = qs('#redo');
+const historyBtn = qs('#historyBtn');
+const historyModal = qs('#historyModal');
+const closeHistoryBtn = qs('#closeHistory');
+const historySaveForm = qs('#historySaveForm');
+const historyNameEl = qs('#historyName');
+const historyListView = qs('#historyListView');
+const historyListEl = qs('#historyList');
+const historyCompareBtn = qs('#historyCompare');
+const historyCompareHint = qs('#historyCompareHint');
+const historyCompareView = qs('#historyCompareView');
+const historyCompareTitleA = qs('#historyCompareTitleA');
+const historyCompareTitleB = qs('#historyCompareTitleB');
+const historyBackBtn = qs('#historyBack');
+const historyRenderA = qs('#historyRenderA');
+const historyRenderB = qs('#historyRenderB');
+const historyDiffEl = qs('#historyDiff');
+const compareBtn = qs('#compareBtn');
+const compareModal = qs('#compareModal');
+const closeCompareBtn = qs('#closeCompare');
+const compareForm = qs('#compareForm');
+const compareSourceSel = qs('#compareSource');
+const compareOrderSel = qs('#compareOrder');
+const comparePasteField = qs('#comparePasteField');
+const comparePasteEl = qs('#comparePaste');
+const compareClipboardBtn = qs('#compareClipboard');
+const compareHintEl = qs('#compareHint');
+const draftBarEl = qs('#draftBar');
+const draftMessageEl = qs('#draftMessage');
+const draftListEl = qs('#draftList');
+const draftDiscardAllBtn = qs('#draftDiscardAll');
+const draftDismissBtn = qs('#draftDismiss');
 
 let code = '';
 let renderCounter = 0; // unique id for export renders
 let currentTheme = 'default';
 let resolvedTheme = 'default';
 
+// Diagram tabs: one entry per diagram handed over by the service worker.
+// The active entry's state lives in the globals below (code, scale, tx, ty)
+// and is copied back by storeActiveDiagram() before switching.
+let diagrams = []; // [{ code, scale, tx, ty, initialized, history, revisions }]
+let activeDiagram = 0;
+
 // Pan/zoom state
 let scale = 1;
 let tx = 12; // start with padding offset
@@ -50,6 +182,10 @@ let currentWindowId = null;
 // Minimap cache/state
 let lastMinimapSource = null;
 let mmDragging = false;
+let minimapVisible = true;
+let minimapFrame = 0;
+// Where the diagram sits inside the minimap box: { scale, x, y, boxW, boxH }
+let mmLayout = null;
 
 // Fit behavior: zoom in a bit more by default
 const FIT_EXTRA_ZOOM = 2.50; // previously 1.15 — make initial view closer
@@ -76,7 +212,12 @@ async function loadMermaid() {
   throw lastErr;
 }
 
-async function getCodeFromSession() {
+// Session payloads are either a plain string (single diagram) or
+// { diagrams: (string | DiagramMeta)[], active?: number, source?: { url, title }, theme?, structure? }.
+// DiagramMeta is { code, title?, tags?, libraryId?, source?, baseCode?, scale?, tx?, ty?, initialized? },
+// used when tabs (with their viewport) are carried to a new tab/side panel.
+// Always resolves to { diagrams: DiagramMeta[], active, theme?, structure? }.
+async function getDiagramsFromSession() {
   const id = decodeURIComponent(location.hash.slice(1));
   if (!id) throw new Error('No code ID in URL hash.');
 
@@ -89,7 +230,7 @@ async function getCodeFromSession() {
     B -->|No| D[End]
     C --> E[Another Step]
     E --> D`;
-    return testMermaidCode;
+    return { diagrams: [{ code: testMermaidCode }], active: 0 };
   }
 
   const data = await chrome.storage.session.get(id);
@@ -98,43 +239,35 @@ async function getCodeFromSession() {
   if (value !== undefined) {
     await chrome.storage.session.remove(id);
   }
-  if (!value || typeof value !== 'string') {
+  if (value && typeof value === 'string') {
+    return { diagrams: [{ code: value }], active: 0 };
+  }
+  const source = value && value.source && typeof value.source.url === 'string' ? value.source : null;
+  const list = (value && Array.isArray(value.diagrams) ? value.diagrams : [])
+    .map((d) => (typeof d === 'string' ? { code: d } : d))
+    .filter((d) => d && typeof d.code === 'string' && d.code.trim())
+    .map((d) => ({ ...d, source: d.source || source }));
+  if (!list.length) {
     throw new Error('No Mermaid code found for this ID.');
   }
-  return value;
+  const active = Number.isInteger(value.active) ? Math.min(Math.max(0, value.active), list.length - 1) : 0;
+  return { diagrams: list, active, theme: value.theme, structure: value.structure };
 }
 
 function setStatus(msg) {
   if (statusEl) statusEl.textContent = msg;
 }
 
-// Remove normal parentheses inside square-bracket labels, e.g.
-// PP[Post-processing<br/>(re-ranking, cleaning)] -> PP[Post-processing<br/>re-ranking, cleaning]
-function normalizeBracketLabelParens(text) {
-  if (!text) return text;
-  return text.replace(/\[([^\[\]]*)\]/g, (full, inner) => {
-    const cleaned = inner.replace(/\(([^()]*)\)/g, '$1');
-    return `[${cleaned}]`;
-  });
-}
-
 function render() {
-  // Guard against simultaneous renders
+  // Guard against simultaneous renders; re-run once the current one settles
   if (isRendering) {
-    console.warn('Render already in progress, skipping...');
+    renderQueued = true;
     return;
   }
 
   isRendering = true;
+  const renderTab = activeDiagram;
   setStatus('Rendering…');
-  canvasEl.innerHTML = ''; // clear previous render
-
-  // Create a target with the mermaid class and set textContent (not innerHTML)
-  const target = document.createElement('div');
-  target.className = 'mermaid';
-  const sanitized = normalizeBracketLabelParens(code);
-  target.textContent = sanitized;
-  canvasEl.appendChild(target);
 
   // Run Mermaid
   if (!mermaid) {
@@ -142,10 +275,36 @@ function render() {
     isRendering = false;
     return;
   }
-  mermaid.run({ querySelector: '#canvas .mermaid' })
-    .then(() => {
+
+  // Render off-screen next to the previous diagram, which stays visible until
+  // the new one succeeds (and is dimmed if it fails).
+  // Create a target with the mermaid class and set textContent (not innerHTML)
+  const target = document.createElement('div');
+  target.className = 'mermaid pending';
+  const src = code;
+  // Collapsed subgraphs are drawn from a rewritten copy of the source
+  const view = renderExpandedTab === renderTab ? { code: src, placeholders: new Map() } : collapsedView(src);
+  renderExpandedTab = -1;
+  target.textContent = view.code;
+  canvasEl.appendChild(target);
+
+  // Only Mermaid's own failures are parse errors; a throw in the steps after
+  // the swap must not remove the render that is now on screen
+  const onRendered = () => {
+    try {
+      // The user switched tabs mid-render; the queued render will draw the new tab
+      if (renderTab !== activeDiagram) {
+        target.remove();
+        return;
+      }
+      // Swap the fresh render in for the previous one
+      for (const child of Array.from(canvasEl.children)) {
+        if (child !== target) child.remove();
+      }
+      target.classList.remove('pending');
+      canvasEl.classList.remove('stale');
       // Capture SVG and prepare viewport
-      lastSvg = canvasEl.querySelector('svg');
+      lastSvg = target.querySelector('svg');
       if (lastSvg) {
         const vb = lastSvg.viewBox && lastSvg.viewBox.baseVal;
         let w = 0, h = 0;
@@ -179,40 +338,383 @@ function render() {
         }
       }
       setStatus('Done');
-      isRendering = false;
-    })
+      hideRepairOffer();
+      clearParseIssue();
+      recordRevision(src);
+      buildSourceIndex(src);
+      buildKeyboardNav(view.code);
+      decorateSubgraphs(src, view);
+      refreshTrace();
+      refreshDiagramSearch();
+      refreshDiffPanel();
+      refreshPresentation();
+    } finally {
+      finishRender();
+    }
+  };
+
+  const onRenderError = async (err) => {
+    console.error(err);
+    target.remove();
+    try {
+      if (view.code !== src && renderTab === activeDiagram) {
+        // Retry this pass expanded so errors are reported against the source;
+        // the stored collapsed IDs apply again once it parses
+        renderExpandedTab = renderTab;
+        renderQueued = true;
+        return;
+      }
+      // Keep the last good render on screen, dimmed
+      canvasEl.classList.toggle('stale', !!canvasEl.firstElementChild);
+      const issue = await reportParseError(err, src);
+      setStatus(issue.line ? `Error on line ${issue.line} — see Code Analysis` : 'Error — see Code Analysis');
+    } finally {
+      finishRender();
+    }
+    offerRepair();
+  };
+
+  mermaid.run({ nodes: [target] })
+    .then(onRendered, onRenderError)
     .catch((err) => {
       console.error(err);
       setStatus('Error — see console');
-      isRendering = false;
     });
 }
 
-async function exportSVG() {
+function finishRender() {
+  isRendering = false;
+  renderIdleWaiters.splice(0).forEach((resolve) => resolve());
+  if (renderQueued) {
+    renderQueued = false;
+    render();
+  }
+}
+
+// ---------- Export (SVG / PNG / WebP / JPEG) ----------
+
+const EXPORT_FORMATS = {
+  svg: { label: 'SVG', ext: 'svg', mime: 'image/svg+xml', raster: false },
+  png: { label: 'PNG', ext: 'png', mime: 'image/png', raster: true },
+  webp: { label: 'WebP', ext: 'webp', mime: 'image/webp', raster: true, quality: 0.95 },
+  jpeg: { label: 'JPEG', ext: 'jpg', mime: 'image/jpeg', raster: true, quality: 0.92, opaque: true }
+};
+const EXPORT_LIMITS = { MAX_SIDE: 16384, MAX_AREA: 16384 * 16384 / 4 };
+const CSS_DPI = 96;
+
+// Last-used export settings (persisted as `exportPrefs`); Ctrl+E reuses them
+let exportPrefs = { format: 'svg', scale: '2', width: 1920, background: 'transparent' };
+
+async function exportDiagram(format = exportPrefs.format) {
   try {
     if (!mermaid) {
       setStatus('Mermaid not loaded');
       return;
     }
-    const id = `exportGraph-${++renderCounter}`;
-    const sanitized = normalizeBracketLabelParens(code);
-    const { svg } = await mermaid.render(id, sanitized);
-    const blob = new Blob([svg], { type: 'image/svg+xml' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'diagram.svg';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+    const spec = EXPORT_FORMATS[format] || EXPORT_FORMATS.svg;
+    const blob = await buildExportBlob(code, format, { title: diagrams[activeDiagram]?.title });
+    downloadBlob(blob, diagramFileName(activeDiagram, spec.ext));
+    setStatus(`Exported ${spec.label}`);
+  } catch (e) {
+    console.error(e);
+    setStatus(e.userMessage || 'Export failed');
+  }
+}
+
+// Export every tab as its own file (diagram-1.png, diagram-2.png, …) in the last-used format
+async function exportAllDiagrams() {
+  if (!mermaid) {
+    setStatus('Mermaid not loaded');
+    return;
+  }
+  storeActiveDiagram();
+  const spec = EXPORT_FORMATS[exportPrefs.format] || EXPORT_FORMATS.svg;
+  let failed = 0;
+  for (let i = 0; i < diagrams.length; i++) {
+    try {
+      const blob = await buildExportBlob(diagrams[i].code, exportPrefs.format, { title: diagrams[i].title });
+      downloadBlob(blob, diagramFileName(i, spec.ext));
+    } catch (e) {
+      console.error(`Export of diagram ${i + 1} failed:`, e);
+      failed++;
+    }
+  }
+  setStatus(failed ? `Exported ${diagrams.length - failed}/${diagrams.length} — see console` : `Exported ${diagrams.length} diagrams`);
+}
+
+async function buildExportBlob(src, format, { title } = {}) {
+  const spec = EXPORT_FORMATS[format] || EXPORT_FORMATS.svg;
+  const svg = await renderSvgForExport(src, { title });
+  if (!spec.raster) return new Blob([svg], { type: spec.mime });
+  try {
+    return await rasterizeSvg(svg, format);
+  } catch (e) {
+    if (e && e.name !== 'SecurityError') throw e;
+    // The browser refused to read back HTML labels (<foreignObject>) from the
+    // canvas; re-render with plain SVG text labels so no text is lost.
+    console.warn('Rasterizing HTML labels was blocked; retrying with SVG text labels.', e);
+    const plainSvg = await renderSvgForExport(src, { htmlLabels: false, title });
+    return rasterizeSvg(plainSvg, format);
+  }
+}
+
+// title: name of the diagram tab, the fallback accessible name after the source's own titles
+async function renderSvgForExport(src, { htmlLabels = true, title } = {}) {
+  const id = `exportGraph-${++renderCounter}`;
+  if (htmlLabels) {
+    const { svg } = await mermaid.render(id, src);
+    return accessibleExportSvg(svg, src, title);
+  }
+  // The plain-label config is global to Mermaid: hold the render guard while it
+  // is active so live renders queue instead of picking it up
+  await whenRenderIdle();
+  isRendering = true;
+  initMermaid(themeSel.value || currentTheme, { htmlLabels: false });
+  try {
+    const { svg } = await mermaid.render(id, src);
+    return accessibleExportSvg(svg, src, title);
+  } finally {
+    initMermaid(themeSel.value || currentTheme);
+    finishRender();
+  }
+}
+
+// Resolves once no render holds the guard (a queued render may claim it first)
+function whenRenderIdle() {
+  if (!isRendering) return Promise.resolve();
+  return new Promise((resolve) => renderIdleWaiters.push(resolve)).then(whenRenderIdle);
+}
+
+/**
+ * Make an exported SVG a labelled image on its own: <title> and <desc> as its
+ * first children, referenced by aria-labelledby/aria-describedby, and role="img".
+ * Mermaid adds <title>/<desc> only for accTitle/accDescr; without them the title
+ * falls back to the frontmatter or "title" statement, the tab title, then the
+ * diagram type. The description is left out when the source has none.
+ */
+function accessibleExportSvg(svg, src, fallbackTitle) {
+  const { svgEl } = parseExportSvg(svg);
+  const lines = src.split(/\r?\n/);
+  const acc = findAccessibilityText(lines);
+  const baseId = svgEl.id || 'mermaid-export';
+
+  const ensureChild = (tag, text, suffix) => {
+    let el = svgEl.querySelector(`:scope > ${tag}`);
+    if (!el) {
+      el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+      el.textContent = text;
+    }
+    if (!el.id) el.id = `${baseId}-${suffix}`;
+    return el;
+  };
+
+  const title = acc.title
+    || AccessibilityAnalyzers.existingTitle(lines, findDiagramHeader(lines))
+    || (fallbackTitle || '').trim()
+    || `${detectDiagramType(src) || 'Mermaid'} diagram`;
+  const titleEl = ensureChild('title', title, 'title');
+  svgEl.setAttribute('aria-labelledby', titleEl.id);
+  if (acc.description || svgEl.querySelector(':scope > desc')) {
+    const descEl = ensureChild('desc', acc.description, 'desc');
+    svgEl.setAttribute('aria-describedby', descEl.id);
+    svgEl.prepend(descEl);
+  }
+  svgEl.prepend(titleEl);
+  // Mermaid's "graphics-document document" suits the interactive preview; a file is an image
+  svgEl.setAttribute('role', 'img');
+  return new XMLSerializer().serializeToString(svgEl);
+}
+
+/**
+ * Parse Mermaid's SVG markup with the HTML parser (its <foreignObject> labels
+ * contain HTML such as unclosed <br>) so it can be re-serialized as valid XML.
+ */
+function parseExportSvg(svg) {
+  const holder = document.createElement('div');
+  holder.innerHTML = svg;
+  const svgEl = holder.querySelector('svg');
+  if (!svgEl) throw new Error('Rendered output contains no <svg>');
+  const vb = (svgEl.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  let width = vb.length === 4 ? vb[2] : 0;
+  let height = vb.length === 4 ? vb[3] : 0;
+  if (!(width > 0 && height > 0)) {
+    width = parseFloat(svgEl.style.maxWidth) || parseFloat(svgEl.getAttribute('width')) || 800;
+    height = parseFloat(svgEl.getAttribute('height')) || width * 0.75;
+  }
+  // HTML labels must be in the XHTML namespace to render inside an <img>
+  for (const fo of svgEl.querySelectorAll('foreignObject > *')) {
+    if (!fo.getAttribute('xmlns')) fo.setAttribute('xmlns', 'http://www.w3.org/1999/xhtml');
+  }
+  return { svgEl, width, height };
+}
+
+function resolveExportScale(svgWidth) {
+  if (exportPrefs.scale === 'width') {
+    const target = Math.max(16, Number(exportPrefs.width) || 0);
+    return target / svgWidth;
+  }
+  return Number(exportPrefs.scale) || 1;
+}
+
+// Background fill for raster exports; null means transparent
+function resolveExportBackground(opaque) {
+  const choice = exportPrefs.background;
+  if (choice === 'theme') return getComputedStyle(diagramEl).backgroundColor || '#ffffff';
+  if (choice === 'white' || opaque) return '#ffffff';
+  return null;
+}
+
+async function rasterizeSvg(svg, format) {
+  const spec = EXPORT_FORMATS[format];
+  const { svgEl, width, height } = parseExportSvg(svg);
+  const scale = resolveExportScale(width);
+  const cw = Math.max(1, Math.round(width * scale));
+  const ch = Math.max(1, Math.round(height * scale));
+  if (cw > EXPORT_LIMITS.MAX_SIDE || ch > EXPORT_LIMITS.MAX_SIDE || cw * ch > EXPORT_LIMITS.MAX_AREA) {
+    const err = new Error(`Raster export too large (${cw}×${ch}px)`);
+    err.userMessage = 'Export too large — choose a smaller scale';
+    throw err;
+  }
+
+  svgEl.setAttribute('width', String(cw));
+  svgEl.setAttribute('height', String(ch));
+  svgEl.style.maxWidth = 'none';
+  const xml = new XMLSerializer().serializeToString(svgEl);
+  const img = new Image();
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(xml)}`;
+  await img.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = cw;
+  canvas.height = ch;
+  const ctx = canvas.getContext('2d');
+  const background = resolveExportBackground(spec.opaque);
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, cw, ch);
+  }
+  ctx.drawImage(img, 0, 0, cw, ch);
+
+  // toBlob throws a SecurityError synchronously if the canvas is tainted
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('Canvas encoding failed'))), spec.mime, spec.quality);
+  });
+  return format === 'png' ? setPngDpi(blob, CSS_DPI * scale) : blob;
+}
+
+// ---------- Copy to clipboard ----------
+
+const COPY_KINDS = {
+  png: 'PNG image',
+  svg: 'SVG markup',
+  source: 'Markdown source'
+};
+
+/**
+ * Put the active diagram on the clipboard. PNG uses the export menu's scale and
+ * background. The ClipboardItem gets a promise so the user gesture is still
+ * valid when the (slow) render/rasterize finishes.
+ */
+async function copyDiagram(kind) {
+  const label = COPY_KINDS[kind];
+  if (!label) return;
+  try {
+    if (!navigator.clipboard || typeof ClipboardItem === 'undefined') {
+      throw new Error('Async Clipboard API unavailable');
+    }
+    if (kind !== 'source' && !mermaid) {
+      setStatus('Mermaid not loaded');
+      return;
+    }
+    const textBlob = (text) => new Blob([text], { type: 'text/plain' });
+    let item;
+    if (kind === 'png') {
+      item = new ClipboardItem({ 'image/png': buildExportBlob(code, 'png', { title: diagrams[activeDiagram]?.title }) });
+    } else if (kind === 'svg') {
+      const svgPromise = renderSvgForExport(code, { title: diagrams[activeDiagram]?.title });
+      const data = { 'text/plain': svgPromise.then(textBlob) };
+      // Chrome 124+ can also place real SVG on the clipboard for apps that accept it
+      if (typeof ClipboardItem.supports === 'function' && ClipboardItem.supports('image/svg+xml')) {
+        data['image/svg+xml'] = svgPromise.then((svg) => new Blob([svg], { type: 'image/svg+xml' }));
+      }
+      item = new ClipboardItem(data);
+    } else {
+      const body = code.replace(/\s+$/, '');
+      item = new ClipboardItem({ 'text/plain': textBlob(`\`\`\`mermaid\n${body}\n\`\`\`\n`) });
+    }
+    setStatus('Copying…');
+    await navigator.clipboard.write([item]);
+    setStatus(`Copied ${label}`);
   } catch (e) {
     console.error(e);
-    setStatus('Export failed');
+    setStatus(e && e.name === 'NotAllowedError' ? 'Copy blocked — focus the window and try again' : (e.userMessage || 'Copy failed'));
+  }
+}
+
+// ----- PNG pHYs chunk (DPI metadata) -----
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Insert (or skip if present) a pHYs chunk right after IHDR so image tools
+ * report the export's DPI (96 × scale) and paste it at its intended size.
+ */
+async function setPngDpi(blob, dpi) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const IHDR_END = 8 + 25; // signature + IHDR (length, type, 13 data bytes, crc)
+  for (let pos = 8; pos + 8 <= bytes.length;) {
+    const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+    if (type === 'pHYs') return blob;
+    if (type === 'IDAT' || type === 'IEND') break;
+    pos += 12 + view.getUint32(pos);
   }
+  const ppm = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const cv = new DataView(chunk.buffer);
+  cv.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  cv.setUint32(8, ppm);
+  cv.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  cv.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const out = new Uint8Array(bytes.length + chunk.length);
+  out.set(bytes.subarray(0, IHDR_END));
+  out.set(chunk, IHDR_END);
+  out.set(bytes.subarray(IHDR_END), IHDR_END + chunk.length);
+  return new Blob([out], { type: 'image/png' });
+}
+
+function diagramFileName(index, ext) {
+  return diagrams.length > 1 ? `diagram-${index + 1}.${ext}` : `diagram.${ext}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
 }
 
-function initMermaid(theme = 'default') {
+function initMermaid(theme = 'default', { htmlLabels = true } = {}) {
   currentTheme = theme;
   const cfg = getMermaidThemeConfig(theme);
   resolvedTheme = cfg.theme;
@@ -232,7 +734,9 @@ function initMermaid(theme = 'default') {
     securityLevel: 'loose', // allows links & HTML labels; use 'strict' if you prefer
     theme: cfg.theme,
     themeVariables: cfg.themeVariables,
-    flowchart: cfg.flowchart
+    // Raster export fallback renders plain SVG text instead of HTML labels
+    ...(htmlLabels ? {} : { htmlLabels: false }),
+    flowchart: htmlLabels ? cfg.flowchart : { ...cfg.flowchart, htmlLabels: false }
   });
 }
 
@@ -246,9 +750,21 @@ async function main() {
       await LintController.initializePanel();
     }
     await restorePreferences();
-    code = await getCodeFromSession();
-    code = normalizeBracketLabelParens(code);
+    let session;
+    let sessionError = '';
+    try {
+      session = await getDiagramsFromSession();
+    } catch (e) {
+      // Nothing to load (e.g. the window was reloaded after its handoff was
+      // consumed): start empty so a draft can still be restored or code pasted
+      console.warn(e);
+      sessionError = e.message || 'Failed to load code';
+      session = { diagrams: [{ code: '' }], active: 0 };
+    }
+    applyViewSettings(session);
+    initDiagramTabs(session.diagrams, session.active);
     rawEl.value = code;
+    updateHistoryButtons();
     // Initialize syntax highlight overlay
     if (codeHighlightEl) updateHighlight();
     // Initialize lint analysis
@@ -256,8 +772,10 @@ async function main() {
     // Load Mermaid ESM (with fallbacks) and initialize
     mermaid = await loadMermaid();
     initMermaid(themeSel.value || 'auto');
-    render();
+    if (code.trim()) render();
+    else setStatus(sessionError || 'Paste Mermaid code and press Re-render');
     setupInteractions();
+    offerDraftRecovery();
   } catch (e) {
     console.error(e);
     setStatus(e.message || 'Failed to load code');
@@ -267,6 +785,9 @@ async function main() {
 // Auto-render system
 let autoRenderTimeout = null;
 let isRendering = false; // Guard against simultaneous renders
+let renderQueued = false; // A render was requested while another was in flight
+let renderExpandedTab = -1; // One-shot: draw this tab's next render without collapsed subgraphs
+const renderIdleWaiters = []; // Exports waiting for the render guard to clear
 
 function cancelAutoRender() {
   if (autoRenderTimeout) {
@@ -287,8 +808,10 @@ function scheduleAutoRender() {
 }
 
 // UI bindings
-rawEl.addEventListener('input', () => {
+rawEl.addEventListener('input', (e) => {
   code = rawEl.value;
+  recordTyping(e.inputType);
+  scheduleDraftSave();
   scheduleHighlightUpdate();
   scheduleLintUpdate();
   scheduleAutoRender();
@@ -309,7 +832,114 @@ rerenderBtn.addEventListener('click', () => {
   render();
 });
 
-exportBtn.addEventListener('click', exportSVG);
+exportAllBtn?.addEventListener('click', exportAllDiagrams);
+
+// Export menu: pick a format (remembered for Ctrl+E) and raster options
+function syncExportMenu() {
+  if (!exportMenuEl) return;
+  for (const item of exportMenuEl.querySelectorAll('[data-format]')) {
+    item.setAttribute('aria-checked', String(item.dataset.format === exportPrefs.format));
+  }
+  exportScaleSel.value = exportPrefs.scale;
+  exportWidthInput.value = exportPrefs.width;
+  exportWidthField.hidden = exportPrefs.scale !== 'width';
+  exportBgSel.value = exportPrefs.background;
+  const spec = EXPORT_FORMATS[exportPrefs.format] || EXPORT_FORMATS.svg;
+  exportBtn.title = `Export (Ctrl+E: ${spec.label})`;
+}
+
+async function saveExportPrefs() {
+  syncExportMenu();
+  try {
+    if (chrome?.storage?.local) {
+      await chrome.storage.local.set({ exportPrefs });
+    }
+  } catch (_) {}
+}
+
+/**
+ * Wire a toolbar button to a dropdown of [role^="menuitem"] buttons:
+ * toggle on click, arrow-key navigation, Escape/outside click to close.
+ */
+function setupDropdownMenu(button, menu, { onOpen, onSelect } = {}) {
+  if (!button || !menu) return;
+  const items = () => Array.from(menu.querySelectorAll('[role^="menuitem"]'));
+  const setOpen = (open) => {
+    menu.hidden = !open;
+    button.setAttribute('aria-expanded', String(open));
+    if (open) {
+      onOpen?.();
+      const current = menu.querySelector('[aria-checked="true"]') || items()[0];
+      current?.focus();
+    }
+  };
+
+  button.addEventListener('click', () => setOpen(menu.hidden));
+
+  menu.addEventListener('click', (e) => {
+    const item = e.target.closest('[role^="menuitem"]');
+    if (!item) return;
+    setOpen(false);
+    button.focus();
+    onSelect?.(item);
+  });
+
+  menu.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      setOpen(false);
+      button.focus();
+      return;
+    }
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+    const list = items();
+    const idx = list.indexOf(document.activeElement);
+    if (idx === -1) return;
+    e.preventDefault();
+    const next = (idx + (e.key === 'ArrowDown' ? 1 : -1) + list.length) % list.length;
+    list[next].focus();
+  });
+
+  // Close when clicking anywhere else
+  document.addEventListener('mousedown', (e) => {
+    if (menu.hidden) return;
+    if (menu.contains(e.target) || button.contains(e.target)) return;
+    setOpen(false);
+  });
+}
+
+setupDropdownMenu(exportBtn, exportMenuEl, {
+  onOpen: syncExportMenu,
+  onSelect(item) {
+    exportPrefs.format = item.dataset.format;
+    saveExportPrefs();
+    exportDiagram(item.dataset.format);
+  }
+});
+
+if (exportMenuEl) {
+  exportScaleSel.addEventListener('change', () => {
+    exportPrefs.scale = exportScaleSel.value;
+    saveExportPrefs();
+  });
+  exportWidthInput.addEventListener('change', () => {
+    const w = Math.round(Number(exportWidthInput.value));
+    exportPrefs.width = Math.max(16, Math.min(EXPORT_LIMITS.MAX_SIDE, isFinite(w) ? w : 1920));
+    saveExportPrefs();
+  });
+  exportBgSel.addEventListener('change', () => {
+    exportPrefs.background = exportBgSel.value;
+    saveExportPrefs();
+  });
+}
+
+setupDropdownMenu(copyBtn, copyMenuEl, {
+  onSelect(item) {
+    copyDiagram(item.dataset.copy);
+  }
+});
+
 themeSel.addEventListener('change', async () => {
   // Cancel any pending auto-render since theme change triggers immediate render
   cancelAutoRender();
@@ -321,6 +951,7 @@ themeSel.addEventListener('change', async () => {
   initMermaid(themeSel.value);
   // Recolor code overlay if needed (mainly for dark/light backgrounds)
   scheduleHighlightUpdate();
+  scheduleDraftSave();
   render();
 });
 
@@ -333,6 +964,7 @@ structureSel.addEventListener('change', async () => {
     }
   } catch (_) {}
   initMermaid(themeSel.value);
+  scheduleDraftSave();
   render();
 });
 
@@ -394,6 +1026,14 @@ if (lintResults) {
   });
 }
 
+lintFixAllBtn?.addEventListener('click', () => LintUI.fixAll());
+fixPreviewApplyBtn?.addEventListener('click', () => FixPreview.apply());
+fixPreviewCancelBtn?.addEventListener('click', () => FixPreview.close());
+closeFixPreviewBtn?.addEventListener('click', () => FixPreview.close());
+fixPreviewModal?.addEventListener('click', (e) => {
+  if (e.target === fixPreviewModal) FixPreview.close();
+});
+
 // Help modal handlers
 if (helpBtn) {
   helpBtn.addEventListener('click', () => {
@@ -421,311 +1061,2507 @@ main();
 
 // --------- Helpers & new features ---------
 
-// ---------- Mermaid Lint Analysis ----------
-// ========== MERMAID LINT ANALYSIS SYSTEM ==========
+// ---------- Diagram tabs ----------
+
+// meta: { code, title?, tags?, libraryId?, source? } — see getDiagramsFromSession
+function createDiagramEntry(meta) {
+  // A carried-over viewport is kept as is instead of fitting on first render
+  const hasViewport = Number.isFinite(meta.scale) && meta.scale > 0 && Number.isFinite(meta.tx) && Number.isFinite(meta.ty);
+  return {
+    code: meta.code,
+    title: meta.title || '',
+    tags: Array.isArray(meta.tags) ? meta.tags : [],
+    libraryId: meta.libraryId || null,
+    source: meta.source || null,
+    // Code as opened or last saved to the library; drafts are kept while code differs
+    baseCode: typeof meta.baseCode === 'string' ? meta.baseCode : meta.code,
+    scale: hasViewport ? meta.scale : 1,
+    tx: hasViewport ? meta.tx : 12,
+    ty: hasViewport ? meta.ty : 12,
+    initialized: hasViewport && !!meta.initialized,
+    // Subgraph IDs drawn collapsed; only the render changes, never the code
+    collapsed: Array.isArray(meta.collapsed) ? meta.collapsed : [],
+    // { code, changes } of a tab opened by Compare (see Visual diff)
+    diff: meta.diff && Array.isArray(meta.diff.changes) ? meta.diff : null,
+    history: createEditHistory(meta.code),
+    revisions: [createRevision(meta.code, { name: 'As opened', auto: false })]
+  };
+}
+
+function initDiagramTabs(entries, active = 0) {
+  diagrams = entries.map(createDiagramEntry);
+  activeDiagram = Math.min(Math.max(0, active), diagrams.length - 1);
+  const d = diagrams[activeDiagram];
+  code = d.code;
+  scale = d.scale;
+  tx = d.tx;
+  ty = d.ty;
+  render.initialized = d.initialized;
+  renderDiagramTabs();
+}
+
+// Serializable form of a tab, for handoff payloads and drafts
+function toDiagramMeta(d) {
+  const { code: c, title, tags, libraryId, source, baseCode, scale: s, tx: x, ty: y, initialized, collapsed, diff } = d;
+  return { code: c, title, tags, libraryId, source, baseCode, scale: s, tx: x, ty: y, initialized, collapsed, diff };
+}
+
+// Select a theme/structure carried by a payload, draft or library entry
+// without persisting it as the user's preference
+function applyViewSettings({ theme, structure } = {}) {
+  if (theme && themeSel.querySelector(`option[value="${CSS.escape(theme)}"]`)) {
+    themeSel.value = theme;
+  }
+  if (structure && structureSel.querySelector(`option[value="${CSS.escape(structure)}"]`)) {
+    structureSel.value = structure;
+  }
+}
+
+// Copy the live editor/viewport globals back into the active tab entry
+function storeActiveDiagram() {
+  if (!diagrams.length) diagrams.push(createDiagramEntry({ code }));
+  const d = diagrams[activeDiagram];
+  d.code = code;
+  d.scale = scale;
+  d.tx = tx;
+  d.ty = ty;
+  d.initialized = !!render.initialized;
+}
+
+function selectDiagram(index) {
+  if (index === activeDiagram || !diagrams[index]) return;
+  cancelAutoRender();
+  storeActiveDiagram();
+  loadDiagram(index);
+}
+
+// Make diagrams[index] the live diagram: editor, viewport and render
+function loadDiagram(index) {
+  activeDiagram = index;
+  const d = diagrams[index];
+  code = d.code;
+  scale = d.scale;
+  tx = d.tx;
+  ty = d.ty;
+  render.initialized = d.initialized;
+  lastSvg = null;
+  sourceIndex = null;
+  linkedEls = [];
+  canvasEl.innerHTML = '';
+  canvasEl.classList.remove('stale');
+  updateMinimap();
+  stopTrace();
+  refreshDiffPanel();
+  parseIssue = null;
+  hideRepairOffer();
+  rawEl.value = code;
+  updateHighlight();
+  updateLintResults();
+  updateHistoryButtons();
+  renderDiagramTabs();
+  initMermaid(themeSel.value || currentTheme);
+  render();
+}
+
+// Open another diagram in this viewer: reuse the active tab if it is empty,
+// otherwise add a tab so nothing the user is working on is replaced.
+function addDiagramTab(meta) {
+  storeActiveDiagram();
+  const entry = createDiagramEntry(meta);
+  if (!diagrams[activeDiagram].code.trim()) {
+    diagrams[activeDiagram] = entry;
+    cancelAutoRender();
+    loadDiagram(activeDiagram);
+    return;
+  }
+  diagrams.push(entry);
+  selectDiagram(diagrams.length - 1);
+}
+
+function renderDiagramTabs() {
+  if (!diagramTabsEl || !tabListEl) return;
+  const multiple = diagrams.length > 1;
+  diagramTabsEl.hidden = !multiple;
+  appEl?.classList.toggle('has-tabs', multiple);
+  if (!multiple) {
+    tabListEl.innerHTML = '';
+    return;
+  }
+  tabListEl.innerHTML = diagrams.map((d, i) => {
+    const label = d.title || detectDiagramType(d.code);
+    const selected = i === activeDiagram;
+    return `<button type="button" class="diagram-tab" role="tab" id="diagramTab-${i}" data-index="${i}" aria-selected="${selected}" tabindex="${selected ? 0 : -1}">
+      ${i + 1}${label ? ` · ${escapeHtml(label)}` : ''}
+    </button>`;
+  }).join('');
+}
+
+if (tabListEl) {
+  tabListEl.addEventListener('click', (e) => {
+    const tab = e.target.closest('.diagram-tab');
+    if (tab) selectDiagram(Number(tab.dataset.index));
+  });
+  // Arrow keys move between tabs (WAI-ARIA tablist pattern)
+  tabListEl.addEventListener('keydown', (e) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    const step = e.key === 'ArrowRight' ? 1 : -1;
+    const next = (activeDiagram + step + diagrams.length) % diagrams.length;
+    selectDiagram(next);
+    document.getElementById(`diagramTab-${next}`)?.focus();
+  });
+}
+
+// ---------- Undo/redo & revision history ----------
+// Every diagram tab owns an undo stack and a revision timeline. Edits made by
+// the viewer itself (quick fixes, repairs, restores) go through
+// replaceEditorCode() so they are undoable like typing; the textarea's native
+// undo cannot be used because it is lost whenever rawEl.value is assigned.
+
+const HISTORY_CONFIG = {
+  MAX_STEPS: 200, // undo steps kept per diagram
+  COALESCE_MS: 800, // keystrokes closer together than this form one undo step
+  MAX_AUTO_REVISIONS: 30, // automatic revisions kept per diagram; named ones are never dropped
+  // Input types that always start a new undo step
+  STEP_INPUT_TYPES: ['insertFromPaste', 'insertFromDrop', 'deleteByCut', 'insertReplacementText']
+};
+
+let revisionCounter = 0;
+let comparePicks = []; // revision ids ticked for comparison (max two)
+
+function createEditHistory(initial) {
+  return { undo: [], redo: [], current: { code: initial, start: 0, end: 0 }, lastInputAt: 0 };
+}
+
+function createRevision(src, { name = '', auto = true } = {}) {
+  return { id: ++revisionCounter, code: src, name, auto, at: Date.now() };
+}
+
+function activeHistory() {
+  return diagrams[activeDiagram] ? diagrams[activeDiagram].history : null;
+}
+
+function editorSnapshot() {
+  return { code: rawEl.value, start: rawEl.selectionStart, end: rawEl.selectionEnd };
+}
+
+function pushUndoStep(h, state) {
+  h.undo.push(state);
+  if (h.undo.length > HISTORY_CONFIG.MAX_STEPS) h.undo.shift();
+  h.redo = [];
+}
+
+// Called on every textarea input: a burst of keystrokes becomes one undo step
+function recordTyping(inputType) {
+  const h = activeHistory();
+  if (!h) return;
+  const now = Date.now();
+  if (now - h.lastInputAt > HISTORY_CONFIG.COALESCE_MS || HISTORY_CONFIG.STEP_INPUT_TYPES.includes(inputType)) {
+    pushUndoStep(h, h.current);
+  }
+  h.lastInputAt = now;
+  h.current = editorSnapshot();
+  updateHistoryButtons();
+}
 
 /**
- * Configuration constants for lint analysis
+ * Replace the editor content as a single undoable step.
+ * Updates highlight and lint; rendering is left to the caller.
  */
-const LINT_CONFIG = {
-  VALID_DIRECTIONS: ['TD', 'TB', 'BT', 'RL', 'LR'],
-  MERMAID_KEYWORDS: ['graph', 'flowchart', 'subgraph', 'end', 'TD', 'TB', 'BT', 'RL', 'LR'],
-  TYPO_DETECTION: {
-    MAX_DISTANCE: 2,
-    MAX_LENGTH_DIFF: 2,
-    MIN_NODE_LENGTH: 2
-  },
-  PATTERNS: {
-    DIRECTION: /^(graph|flowchart)\s+([A-Z]{1,2})\b/i,
-    SUBGRAPH_START: /^\s*subgraph\b/i,
-    SUBGRAPH_END: /^\s*end\s*$/i,
-    NODE_DEFINITION: /^\s*([A-Za-z0-9_]+)\s*[\[\(]/,
-    NODE_REFERENCE: /\b([A-Za-z0-9_]+)\b/g,
-    EDGE_SOURCE: /([A-Za-z0-9_]+)\s*(?:-->|---|\.-\.|===>|\|\|[^\|]*\|\||[^=\-](?:-+>|=+>))/g,
-    EDGE_TARGET: /(?:-->|---|\.-\.|===>|\|\|[^\|]*\|\||[^=\-](?:-+>|=+>))\s*([A-Za-z0-9_]+)/g
+function replaceEditorCode(next) {
+  if (next === rawEl.value) return false;
+  const h = activeHistory();
+  if (h) pushUndoStep(h, editorSnapshot());
+  const caret = Math.min(rawEl.selectionStart, next.length);
+  rawEl.value = next;
+  code = next;
+  rawEl.setSelectionRange(caret, caret);
+  if (h) {
+    h.current = editorSnapshot();
+    h.lastInputAt = 0;
   }
-};
+  scheduleHighlightUpdate();
+  scheduleLintUpdate();
+  updateHistoryButtons();
+  scheduleDraftSave();
+  return true;
+}
+
+function applyHistoryState(state) {
+  rawEl.value = state.code;
+  code = state.code;
+  rawEl.setSelectionRange(state.start, state.end);
+  scheduleHighlightUpdate();
+  scheduleLintUpdate();
+  scheduleAutoRender();
+  updateHistoryButtons();
+  scheduleDraftSave();
+}
+
+function undoEdit() {
+  const h = activeHistory();
+  if (!h || !h.undo.length) return;
+  h.redo.push(editorSnapshot());
+  h.current = h.undo.pop();
+  h.lastInputAt = 0;
+  applyHistoryState(h.current);
+}
+
+function redoEdit() {
+  const h = activeHistory();
+  if (!h || !h.redo.length) return;
+  h.undo.push(editorSnapshot());
+  h.current = h.redo.pop();
+  h.lastInputAt = 0;
+  applyHistoryState(h.current);
+}
+
+function updateHistoryButtons() {
+  const h = activeHistory();
+  if (undoBtn) undoBtn.disabled = !h || !h.undo.length;
+  if (redoBtn) redoBtn.disabled = !h || !h.redo.length;
+}
+
+/**
+ * Append a revision to the active diagram's timeline. Automatic revisions are
+ * skipped when nothing changed since the latest one and are capped per diagram.
+ */
+function recordRevision(src, { name = '', auto = true } = {}) {
+  const d = diagrams[activeDiagram];
+  if (!d) return null;
+  const latest = d.revisions[d.revisions.length - 1];
+  if (auto && latest && latest.code === src) return null;
+  const rev = createRevision(src, { name, auto });
+  d.revisions.push(rev);
+  let autos = d.revisions.filter((r) => r.auto).length;
+  while (autos > HISTORY_CONFIG.MAX_AUTO_REVISIONS) {
+    d.revisions.splice(d.revisions.findIndex((r) => r.auto), 1);
+    autos--;
+  }
+  if (historyModal && !historyModal.classList.contains('hidden')) renderHistoryList();
+  return rev;
+}
+
+/**
+ * Line diff via longest common subsequence. Returns
+ * [{ type: 'same' | 'add' | 'del', text, aLine?, bLine? }] in display order.
+ * The common prefix/suffix is trimmed first so typical edits stay cheap.
+ */
+function diffLines(a, b) {
+  const A = a.split(/\r?\n/);
+  const B = b.split(/\r?\n/);
+  let start = 0;
+  while (start < A.length && start < B.length && A[start] === B[start]) start++;
+  let endA = A.length;
+  let endB = B.length;
+  while (endA > start && endB > start && A[endA - 1] === B[endB - 1]) { endA--; endB--; }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'same', text: A[i], aLine: i + 1, bLine: i + 1 });
+
+  const n = endA - start;
+  const m = endB - start;
+  const del = (i) => ops.push({ type: 'del', text: A[start + i], aLine: start + i + 1 });
+  const add = (j) => ops.push({ type: 'add', text: B[start + j], bLine: start + j + 1 });
+  let i = 0;
+  let j = 0;
+  // Very large rewrites: show as one replaced block rather than build a huge table
+  if (n * m <= 4e6) {
+    const w = m + 1;
+    const lcs = new Uint32Array((n + 1) * w);
+    for (let x = n - 1; x >= 0; x--) {
+      for (let y = m - 1; y >= 0; y--) {
+        lcs[x * w + y] = A[start + x] === B[start + y]
+          ? lcs[(x + 1) * w + y + 1] + 1
+          : Math.max(lcs[(x + 1) * w + y], lcs[x * w + y + 1]);
+      }
+    }
+    while (i < n && j < m) {
+      if (A[start + i] === B[start + j]) {
+        ops.push({ type: 'same', text: A[start + i], aLine: start + i + 1, bLine: start + j + 1 });
+        i++; j++;
+      } else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) {
+        del(i++);
+      } else {
+        add(j++);
+      }
+    }
+  }
+  while (i < n) del(i++);
+  while (j < m) add(j++);
+
+  for (let k = 0; k < A.length - endA; k++) {
+    ops.push({ type: 'same', text: A[endA + k], aLine: endA + k + 1, bLine: endB + k + 1 });
+  }
+  return ops;
+}
+
+// Pair runs of deletions and additions so changed lines sit side by side
+function toSideBySideRows(ops) {
+  const rows = [];
+  let dels = [];
+  let adds = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(dels.length, adds.length); k++) {
+      rows.push({ left: dels[k] || null, right: adds[k] || null });
+    }
+    dels = [];
+    adds = [];
+  };
+  for (const op of ops) {
+    if (op.type === 'del') dels.push(op);
+    else if (op.type === 'add') adds.push(op);
+    else {
+      flush();
+      rows.push({ left: op, right: op });
+    }
+  }
+  flush();
+  return rows;
+}
+
+function diffStats(ops) {
+  return {
+    added: ops.filter((op) => op.type === 'add').length,
+    removed: ops.filter((op) => op.type === 'del').length
+  };
+}
+
+function openHistory() {
+  if (!historyModal) return;
+  storeActiveDiagram();
+  comparePicks = [];
+  historyNameEl.value = '';
+  showHistoryList();
+  historyModal.classList.remove('hidden');
+  historyNameEl.focus();
+}
+
+function closeHistory() {
+  historyModal?.classList.add('hidden');
+}
+
+function showHistoryList() {
+  historyCompareView.hidden = true;
+  historyListView.hidden = false;
+  renderHistoryList();
+}
+
+// Revisions newest first, plus the live editor text when it differs from the latest
+function historyTimeline() {
+  const d = diagrams[activeDiagram];
+  const revisions = d ? d.revisions.slice() : [];
+  const latest = revisions[revisions.length - 1];
+  if (!latest || latest.code !== code) {
+    revisions.push({ id: 'current', code, name: 'Current editor', auto: false, at: Date.now(), current: true });
+  }
+  return revisions.reverse();
+}
+
+function revisionLabel(rev) {
+  return rev.name || 'Automatic';
+}
+
+function renderHistoryList() {
+  const timeline = historyTimeline();
+  comparePicks = comparePicks.filter((id) => timeline.some((r) => String(r.id) === id));
+  historyListEl.innerHTML = timeline.map((rev, i) => {
+    const previous = timeline[i + 1];
+    const stats = previous ? diffStats(diffLines(previous.code, rev.code)) : null;
+    const picked = comparePicks.includes(String(rev.id));
+    const kind = rev.current ? 'unsaved' : rev.auto ? 'auto' : 'named';
+    return `<li class="history-item history-${kind}" data-id="${rev.id}">
+      <input type="checkbox" class="history-pick" ${picked ? 'checked' : ''} aria-label="Select ${escapeHtml(revisionLabel(rev))} for comparison"/>
+      <div class="history-item-main">
+        <div class="history-item-title">${escapeHtml(revisionLabel(rev))}</div>
+        <div class="history-item-meta">
+          <span>${rev.current ? 'not yet a revision' : escapeHtml(new Date(rev.at).toLocaleTimeString())}</span>
+          ${stats ? `<span class="diff-count-add">+${stats.added}</span><span class="diff-count-del">−${stats.removed}</span>` : ''}
+          <span>${rev.code.split(/\r?\n/).length} lines</span>
+        </div>
+      </div>
+      ${rev.current ? '' : '<button type="button" class="btn" data-action="restore">Restore</button>'}
+    </li>`;
+  }).join('');
+  const count = comparePicks.length;
+  historyCompareBtn.disabled = count !== 2;
+  historyCompareHint.textContent = count === 2 ? '' : `Tick two revisions to compare (${count}/2)`;
+}
+
+function findTimelineRevision(id) {
+  return historyTimeline().find((r) => String(r.id) === String(id)) || null;
+}
+
+function restoreRevision(rev) {
+  cancelAutoRender();
+  if (!replaceEditorCode(rev.code)) return;
+  closeHistory();
+  setStatus(`Restored "${revisionLabel(rev)}" — Ctrl+Z to undo`);
+  render();
+}
+
+// a is the older revision (left), b the newer one (right)
+async function compareRevisions(a, b) {
+  historyListView.hidden = true;
+  historyCompareView.hidden = false;
+  historyCompareTitleA.textContent = revisionLabel(a);
+  historyCompareTitleB.textContent = revisionLabel(b);
+
+  const rows = toSideBySideRows(diffLines(a.code, b.code));
+  const cell = (op, side) => {
+    if (!op) return '<td class="diff-num"></td><td class="diff-text diff-empty"></td>';
+    const cls = op.type === 'same' ? '' : side === 'left' ? ' diff-del' : ' diff-add';
+    const num = side === 'left' ? op.aLine : op.bLine;
+    return `<td class="diff-num">${num}</td><td class="diff-text${cls}">${escapeHtml(op.text) || ' '}</td>`;
+  };
+  historyDiffEl.innerHTML = rows.map((row) => `<tr>${cell(row.left, 'left')}${cell(row.right, 'right')}</tr>`).join('');
+
+  await Promise.all([
+    renderComparePane(historyRenderA, a.code),
+    renderComparePane(historyRenderB, b.code)
+  ]);
+}
+
+async function renderComparePane(el, src) {
+  el.textContent = 'Rendering…';
+  if (!mermaid) {
+    el.textContent = 'Mermaid not loaded';
+    return;
+  }
+  try {
+    const { svg } = await mermaid.render(`compareGraph-${++renderCounter}`, src);
+    el.innerHTML = svg;
+  } catch (e) {
+    el.innerHTML = `<p class="history-render-error">Does not render: ${escapeHtml(String(e && e.message || e).split('\n')[0])}</p>`;
+  }
+}
+
+undoBtn?.addEventListener('click', undoEdit);
+redoBtn?.addEventListener('click', redoEdit);
+historyBtn?.addEventListener('click', openHistory);
+closeHistoryBtn?.addEventListener('click', closeHistory);
+
+if (historyModal) {
+  historyModal.addEventListener('click', (e) => {
+    if (e.target === historyModal) closeHistory();
+  });
+  historySaveForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = historyNameEl.value.trim() || `Revision ${new Date().toLocaleTimeString()}`;
+    recordRevision(code, { name, auto: false });
+    historyNameEl.value = '';
+    setStatus(`Saved revision "${name}"`);
+  });
+  historyListEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action="restore"]');
+    const item = e.target.closest('.history-item');
+    if (!btn || !item) return;
+    const rev = findTimelineRevision(item.dataset.id);
+    if (rev) restoreRevision(rev);
+  });
+  historyListEl.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('history-pick')) return;
+    const id = e.target.closest('.history-item').dataset.id;
+    comparePicks = comparePicks.filter((p) => p !== id);
+    // Ticking a third revision replaces the oldest pick
+    if (e.target.checked) comparePicks = [...comparePicks, id].slice(-2);
+    renderHistoryList();
+  });
+  historyCompareBtn.addEventListener('click', () => {
+    // Timeline is newest first: the later index is the older revision
+    const timeline = historyTimeline();
+    const [newer, older] = timeline.filter((r) => comparePicks.includes(String(r.id)));
+    if (newer && older) compareRevisions(older, newer);
+  });
+  historyBackBtn.addEventListener('click', showHistoryList);
+}
+
+// The textarea's own undo (e.g. from its context menu) would skip viewer edits
+rawEl.addEventListener('beforeinput', (e) => {
+  if (e.inputType !== 'historyUndo' && e.inputType !== 'historyRedo') return;
+  e.preventDefault();
+  if (e.inputType === 'historyUndo') undoEdit();
+  else redoEdit();
+});
+
+// ---------- Draft auto-save & recovery ----------
+// Each viewer window keeps its unsaved work (code, viewport, theme/structure)
+// in chrome.storage.local under draft:<id> while any diagram differs from how
+// it was opened or last saved to the library. A window holds a Web Lock for its
+// lifetime, so on launch drafts whose lock is free belong to windows that were
+// closed, crashed or lost to an extension reload, and are offered for restore.
+
+const DRAFT_CONFIG = {
+  KEY_PREFIX: 'draft:',
+  LOCK_PREFIX: 'merdia-draft-',
+  SAVE_DELAY: 1000,
+  MAX_AGE: 14 * 24 * 60 * 60 * 1000 // drafts older than this are dropped unseen
+};
+
+const draftId = (crypto && crypto.randomUUID) ? crypto.randomUUID() : `draft-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+let draftSaveTimer = null;
+let draftStored = false; // whether draft:<draftId> currently exists
+let recoverableDrafts = [];
+
+try {
+  // Never resolves: the lock is released when this page goes away
+  navigator.locks?.request(DRAFT_CONFIG.LOCK_PREFIX + draftId, () => new Promise(() => {}));
+} catch (_) {}
+
+function hasUnsavedChanges() {
+  return diagrams.some((d) => d.code !== d.baseCode);
+}
+
+function scheduleDraftSave() {
+  if (!diagrams.length) return;
+  if (draftSaveTimer) clearTimeout(draftSaveTimer);
+  draftSaveTimer = setTimeout(saveDraft, DRAFT_CONFIG.SAVE_DELAY);
+}
+
+function flushDraftSave() {
+  if (!draftSaveTimer) return;
+  clearTimeout(draftSaveTimer);
+  saveDraft();
+}
+
+async function saveDraft() {
+  draftSaveTimer = null;
+  if (!chrome?.storage?.local || !diagrams.length) return;
+  storeActiveDiagram();
+  const key = DRAFT_CONFIG.KEY_PREFIX + draftId;
+  try {
+    if (!hasUnsavedChanges()) {
+      if (draftStored) await chrome.storage.local.remove(key);
+      draftStored = false;
+      return;
+    }
+    await chrome.storage.local.set({
+      [key]: {
+        id: draftId,
+        diagrams: diagrams.map(toDiagramMeta),
+        active: activeDiagram,
+        theme: themeSel.value,
+        structure: structureSel.value,
+        updatedAt: Date.now()
+      }
+    });
+    draftStored = true;
+  } catch (_) {}
+}
+
+// Drafts left behind by viewer windows that are no longer open
+async function findRecoverableDrafts() {
+  if (!chrome?.storage?.local) return [];
+  const all = await chrome.storage.local.get(null);
+  let live = null;
+  try {
+    const state = await navigator.locks?.query();
+    if (state) live = new Set(state.held.map((lock) => lock.name));
+  } catch (_) {}
+  const drafts = [];
+  const expired = [];
+  for (const [key, draft] of Object.entries(all)) {
+    if (!key.startsWith(DRAFT_CONFIG.KEY_PREFIX) || !draft || draft.id === draftId) continue;
+    if (live && live.has(DRAFT_CONFIG.LOCK_PREFIX + draft.id)) continue;
+    if (!Array.isArray(draft.diagrams) || !draft.diagrams.length || Date.now() - (draft.updatedAt || 0) > DRAFT_CONFIG.MAX_AGE) {
+      expired.push(key);
+      continue;
+    }
+    drafts.push(draft);
+  }
+  if (expired.length) await chrome.storage.local.remove(expired);
+  return drafts.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+async function offerDraftRecovery() {
+  try {
+    recoverableDrafts = await findRecoverableDrafts();
+  } catch (e) {
+    console.error(e);
+    recoverableDrafts = [];
+  }
+  renderDraftBar();
+}
+
+function renderDraftBar() {
+  if (!draftBarEl) return;
+  const n = recoverableDrafts.length;
+  draftBarEl.hidden = !n;
+  if (!n) return;
+  draftMessageEl.textContent = n === 1
+    ? 'Unsaved work from a viewer window that was closed can be restored.'
+    : `Unsaved work from ${n} viewer windows that were closed can be restored.`;
+  draftListEl.innerHTML = recoverableDrafts.map((draft) => {
+    const names = draft.diagrams.map((d) => d.title || detectDiagramType(d.code) || 'diagram');
+    return `<li class="draft-item" data-id="${escapeHtml(draft.id)}">
+      <span class="draft-item-title">${escapeHtml(names.join(', '))}</span>
+      <span class="draft-item-meta">${escapeHtml(new Date(draft.updatedAt).toLocaleString())}</span>
+      <button type="button" class="btn primary" data-action="restore">Restore</button>
+      <button type="button" class="btn" data-action="discard">Discard</button>
+    </li>`;
+  }).join('');
+}
+
+async function removeDraft(draft) {
+  recoverableDrafts = recoverableDrafts.filter((d) => d !== draft);
+  renderDraftBar();
+  try {
+    await chrome.storage.local.remove(DRAFT_CONFIG.KEY_PREFIX + draft.id);
+  } catch (_) {}
+}
+
+// Open a draft's diagrams here (replacing an empty start tab) and adopt them:
+// this window's own draft takes over, so the old entry is removed.
+function restoreDraft(draft) {
+  applyViewSettings(draft);
+  storeActiveDiagram();
+  const entries = draft.diagrams.filter((d) => d && typeof d.code === 'string').map(createDiagramEntry);
+  if (!entries.length) return removeDraft(draft);
+  const replaceEmpty = diagrams.length === 1 && !diagrams[0].code.trim();
+  const offset = replaceEmpty ? 0 : diagrams.length;
+  diagrams = replaceEmpty ? entries : diagrams.concat(entries);
+  const active = Number.isInteger(draft.active) ? Math.min(Math.max(0, draft.active), entries.length - 1) : 0;
+  cancelAutoRender();
+  loadDiagram(offset + active);
+  removeDraft(draft);
+  scheduleDraftSave();
+  setStatus('Draft restored');
+}
+
+if (draftBarEl) {
+  draftListEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    const item = e.target.closest('.draft-item');
+    if (!btn || !item) return;
+    const draft = recoverableDrafts.find((d) => d.id === item.dataset.id);
+    if (!draft) return;
+    if (btn.dataset.action === 'restore') restoreDraft(draft);
+    else if (btn.dataset.action === 'discard') removeDraft(draft);
+  });
+  draftDiscardAllBtn.addEventListener('click', () => {
+    if (!confirm('Discard all unsaved drafts from closed windows?')) return;
+    for (const draft of recoverableDrafts.slice()) removeDraft(draft);
+  });
+  // Hide for now; the drafts are offered again next time
+  draftDismissBtn.addEventListener('click', () => { draftBarEl.hidden = true; });
+}
+
+window.addEventListener('pagehide', flushDraftSave);
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') flushDraftSave();
+});
+
+// ---------- Opt-in source repair ----------
+// The captured source is never modified on load. When Mermaid rejects it, we try a
+// conservative repair (quoting flowchart labels that contain special characters)
+// and only offer it if the repaired text parses. The user reviews and applies it.
+// The repair itself (repairMermaidCode) lives in mermaid-lint.mjs.
+
+let pendingRepair = null;
+
+async function offerRepair() {
+  hideRepairOffer();
+  if (!mermaid || typeof mermaid.parse !== 'function') return;
+  const src = code;
+  const repair = repairMermaidCode(src);
+  if (!repair.changes.length) return;
+  try {
+    await mermaid.parse(repair.code);
+  } catch (_) {
+    return; // The repair would not make this diagram parse; don't offer it
+  }
+  // Source changed while we were checking
+  if (src !== code) return;
+  pendingRepair = repair;
+  showRepairOffer(repair);
+}
+
+function showRepairOffer(repair) {
+  if (!repairBarEl) return;
+  const n = repair.changes.length;
+  repairMessageEl.textContent = `Mermaid could not parse this source. A repair that quotes labels on ${n} line${n === 1 ? '' : 's'} makes it valid.`;
+  repairChangesEl.innerHTML = repair.changes.map((c) => `
+    <li>
+      <div class="repair-line">Line ${c.line}</div>
+      <div class="repair-before"><span aria-hidden="true">−</span> <code>${escapeHtml(c.before)}</code></div>
+      <div class="repair-after"><span aria-hidden="true">+</span> <code>${escapeHtml(c.after)}</code></div>
+    </li>`).join('');
+  repairChangesEl.hidden = true;
+  repairReviewBtn?.setAttribute('aria-expanded', 'false');
+  repairBarEl.hidden = false;
+}
+
+function hideRepairOffer() {
+  pendingRepair = null;
+  if (repairBarEl) repairBarEl.hidden = true;
+}
+
+function applyRepair() {
+  if (!pendingRepair || pendingRepair.code === code) return hideRepairOffer();
+  cancelAutoRender();
+  replaceEditorCode(pendingRepair.code);
+  hideRepairOffer();
+  render();
+}
+
+repairReviewBtn?.addEventListener('click', () => {
+  const show = repairChangesEl.hidden;
+  repairChangesEl.hidden = !show;
+  repairReviewBtn.setAttribute('aria-expanded', String(show));
+});
+repairApplyBtn?.addEventListener('click', applyRepair);
+repairDismissBtn?.addEventListener('click', hideRepairOffer);
+
+// ---------- Parse error reporting ----------
+
+let parseIssue = null; // Lint issue built from the last failed render, or null
+
+/**
+ * Map parser line numbers back to source lines. Mermaid strips front matter,
+ * "%% comment" lines and leading blank lines before handing text to the parser,
+ * so its line numbers drift from what the user sees in #raw.
+ */
+function buildParserLineMap(src) {
+  const lines = src.split(/\r?\n/);
+  let start = 0;
+  if (/^-{3}\s*$/.test(lines[0] || '')) {
+    const end = lines.findIndex((l, i) => i > 0 && /^-{3}\s*$/.test(l));
+    if (end > 0) start = end + 1;
+  }
+  const map = [];
+  for (let i = start; i < lines.length; i++) {
+    if (/^\s*%%(?!\{)./.test(lines[i])) continue;
+    if (!map.length && !lines[i].trim()) continue;
+    map.push(i + 1);
+  }
+  return map;
+}
+
+/**
+ * Turn an error thrown by mermaid.parse/run into a lint issue with line,
+ * column and the parser's expected tokens where available.
+ */
+function parseErrorToIssue(err, src) {
+  const map = buildParserLineMap(src);
+  const toSourceLine = (n) => map[n - 1] || Math.min(n, src.split(/\r?\n/).length);
+  const rawMessage = String((err && (err.message || err.str)) || err || 'Unknown error');
+  const hash = err && err.hash;
+  let line = 0;
+  let column = 1;
+  let expected = [];
+  let message;
+
+  if (hash) {
+    // Jison parsers (flowchart, sequence, class, state, er, gantt, …)
+    const parserLine = (hash.loc && hash.loc.first_line) || (typeof hash.line === 'number' ? hash.line + 1 : 0);
+    if (parserLine) line = toSourceLine(parserLine);
+    if (hash.loc && typeof hash.loc.first_column === 'number') column = hash.loc.first_column + 1;
+    expected = (hash.expected || []).map((t) => String(t).replace(/^'|'$/g, ''));
+    const found = hash.text ? `"${hash.text}"` : 'end of input';
+    message = `Parse error: unexpected ${found}${hash.token ? ` (${hash.token})` : ''}`;
+  } else {
+    // Langium parsers and other errors carry "line N, column M" in the message
+    const m = rawMessage.match(/line (\d+)(?:,\s*column (\d+))?/i);
+    if (m) {
+      line = toSourceLine(Number(m[1]));
+      if (m[2]) column = Number(m[2]);
+    } else if (/no diagram type detected/i.test(rawMessage)) {
+      line = map[0] || 1;
+    }
+    message = rawMessage.split('\n').find((l) => l.trim()) || 'Parse error';
+  }
+
+  const MAX_EXPECTED = 8;
+  const issue = LintUtils.createIssue(
+    'parse-error',
+    line,
+    column,
+    message,
+    expected.length ? null : 'Check the syntax near this position'
+  );
+  issue.expected = expected.length > MAX_EXPECTED ? [...expected.slice(0, MAX_EXPECTED), '…'] : expected;
+  return issue;
+}
+
+/**
+ * Re-run Mermaid's parser for a structured error (mermaid.run's rejection can be
+ * wrapped), publish it to the lint panel and mark the line in the editor.
+ */
+async function reportParseError(err, src) {
+  let error = err;
+  if (mermaid && typeof mermaid.parse === 'function') {
+    try {
+      await mermaid.parse(src);
+    } catch (parseErr) {
+      error = parseErr;
+    }
+  }
+  parseIssue = parseErrorToIssue(error, src);
+  updateLintResults();
+  updateHighlight();
+  return parseIssue;
+}
+
+function clearParseIssue() {
+  if (!parseIssue) return;
+  parseIssue = null;
+  updateLintResults();
+  updateHighlight();
+}
+
+// ---------- Source ↔ diagram linking ----------
+// Clicking a node, edge or message in the render selects its definition in the
+// editor; moving the caret highlights the matching element and pans to it.
+// Elements are matched to the source through the IDs Mermaid writes into the
+// SVG. Source positions are looked up in the current editor text on demand, so
+// they stay right while the user types ahead of the next render.
+
+const SOURCE_LINK_CONFIG = {
+  // g.node ids, optionally prefixed with the svg id: flowchart-A-0, classId-Animal-1, state-Idle-2
+  NODE_ID_PATTERNS: [/(?:^|-)flowchart-(.+)-\d+$/, /(?:^|-)classId-(.+)-\d+$/, /(?:^|-)state-(.+?)(?:-\d+)?$/],
+  ID_CHAR: /[\w$]/,
+  // Flowchart link between two node references (-->, ---, -.->, ==>, ~~~, -- text -->)
+  ARROW: /--|==|-\.|~~~/,
+  // Lines that reference nodes without defining or linking them
+  STYLE_LINE: /^\s*(?:classDef|class|style|linkStyle|click|cssClass)\b/,
+  // Sequence message: A->>B: text, with every arrow variant and optional +/- activation
+  SEQUENCE_MESSAGE: /^\s*[^\s%:][^:]*?(?:<<)?--?(?:>>|>|x|\))\s*[+-]?[^:]*:/,
+  // Flowchart link paths and their labels, drawn in the same order
+  EDGE_PATHS: '.edgePaths path, path.flowchart-link, path[data-edge]',
+  EDGE_LABELS: '.edgeLabels .edgeLabel',
+  DRAG_TOLERANCE: 4 // px of pointer travel that still counts as a click rather than a pan
+};
+
+// { kind, targets: [{ type: 'node' | 'edge' | 'message', id?, from?, to?, occurrence?, els }], byEl }
+let sourceIndex = null;
+let linkedEls = [];
+let linkedSelection = null; // editor range selected from the diagram; caret sync leaves it alone
+let caretSyncPending = false;
+
+function sourceLinkKind(type) {
+  if (type === 'graph' || type === 'flowchart') return 'flowchart';
+  if (type === 'sequenceDiagram') return 'sequence';
+  if (type === 'classDiagram') return 'class';
+  if (type === 'stateDiagram' || type === 'stateDiagram-v2') return 'state';
+  return '';
+}
+
+// [{ text, masked, start }] with start as the offset of the line in src
+function indexSourceLines(src, kind) {
+  let start = 0;
+  return src.split('\n').map((text) => {
+    const line = { text, masked: maskSourceLine(text, kind), start };
+    start += text.length + 1;
+    return line;
+  });
+}
+
+// Offsets where id occurs as a whole token (my-node is one token, A-->B is two)
+function tokenIndexes(masked, id) {
+  const out = [];
+  const { ID_CHAR } = SOURCE_LINK_CONFIG;
+  for (let i = masked.indexOf(id); i !== -1; i = masked.indexOf(id, i + 1)) {
+    const before = masked[i - 1] || '';
+    const after = masked[i + id.length] || '';
+    if (ID_CHAR.test(before) || (before === '-' && ID_CHAR.test(masked[i - 2] || ''))) continue;
+    if (ID_CHAR.test(after) || (after === '-' && ID_CHAR.test(masked[i + id.length + 1] || ''))) continue;
+    out.push(i);
+  }
+  return out;
+}
+
+function isNodeDefinition(kind, masked, idx, id) {
+  const rest = masked.slice(idx + id.length);
+  if (kind === 'flowchart') return /^\s*(?:[[({>]|@\{)/.test(rest);
+  if (kind === 'sequence') return /^\s*(?:participant|actor)\s/.test(masked);
+  if (kind === 'class') return /^\s*class\s/.test(masked);
+  if (kind === 'state') return /^\s*state\s/.test(masked) || /^\s*:/.test(rest);
+  return false;
+}
+
+// Source range of a node: its shape definition if it has one, else its first reference
+function locateNode(lines, id, kind) {
+  let fallback = null;
+  for (const line of lines) {
+    for (const idx of tokenIndexes(line.masked, id)) {
+      if (isNodeDefinition(kind, line.masked, idx, id)) {
+        let end = idx + id.length;
+        if (kind === 'flowchart') {
+          const close = line.masked.slice(end).search(/[)\]}]/);
+          if (close !== -1) end += close + 1;
+        }
+        return { start: line.start + idx, end: line.start + end };
+      }
+      if (!fallback && !SOURCE_LINK_CONFIG.STYLE_LINE.test(line.masked)) {
+        fallback = { start: line.start + idx, end: line.start + idx + id.length };
+      }
+    }
+  }
+  return fallback;
+}
+
+function lineRange(line) {
+  const lead = line.text.length - line.text.trimStart().length;
+  return { start: line.start + lead, end: line.start + line.text.trimEnd().length };
+}
+
+/**
+ * Flowchart links in source order: [{ from, to, occurrence, line }].
+ * Node references on a line are grouped by "&" and split by arrows;
+ * every node of one group links to every node of the next.
+ */
+function flowchartLinks(lines, ids) {
+  const links = [];
+  const seen = new Map();
+  for (const line of lines) {
+    if (SOURCE_LINK_CONFIG.STYLE_LINE.test(line.masked) || !SOURCE_LINK_CONFIG.ARROW.test(line.masked)) continue;
+    const refs = [];
+    for (const id of ids) {
+      for (const idx of tokenIndexes(line.masked, id)) refs.push({ id, idx });
+    }
+    refs.sort((a, b) => a.idx - b.idx);
+    const groups = [];
+    refs.forEach((ref, i) => {
+      const prev = refs[i - 1];
+      const gap = prev ? line.masked.slice(prev.idx + prev.id.length, ref.idx) : '';
+      if (!prev || SOURCE_LINK_CONFIG.ARROW.test(gap)) groups.push([ref.id]);
+      else groups[groups.length - 1].push(ref.id);
+    });
+    for (let g = 1; g < groups.length; g++) {
+      for (const from of groups[g - 1]) {
+        for (const to of groups[g]) {
+          const key = `${from}\u0000${to}`;
+          const occurrence = seen.get(key) || 0;
+          seen.set(key, occurrence + 1);
+          links.push({ from, to, occurrence, line });
+        }
+      }
+    }
+  }
+  return links;
+}
+
+function sequenceMessageLines(lines) {
+  return lines.filter((line) => SOURCE_LINK_CONFIG.SEQUENCE_MESSAGE.test(line.text) && !line.text.trim().startsWith('%%'));
+}
+
+function svgNodeId(el) {
+  if (el.dataset && el.dataset.id) return el.dataset.id;
+  for (const pattern of SOURCE_LINK_CONFIG.NODE_ID_PATTERNS) {
+    const m = (el.id || '').match(pattern);
+    if (m) return m[1];
+  }
+  return '';
+}
+
+// Link path -> [from, to]: LS-/LE- classes, else an id like L-A-B-0 / L_A_B_0
+function svgEdgeEnds(el, pairs) {
+  const cls = Array.from(el.classList);
+  const ls = cls.find((c) => c.startsWith('LS-'));
+  const le = cls.find((c) => c.startsWith('LE-'));
+  if (ls && le) return [ls.slice(3), le.slice(3)];
+  const raw = (el.dataset && el.dataset.id) || el.id || '';
+  const m = raw.match(/(?:^|[-_])L([-_])(.+)$/);
+  if (!m) return null;
+  const [, sep, rest] = m;
+  for (const [from, to] of pairs) {
+    const head = `${from}${sep}${to}${sep}`;
+    if (rest.startsWith(head) && /^\d+$/.test(rest.slice(head.length))) return [from, to];
+  }
+  return null;
+}
+
+function nodeTargets(kind) {
+  const byId = new Map();
+  const add = (id, el) => {
+    if (!id) return;
+    if (!byId.has(id)) byId.set(id, { type: 'node', id, els: [] });
+    byId.get(id).els.push(el);
+  };
+  if (kind === 'sequence') {
+    // Actors are drawn twice (top and bottom), both carrying name="<id>"
+    for (const el of lastSvg.querySelectorAll('[name]')) {
+      if (/\bactor/.test(el.getAttribute('class') || '')) add(el.getAttribute('name'), el);
+    }
+  } else {
+    for (const el of lastSvg.querySelectorAll('g.node')) add(svgNodeId(el), el);
+  }
+  return Array.from(byId.values());
+}
+
+function flowchartEdgeTargets(nodes) {
+  const ids = nodes.map((t) => t.id);
+  const pairs = [];
+  const pairKeys = new Set();
+  for (const link of flowchartLinks(indexSourceLines(code, 'flowchart'), ids)) {
+    const key = `${link.from}\u0000${link.to}`;
+    if (!pairKeys.has(key)) {
+      pairKeys.add(key);
+      pairs.push([link.from, link.to]);
+    }
+  }
+  // Longest IDs first so L_A_B_1_0 is not read as A -> B_1 when A_B -> 1 exists
+  pairs.sort((a, b) => (b[0].length + b[1].length) - (a[0].length + a[1].length));
+  const paths = new Set(lastSvg.querySelectorAll(SOURCE_LINK_CONFIG.EDGE_PATHS));
+  const counts = new Map();
+  const targets = [];
+  for (const el of paths) {
+    const ends = svgEdgeEnds(el, pairs);
+    if (!ends) continue;
+    const key = ends.join('\u0000');
+    const occurrence = counts.get(key) || 0;
+    counts.set(key, occurrence + 1);
+    targets.push({ type: 'edge', from: ends[0], to: ends[1], occurrence, els: [el] });
+  }
+  return targets;
+}
+
+// Messages are drawn in source order: text and line of the k-th message belong together
+function sequenceMessageTargets() {
+  const texts = lastSvg.querySelectorAll('.messageText');
+  const paths = lastSvg.querySelectorAll('.messageLine0, .messageLine1');
+  return Array.from(texts, (text, occurrence) => ({
+    type: 'message',
+    occurrence,
+    els: paths[occurrence] ? [text, paths[occurrence]] : [text]
+  }));
+}
+
+// Rebuilt after every successful render
+function buildSourceIndex(src) {
+  setLinkedElements([]);
+  sourceIndex = null;
+  const kind = lastSvg ? sourceLinkKind(detectDiagramType(src)) : '';
+  if (!kind) return;
+  const nodes = nodeTargets(kind);
+  const targets = nodes.concat(
+    kind === 'flowchart' ? flowchartEdgeTargets(nodes) : [],
+    kind === 'sequence' ? sequenceMessageTargets() : []
+  );
+  const byEl = new Map();
+  for (const target of targets) {
+    for (const el of target.els) {
+      byEl.set(el, target);
+      el.classList.add('source-linkable');
+    }
+  }
+  sourceIndex = { kind, targets, byEl };
+  if (document.activeElement === rawEl) syncCaretToDiagram({ pan: false });
+}
+
+function targetForElement(el) {
+  for (let node = el; node && node !== lastSvg; node = node.parentNode) {
+    const target = sourceIndex.byEl.get(node);
+    if (target) return target;
+  }
+  return null;
+}
+
+// Where a target is defined in the current editor text
+function locateTarget(target) {
+  const { kind } = sourceIndex;
+  const lines = indexSourceLines(code, kind);
+  if (target.type === 'node') return locateNode(lines, target.id, kind);
+  if (target.type === 'edge') {
+    const ids = sourceIndex.targets.filter((t) => t.type === 'node').map((t) => t.id);
+    const link = flowchartLinks(lines, ids).find((l) => l.from === target.from && l.to === target.to && l.occurrence === target.occurrence);
+    return link ? lineRange(link.line) : null;
+  }
+  const line = sequenceMessageLines(lines)[target.occurrence];
+  return line ? lineRange(line) : null;
+}
+
+// Diagram elements for the caret: the node under it, else the links or message
+// on its line, else every node mentioned on the line
+function targetsAtCaret(pos) {
+  const { kind, targets } = sourceIndex;
+  const lines = indexSourceLines(code, kind);
+  const line = lines.find((l) => pos >= l.start && pos <= l.start + l.text.length);
+  if (!line) return [];
+  const col = pos - line.start;
+  const nodes = targets.filter((t) => t.type === 'node');
+  for (const t of nodes) {
+    if (tokenIndexes(line.masked, t.id).some((idx) => col >= idx && col <= idx + t.id.length)) return [t];
+  }
+  if (kind === 'flowchart') {
+    const links = flowchartLinks(lines, nodes.map((t) => t.id)).filter((l) => l.line === line);
+    const edges = targets.filter((t) => t.type === 'edge' && links.some((l) => l.from === t.from && l.to === t.to && l.occurrence === t.occurrence));
+    if (edges.length) return edges;
+  }
+  if (kind === 'sequence') {
+    const occurrence = sequenceMessageLines(lines).indexOf(line);
+    const message = targets.find((t) => t.type === 'message' && t.occurrence === occurrence);
+    if (message) return [message];
+  }
+  return nodes.filter((t) => tokenIndexes(line.masked, t.id).length);
+}
+
+function setLinkedElements(els, { pan = false } = {}) {
+  for (const el of linkedEls) el.classList.remove('source-linked');
+  linkedEls = els;
+  for (const el of els) el.classList.add('source-linked');
+  if (pan && els.length) panToElements(els);
+}
+
+// Screen box around several elements
+function elementsBounds(els) {
+  const rects = els.map((el) => el.getBoundingClientRect());
+  return {
+    left: Math.min(...rects.map((r) => r.left)),
+    right: Math.max(...rects.map((r) => r.right)),
+    top: Math.min(...rects.map((r) => r.top)),
+    bottom: Math.max(...rects.map((r) => r.bottom))
+  };
+}
+
+// Center the elements if any part of them is outside the diagram viewport
+function panToElements(els) {
+  const view = diagramEl.getBoundingClientRect();
+  const box = elementsBounds(els);
+  if (box.left >= view.left && box.right <= view.right && box.top >= view.top && box.bottom <= view.bottom) return;
+  tx += view.left + view.width / 2 - (box.left + box.right) / 2;
+  ty += view.top + view.height / 2 - (box.top + box.bottom) / 2;
+  applyTransform();
+  updateMinimap();
+}
+
+function selectSourceRange(start, end) {
+  // Reveal the editor if the code panel is collapsed
+  if (document.getElementById('content')?.classList.contains('collapsed')) {
+    toggleCodeBtn?.click();
+  }
+  linkedSelection = { start, end };
+  rawEl.focus();
+  rawEl.setSelectionRange(start, end);
+  const line = code.slice(0, start).split('\n').length;
+  rawEl.scrollTop = Math.max(0, (line - 1) * LINT_UI_CONFIG.LINE_HEIGHT_APPROX - rawEl.clientHeight / 2);
+}
+
+function selectTargetSource(target) {
+  const range = locateTarget(target);
+  setLinkedElements(target.els);
+  if (!range) {
+    setStatus('Not found in the source');
+    return;
+  }
+  selectSourceRange(range.start, range.end);
+}
+
+function syncCaretToDiagram({ pan = true } = {}) {
+  caretSyncPending = false;
+  if (!sourceIndex || document.activeElement !== rawEl) return;
+  const { selectionStart, selectionEnd } = rawEl;
+  if (linkedSelection && selectionStart === linkedSelection.start && selectionEnd === linkedSelection.end) return;
+  linkedSelection = null;
+  const els = targetsAtCaret(selectionStart).flatMap((t) => t.els);
+  const changed = els.length !== linkedEls.length || els.some((el, i) => el !== linkedEls[i]);
+  if (changed) setLinkedElements(els, { pan });
+}
+
+function scheduleCaretSync() {
+  if (caretSyncPending) return;
+  caretSyncPending = true;
+  requestAnimationFrame(() => syncCaretToDiagram());
+}
+
+diagramEl.addEventListener('click', (e) => {
+  if (!sourceIndex || !lastSvg || !lastSvg.contains(e.target) || e.target.closest('a')) return;
+  // startPan is recorded on mousedown; a drag is a pan, not a click
+  if (Math.hypot(e.clientX - startPan.x, e.clientY - startPan.y) > SOURCE_LINK_CONFIG.DRAG_TOLERANCE) return;
+  const target = targetForElement(e.target);
+  if (target && target.type === 'node' && handleTraceClick(target.id, e)) return;
+  if (!e.altKey && toggleSubgraphAt(e.target, target)) return;
+  if (target) selectTargetSource(target);
+});
+document.addEventListener('selectionchange', scheduleCaretSync);
+rawEl.addEventListener('keyup', scheduleCaretSync);
+rawEl.addEventListener('mouseup', scheduleCaretSync);
+
+// ---------- Keyboard navigation & text outline ----------
+// #diagram takes focus like any control: arrow keys pan, Tab/Shift+Tab step
+// through the nodes in source order, Enter and 1-9 follow a node's outgoing
+// links and Backspace walks back. Focus stays on #diagram; the current node is
+// highlighted and described through the diagram's aria-live region, so screen
+// readers hear its label and connections once. The outline lists the same
+// structure (DiagramStructure) as nested lists.
+
+const KEYBOARD_NAV_CONFIG = {
+  PAN_STEP: 50, // px per arrow key press
+  PAN_STEP_LARGE: 250, // with Shift
+  MAX_ANNOUNCED: 6, // connections read out per direction before "and N more"
+  NOUNS: { flowchart: 'node', sequence: 'participant', class: 'class', state: 'state' },
+  KIND_NAMES: { flowchart: 'Flowchart', sequence: 'Sequence diagram', class: 'Class diagram', state: 'State diagram' }
+};
+
+let diagramStructure = null; // DiagramStructure of the last render
+let structureSrc = ''; // the source it was built from
+let keyboardTargets = new Map(); // node id -> source-link target with its SVG elements
+let keyboardNode = null; // id of the node with keyboard focus
+let keyboardFocusEls = [];
+let keyboardTrail = []; // nodes left by following links, newest last
+
+// Rebuilt after every successful render, after the source index
+function buildKeyboardNav(src) {
+  diagramStructure = sourceIndex ? DiagramStructure.build(src) : null;
+  structureSrc = src;
+  keyboardTargets = new Map((sourceIndex?.targets || []).filter((t) => t.type === 'node').map((t) => [t.id, t]));
+  keyboardTrail = [];
+  const keep = keyboardNode && keyboardTargets.has(keyboardNode) ? keyboardNode : null;
+  setKeyboardNode(keep, { announce: false, pan: false });
+  diagramEl.setAttribute('aria-label', diagramSummary());
+}
+
+// Node IDs in source order that have an element in the render
+function navigableNodes() {
+  if (!diagramStructure) return [];
+  return diagramStructure.nodes.map((node) => node.id).filter((id) => keyboardTargets.has(id));
+}
+
+// Text the render shows for a node, else its ID
+function nodeLabel(id) {
+  const target = keyboardTargets.get(id);
+  const text = target ? target.els.map((el) => el.textContent || '').find((t) => t.trim()) : '';
+  return text ? text.replace(/\s+/g, ' ').trim() : id;
+}
+
+function containerLabel(id) {
+  const group = diagramStructure.groups.find((g) => g.id === id);
+  return group ? `subgraph ${group.label}` : nodeLabel(id);
+}
+
+// "Flowchart: 5 nodes, 4 links"
+function structureSummary() {
+  const { kind, edges } = diagramStructure;
+  const noun = KEYBOARD_NAV_CONFIG.NOUNS[kind];
+  const count = navigableNodes().length;
+  return `${KEYBOARD_NAV_CONFIG.KIND_NAMES[kind]}: ${count} ${noun}${count === 1 ? '' : 's'}, ${edges.length} link${edges.length === 1 ? '' : 's'}`;
+}
+
+// Accessible name of #diagram: the accTitle if there is one, then the summary
+function diagramSummary() {
+  if (!diagramStructure) return 'Diagram';
+  const title = findAccessibilityText(structureSrc.split(/\r?\n/)).title;
+  return title ? `${title}. ${structureSummary()}` : structureSummary();
+}
+
+function listConnections(list, { numbered = false } = {}) {
+  const { MAX_ANNOUNCED } = KEYBOARD_NAV_CONFIG;
+  const names = list.slice(0, MAX_ANNOUNCED)
+    .map((c, i) => `${numbered ? `${i + 1} ` : ''}${nodeLabel(c.id)}${c.label ? ` (${c.label})` : ''}`);
+  if (list.length > MAX_ANNOUNCED) names.push(`and ${list.length - MAX_ANNOUNCED} more`);
+  return names.join(', ');
+}
+
+// "Check stock, node 3 of 7. In subgraph Orders. Links to 1 Ship (yes), 2 Refund (no). Linked from Start."
+function describeNode(id) {
+  const nodes = navigableNodes();
+  const noun = KEYBOARD_NAV_CONFIG.NOUNS[diagramStructure.kind];
+  const { outgoing, incoming } = DiagramStructure.connections(diagramStructure, id);
+  const parent = diagramStructure.nodes.find((node) => node.id === id)?.parent;
+  const parts = [`${nodeLabel(id)}, ${noun} ${nodes.indexOf(id) + 1} of ${nodes.length}.`];
+  if (parent) parts.push(`In ${containerLabel(parent)}.`);
+  parts.push(outgoing.length ? `Links to ${listConnections(outgoing, { numbered: true })}.` : 'No outgoing links.');
+  if (incoming.length) parts.push(`Linked from ${listConnections(incoming)}.`);
+  return parts.join(' ');
+}
+
+function announce(message) {
+  if (!diagramAnnouncerEl) return;
+  // Cleared first so repeating the same message is read again
+  diagramAnnouncerEl.textContent = '';
+  requestAnimationFrame(() => { diagramAnnouncerEl.textContent = message; });
+}
+
+function setKeyboardNode(id, { announce: speak = true, pan = true } = {}) {
+  for (const el of keyboardFocusEls) el.classList.remove('keyboard-focus');
+  keyboardNode = id;
+  keyboardFocusEls = id ? keyboardTargets.get(id).els : [];
+  for (const el of keyboardFocusEls) el.classList.add('keyboard-focus');
+  if (id && pan) panToElements(keyboardFocusEls);
+  if (id && speak) announce(describeNode(id));
+}
+
+// Step to the next/previous node. Returns false when Tab should leave the
+// diagram (past the last node, or Shift+Tab with no node selected).
+function moveKeyboardFocus(delta) {
+  const nodes = navigableNodes();
+  if (!nodes.length || (!keyboardNode && delta < 0)) return false;
+  const next = (keyboardNode ? nodes.indexOf(keyboardNode) : -1) + delta;
+  keyboardTrail = [];
+  if (next >= nodes.length) {
+    setKeyboardNode(null);
+    return false;
+  }
+  if (next < 0) {
+    setKeyboardNode(null);
+    announce(diagramSummary());
+    return true;
+  }
+  setKeyboardNode(nodes[next]);
+  return true;
+}
+
+function followLink(index) {
+  const { outgoing } = DiagramStructure.connections(diagramStructure, keyboardNode);
+  const link = outgoing[index];
+  if (!link) {
+    announce(outgoing.length
+      ? `${nodeLabel(keyboardNode)} has ${outgoing.length} outgoing link${outgoing.length === 1 ? '' : 's'}`
+      : `No outgoing links from ${nodeLabel(keyboardNode)}`);
+    return;
+  }
+  if (!keyboardTargets.has(link.id)) {
+    announce(`${link.id} is not in the rendered diagram`);
+    return;
+  }
+  keyboardTrail.push(keyboardNode);
+  setKeyboardNode(link.id);
+}
+
+diagramEl.addEventListener('keydown', (e) => {
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && (e.key === 'f' || e.key === 'F')) {
+    e.preventDefault();
+    openDiagramSearch();
+    return;
+  }
+  if (e.target !== diagramEl || e.ctrlKey || e.metaKey || e.altKey) return;
+  const step = e.shiftKey ? KEYBOARD_NAV_CONFIG.PAN_STEP_LARGE : KEYBOARD_NAV_CONFIG.PAN_STEP;
+  const pans = { ArrowLeft: [step, 0], ArrowRight: [-step, 0], ArrowUp: [0, step], ArrowDown: [0, -step] };
+  if (pans[e.key]) {
+    e.preventDefault();
+    tx += pans[e.key][0];
+    ty += pans[e.key][1];
+    applyTransform();
+    updateMinimap();
+    return;
+  }
+  if (e.key === 'Tab') {
+    if (moveKeyboardFocus(e.shiftKey ? -1 : 1)) e.preventDefault();
+    return;
+  }
+  if (keyboardNode && (e.key === 'Enter' || /^[1-9]$/.test(e.key))) {
+    e.preventDefault();
+    followLink(e.key === 'Enter' ? 0 : Number(e.key) - 1);
+    return;
+  }
+  if (e.key === 'Backspace' && keyboardTrail.length) {
+    e.preventDefault();
+    setKeyboardNode(keyboardTrail.pop());
+    return;
+  }
+  if (e.key === 'Escape' && trace) {
+    e.preventDefault();
+    stopTrace();
+    return;
+  }
+  if ((e.key === 't' || e.key === 'T') && keyboardNode) {
+    e.preventDefault();
+    if (e.shiftKey && trace) showTracePath(keyboardNode);
+    else startTrace(keyboardNode);
+    return;
+  }
+  if (e.key === 'Escape' && keyboardNode) {
+    e.preventDefault();
+    keyboardTrail = [];
+    setKeyboardNode(null);
+    announce(diagramSummary());
+    return;
+  }
+  if (e.key === 'Escape' && diagramSearchEl && !diagramSearchEl.hidden) {
+    e.preventDefault();
+    closeDiagramSearch();
+    return;
+  }
+  if (e.key === 'o' || e.key === 'O') {
+    e.preventDefault();
+    openOutline();
+    return;
+  }
+  if (e.key === 'm' || e.key === 'M') {
+    e.preventDefault();
+    setMinimapVisible(!minimapVisible, { persist: true });
+    return;
+  }
+  if (e.key === 'p' || e.key === 'P') {
+    e.preventDefault();
+    startPresentation();
+    return;
+  }
+  if ((e.key === 'c' || e.key === 'C') && keyboardNode) {
+    e.preventDefault();
+    toggleSubgraphOfNode(keyboardNode);
+  }
+});
+diagramEl.addEventListener('blur', () => {
+  // Switching windows keeps the place; moving focus elsewhere in the viewer drops it
+  if (!document.hasFocus()) return;
+  keyboardTrail = [];
+  setKeyboardNode(null, { announce: false });
+});
+
+function openOutline() {
+  if (!outlineModal) return;
+  outlineBodyEl.innerHTML = outlineHTML();
+  outlineModal.classList.remove('hidden');
+  (outlineBodyEl.querySelector('.outline-node') || closeOutlineBtn)?.focus();
+}
+
+function closeOutline() {
+  outlineModal?.classList.add('hidden');
+}
+
+function outlineHTML() {
+  if (!diagramStructure) {
+    return '<p class="library-hint">No outline for this diagram. Outlines cover rendered flowcharts and sequence, class and state diagrams.</p>';
+  }
+  const { title, description } = findAccessibilityText(structureSrc.split(/\r?\n/));
+  const byParent = new Map();
+  const items = [
+    ...diagramStructure.groups.map((group) => ({ ...group, group: true })),
+    ...diagramStructure.nodes
+  ].sort((a, b) => a.line - b.line);
+  const ids = new Set(items.map((item) => item.id));
+  for (const item of items) {
+    const parent = item.parent && ids.has(item.parent) ? item.parent : null;
+    if (!byParent.has(parent)) byParent.set(parent, []);
+    byParent.get(parent).push(item);
+  }
+  return `
+    ${title ? `<h3 class="outline-heading">${escapeHtml(title)}</h3>` : ''}
+    ${description ? `<p class="outline-description">${escapeHtml(description)}</p>` : ''}
+    <p class="library-hint">${escapeHtml(structureSummary())}. Choose a ${KEYBOARD_NAV_CONFIG.NOUNS[diagramStructure.kind]} to focus it in the diagram.</p>
+    <ul class="outline-tree">${outlineItemsHTML(null, byParent)}</ul>`;
+}
+
+function outlineItemsHTML(parent, byParent) {
+  return (byParent.get(parent) || []).map((item) => {
+    const children = outlineItemsHTML(item.id, byParent);
+    if (item.group) {
+      return `<li><span class="outline-group">Subgraph ${escapeHtml(item.label)}</span>
+        ${children ? `<ul>${children}</ul>` : ''}</li>`;
+    }
+    const { outgoing, incoming } = DiagramStructure.connections(diagramStructure, item.id);
+    const link = (direction, c) => `<li>${direction} ${escapeHtml(nodeLabel(c.id))}${
+      c.label ? ` <span class="outline-edge-label">(${escapeHtml(c.label)})</span>` : ''}</li>`;
+    const links = outgoing.map((c) => link('to', c)).join('') + incoming.map((c) => link('from', c)).join('');
+    const label = nodeLabel(item.id);
+    const name = keyboardTargets.has(item.id)
+      ? `<button type="button" class="outline-node" data-node="${escapeHtml(item.id)}">${escapeHtml(label)}</button>`
+      : `<span class="outline-node-text">${escapeHtml(label)}</span>`;
+    return `<li>${name}${label !== item.id ? ` <code>${escapeHtml(item.id)}</code>` : ''}
+      ${links ? `<ul class="outline-links">${links}</ul>` : ''}
+      ${children ? `<ul>${children}</ul>` : ''}</li>`;
+  }).join('');
+}
+
+outlineBtn?.addEventListener('click', openOutline);
+closeOutlineBtn?.addEventListener('click', closeOutline);
+outlineModal?.addEventListener('click', (e) => {
+  if (e.target === outlineModal) {
+    closeOutline();
+    return;
+  }
+  const button = e.target.closest('.outline-node');
+  if (!button) return;
+  closeOutline();
+  diagramEl.focus();
+  keyboardTrail = [];
+  setKeyboardNode(button.dataset.node);
+});
+
+// ---------- Find in diagram ----------
+// Ctrl+F with the diagram focused searches the labels of the rendered SVG, so
+// it works for every diagram type without knowing its source syntax. A match
+// is the closest shape group around a label (a node with its box), else the
+// label itself; all matches are highlighted and Enter steps through them,
+// centering and if needed zooming to each.
+
+const SEARCH_CONFIG = {
+  // Groups Mermaid draws around a labelled shape, across diagram types and versions
+  SHAPES: 'g.node, g.edgeLabel, g.cluster, g.classGroup, g.statediagram-state, g.mindmap-node, g.legend',
+  MIN_MATCH_HEIGHT: 18, // px a match is zoomed up to when it is smaller on screen
+  MAX_ZOOM: 2 // ...but never past this scale
+};
+
+let searchMatches = []; // matched elements in document order
+let searchIndex = -1;
+
+// Label elements of the current render, grouped by the element to highlight
+function searchTargets() {
+  const targets = new Map();
+  if (!lastSvg) return targets;
+  for (const label of lastSvg.querySelectorAll('text, foreignObject')) {
+    const text = (label.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    let target = label.closest(SEARCH_CONFIG.SHAPES);
+    if (!target) {
+      // A group holding just this label and its shape (sequence actors, notes)
+      const parent = label.parentElement;
+      const alone = parent && parent !== lastSvg && parent.tagName.toLowerCase() === 'g' &&
+        parent.querySelectorAll('text, foreignObject').length === 1;
+      target = alone ? parent : label;
+    }
+    targets.set(target, targets.has(target) ? `${targets.get(target)} ${text}` : text);
+  }
+  return targets;
+}
+
+function openDiagramSearch() {
+  if (!diagramSearchEl) return;
+  diagramSearchEl.hidden = false;
+  diagramSearchInput.focus();
+  diagramSearchInput.select();
+  if (diagramSearchInput.value) runDiagramSearch();
+}
+
+function closeDiagramSearch({ focusDiagram = true } = {}) {
+  if (!diagramSearchEl || diagramSearchEl.hidden) return;
+  clearSearchHighlights();
+  searchMatches = [];
+  searchIndex = -1;
+  diagramSearchEl.hidden = true;
+  if (focusDiagram) diagramEl.focus({ preventScroll: true });
+}
+
+function clearSearchHighlights() {
+  for (const el of searchMatches) el.classList.remove('search-match', 'search-current');
+}
+
+// Re-runs the query against the current render; `pan` centers the first
+// match (or keeps the current position after a re-render)
+function runDiagramSearch({ pan = true } = {}) {
+  clearSearchHighlights();
+  const query = diagramSearchInput.value.replace(/\s+/g, ' ').trim().toLowerCase();
+  const previous = searchIndex;
+  searchMatches = [];
+  if (query) {
+    for (const [el, text] of searchTargets()) {
+      if (text.toLowerCase().includes(query)) searchMatches.push(el);
+    }
+  }
+  for (const el of searchMatches) el.classList.add('search-match');
+  searchIndex = -1;
+  if (searchMatches.length) showSearchMatch(pan ? 0 : Math.min(Math.max(previous, 0), searchMatches.length - 1), { pan });
+  else updateSearchCount();
+}
+
+function showSearchMatch(index, { pan = true } = {}) {
+  if (!searchMatches.length) return;
+  searchMatches[searchIndex]?.classList.remove('search-current');
+  searchIndex = (index + searchMatches.length) % searchMatches.length;
+  const el = searchMatches[searchIndex];
+  el.classList.add('search-current');
+  if (pan) zoomToElements([el]);
+  updateSearchCount();
+}
+
+function updateSearchCount() {
+  const query = diagramSearchInput.value.trim();
+  const none = !!query && !searchMatches.length;
+  diagramSearchEl.classList.toggle('no-match', none);
+  diagramSearchCountEl.textContent = !query ? '' : none ? 'No matches' : `${searchIndex + 1} of ${searchMatches.length}`;
+}
+
+// Zoom in until the elements are readable, then center them
+function zoomToElements(els) {
+  const { MIN_MATCH_HEIGHT, MAX_ZOOM } = SEARCH_CONFIG;
+  let box = elementsBounds(els);
+  const height = box.bottom - box.top;
+  if (height > 0 && height < MIN_MATCH_HEIGHT && scale < MAX_ZOOM) {
+    const factor = Math.min(MIN_MATCH_HEIGHT / height, MAX_ZOOM / scale);
+    zoomAtPoint(factor, (box.left + box.right) / 2, (box.top + box.bottom) / 2);
+    box = elementsBounds(els);
+  }
+  const view = diagramEl.getBoundingClientRect();
+  tx += view.left + view.width / 2 - (box.left + box.right) / 2;
+  ty += view.top + view.height / 2 - (box.top + box.bottom) / 2;
+  applyTransform();
+  updateMinimap();
+}
+
+// Highlights live on the SVG, so a new render needs them again
+function refreshDiagramSearch() {
+  if (diagramSearchEl && !diagramSearchEl.hidden) runDiagramSearch({ pan: false });
+}
+
+diagramSearchInput?.addEventListener('input', () => runDiagramSearch());
+diagramSearchInput?.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    showSearchMatch(searchIndex + (e.shiftKey ? -1 : 1));
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    e.stopPropagation();
+    closeDiagramSearch();
+  }
+});
+qs('#diagramSearchPrev')?.addEventListener('click', () => showSearchMatch(searchIndex - 1));
+qs('#diagramSearchNext')?.addEventListener('click', () => showSearchMatch(searchIndex + 1));
+qs('#diagramSearchClose')?.addEventListener('click', () => closeDiagramSearch());
+
+// ---------- Collapsible subgraphs ----------
+// Clicking a subgraph title in a flowchart draws the subgraph as one
+// placeholder node (DiagramStructure.collapseSubgraphs) and clicking the
+// placeholder expands it again. The rewrite is only rendered: #raw, lint,
+// history and exports keep the full source. Collapsed IDs are stored per tab.
+
+let subgraphClusters = new Map(); // clickable cluster title -> subgraph ID
+let subgraphPlaceholders = new Map(); // placeholder node ID -> subgraph ID
+let viewGroupIds = new Map(); // subgraph ID in the rendered code -> ID in the source
+let subgraphClusterEls = new Map(); // subgraph ID in the rendered code -> its g.cluster
+let subgraphIds = []; // every subgraph of the source, outermost first
+
+function collapsedView(src) {
+  const collapsed = new Set(diagrams[activeDiagram]?.collapsed || []);
+  if (!collapsed.size || sourceLinkKind(detectDiagramType(src)) !== 'flowchart') {
+    return { code: src, placeholders: new Map() };
+  }
+  return DiagramStructure.collapseSubgraphs(src, collapsed);
+}
+
+// Rebuilt after every successful render, after the keyboard structure
+function decorateSubgraphs(src, view) {
+  const source = sourceLinkKind(detectDiagramType(src)) === 'flowchart' ? DiagramStructure.build(src) : null;
+  subgraphIds = source ? source.groups.map((group) => group.id) : [];
+  subgraphPlaceholders = view.placeholders;
+  subgraphClusters = new Map();
+  subgraphClusterEls = new Map();
+  viewGroupIds = new Map();
+  if (subgraphControlsEl) {
+    const collapsed = diagrams[activeDiagram]?.collapsed || [];
+    subgraphControlsEl.hidden = !subgraphIds.length;
+    collapseAllBtn.disabled = subgraphIds.every((id) => collapsed.includes(id));
+    expandAllBtn.disabled = !view.placeholders.size;
+  }
+  if (!source || diagramStructure?.kind !== 'flowchart') return;
+
+  // The rewrite keeps the other subgraphs in order, so the groups left over
+  // line up with the rendered ones (whose untitled IDs carry other line numbers)
+  const collapsedIds = new Set(view.placeholders.values());
+  const byId = new Map(source.groups.map((group) => [group.id, group]));
+  const hidden = (group) => !!group && (collapsedIds.has(group.id) || hidden(byId.get(group.parent)));
+  const visible = source.groups.filter((group) => !hidden(group));
+  diagramStructure.groups.forEach((group, i) => {
+    if (visible[i]) viewGroupIds.set(group.id, visible[i].id);
+  });
+
+  const unmatched = [...diagramStructure.groups];
+  for (const cluster of lastSvg.querySelectorAll('g.cluster')) {
+    const domId = cluster.dataset.id || cluster.id || '';
+    const title = cluster.querySelector('.cluster-label') || cluster;
+    const text = (title.textContent || '').replace(/\s+/g, ' ').trim();
+    const group = unmatched.find((g) => domId === g.id || domId.endsWith(`-${g.id}`)) ||
+      unmatched.find((g) => g.label === text);
+    if (!group || !viewGroupIds.has(group.id)) continue;
+    unmatched.splice(unmatched.indexOf(group), 1);
+    subgraphClusterEls.set(group.id, cluster);
+    title.classList.add('subgraph-toggle');
+    subgraphClusters.set(title, viewGroupIds.get(group.id));
+  }
+}
+
+// A click on a subgraph title collapses it, one on a placeholder expands it
+function toggleSubgraphAt(el, target) {
+  const title = el.closest && el.closest('.subgraph-toggle');
+  if (title && subgraphClusters.has(title)) {
+    setSubgraphCollapsed(subgraphClusters.get(title), true);
+    return true;
+  }
+  if (target && target.type === 'node' && subgraphPlaceholders.has(target.id)) {
+    setSubgraphCollapsed(subgraphPlaceholders.get(target.id), false);
+    return true;
+  }
+  return false;
+}
+
+// C on the keyboard-selected node: expand a placeholder, else collapse the
+// subgraph around the node
+function toggleSubgraphOfNode(id) {
+  if (subgraphPlaceholders.has(id)) {
+    setSubgraphCollapsed(subgraphPlaceholders.get(id), false);
+    return;
+  }
+  const parent = diagramStructure?.nodes.find((node) => node.id === id)?.parent;
+  if (parent && viewGroupIds.has(parent)) setSubgraphCollapsed(viewGroupIds.get(parent), true);
+  else announce('Not inside a subgraph');
+}
+
+function setSubgraphCollapsed(id, collapse) {
+  const d = diagrams[activeDiagram];
+  if (!d) return;
+  const collapsed = new Set(d.collapsed);
+  if (collapse) collapsed.add(id);
+  else collapsed.delete(id);
+  setCollapsedSubgraphs([...collapsed]);
+}
+
+function setCollapsedSubgraphs(ids) {
+  const d = diagrams[activeDiagram];
+  if (!d) return;
+  d.collapsed = ids;
+  scheduleDraftSave();
+  render();
+}
+
+collapseAllBtn?.addEventListener('click', () => setCollapsedSubgraphs([...subgraphIds]));
+expandAllBtn?.addEventListener('click', () => setCollapsedSubgraphs([]));
+
+// ---------- Trace mode ----------
+// Alt+click a node (or T on the keyboard-selected one) to dim everything but
+// what feeds into it, what depends on it, or both, up to a number of links.
+// Alt+Shift+click (Shift+T) a second node to show the shortest path between
+// the two instead. Graph walks use DiagramStructure, so the same links the
+// outline lists; the highlighted part of a flowchart opens as a new tab.
+
+const TRACE_CONFIG = {
+  TITLES: { up: 'Upstream of', down: 'Downstream of', both: 'Around' }
+};
+
+let trace = null; // { id, direction, depth, to, picking } while tracing
+let traceEls = []; // elements carrying trace classes
+
+function handleTraceClick(id, e) {
+  if (trace && (trace.picking || (e.altKey && e.shiftKey))) {
+    showTracePath(id);
+    return true;
+  }
+  if (!e.altKey) return false;
+  startTrace(id);
+  return true;
+}
+
+function startTrace(id) {
+  if (!diagramStructure || !keyboardTargets.has(id)) return;
+  const last = trace || { direction: 'both', depth: Infinity };
+  trace = { id, direction: last.direction, depth: last.depth, to: null, picking: false };
+  traceBarEl.hidden = false;
+  applyTrace();
+}
+
+function showTracePath(to) {
+  if (!trace) return;
+  trace.picking = false;
+  trace.to = to === trace.id ? null : to;
+  applyTrace();
+}
+
+function stopTrace() {
+  if (!trace) return;
+  trace = null;
+  clearTraceClasses();
+  traceBarEl.hidden = true;
+  announce('Trace off');
+}
+
+function clearTraceClasses() {
+  canvasEl.classList.remove('tracing');
+  for (const el of traceEls) el.classList.remove('trace-dim', 'trace-origin');
+  traceEls = [];
+}
+
+// Highlights live on the SVG; a render without the traced node ends the trace
+function refreshTrace() {
+  if (!trace) return;
+  if (!diagramStructure || !keyboardTargets.has(trace.id)) {
+    stopTrace();
+    return;
+  }
+  if (trace.to && !keyboardTargets.has(trace.to)) trace.to = null;
+  applyTrace();
+}
+
+// { nodes: Set, edges: Set, path } for the current trace; a path is tried
+// both ways round since links only point one way
+function traceSubset() {
+  if (trace.to) {
+    const path = DiagramStructure.shortestPath(diagramStructure, trace.id, trace.to) ||
+      DiagramStructure.shortestPath(diagramStructure, trace.to, trace.id);
+    if (!path) return { nodes: new Set([trace.id, trace.to]), edges: new Set(), path: null };
+    return { nodes: new Set(path.nodes), edges: new Set(path.edges), path };
+  }
+  return DiagramStructure.trace(diagramStructure, trace.id, { direction: trace.direction, depth: trace.depth });
+}
+
+function applyTrace() {
+  clearTraceClasses();
+  const subset = traceSubset();
+  const mark = (el, cls) => {
+    el.classList.add(cls);
+    traceEls.push(el);
+  };
+  for (const [id, target] of keyboardTargets) {
+    for (const el of target.els) {
+      if (!subset.nodes.has(id)) mark(el, 'trace-dim');
+      else if (id === trace.id || id === trace.to) mark(el, 'trace-origin');
+    }
+  }
+  // Rendered links are matched to structure links by endpoints and occurrence
+  const keptLinks = new Set();
+  const seen = new Map();
+  diagramStructure.edges.forEach((edge, index) => {
+    const key = `${edge.from}\u0000${edge.to}`;
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+    if (subset.edges.has(index)) keptLinks.add(`${key}\u0000${occurrence}`);
+  });
+  const labels = linkLabelMap();
+  for (const target of sourceIndex.targets) {
+    if (target.type !== 'edge' || keptLinks.has(`${target.from}\u0000${target.to}\u0000${target.occurrence}`)) continue;
+    for (const el of target.els) {
+      mark(el, 'trace-dim');
+      if (labels.has(el)) mark(labels.get(el), 'trace-dim');
+    }
+  }
+  canvasEl.classList.add('tracing');
+  updateTraceBar(subset);
+}
+
+// Rendered link path -> its label; they are only paired up when every link has one
+function linkLabelMap() {
+  const paths = lastSvg.querySelectorAll(SOURCE_LINK_CONFIG.EDGE_PATHS);
+  const labels = lastSvg.querySelectorAll(SOURCE_LINK_CONFIG.EDGE_LABELS);
+  return labels.length === paths.length ? new Map(Array.from(paths, (path, i) => [path, labels[i]])) : new Map();
+}
+
+function updateTraceBar(subset) {
+  const from = nodeLabel(trace.id);
+  let text;
+  if (trace.picking) {
+    text = `Pick a node for the path from ${from}`;
+  } else if (trace.to) {
+    const to = nodeLabel(trace.to);
+    text = subset.path
+      ? `Path ${nodeLabel(subset.path.nodes[0])} → ${nodeLabel(subset.path.nodes[subset.path.nodes.length - 1])}: ${subset.path.edges.length} link${subset.path.edges.length === 1 ? '' : 's'}`
+      : `No path between ${from} and ${to}`;
+  } else {
+    const others = subset.nodes.size - 1;
+    text = `${TRACE_CONFIG.TITLES[trace.direction]} ${from}: ${others} node${others === 1 ? '' : 's'}`;
+  }
+  traceLabelEl.textContent = text;
+  traceLabelEl.title = text;
+  for (const button of traceBarEl.querySelectorAll('[data-trace]')) {
+    button.setAttribute('aria-pressed', String(!trace.to && button.dataset.trace === trace.direction));
+  }
+  traceDepthSel.value = Number.isFinite(trace.depth) ? String(trace.depth) : '';
+  traceDepthSel.disabled = !!trace.to;
+  tracePathBtn.setAttribute('aria-pressed', String(trace.picking || !!trace.to));
+  const flowchart = diagramStructure.kind === 'flowchart';
+  traceExportBtn.disabled = !flowchart || subset.nodes.size < 2;
+  traceExportBtn.title = flowchart ? 'Open the highlighted part as a new flowchart tab' : 'Only flowcharts can be opened as a smaller diagram';
+  announce(text);
+}
+
+function openTraceAsDiagram() {
+  if (!trace || diagramStructure?.kind !== 'flowchart') return;
+  const subset = traceSubset();
+  const title = trace.to ? `Path ${nodeLabel(trace.id)} → ${nodeLabel(trace.to)}` : `${TRACE_CONFIG.TITLES[trace.direction]} ${nodeLabel(trace.id)}`;
+  const subsetCode = DiagramStructure.flowchartSubset(structureSrc, subset);
+  stopTrace();
+  addDiagramTab({ code: subsetCode, title });
+  setStatus(`Opened “${title}” as a new diagram`);
+}
+
+traceBarEl?.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-trace]');
+  if (!button || !trace) return;
+  trace.direction = button.dataset.trace;
+  trace.to = null;
+  trace.picking = false;
+  applyTrace();
+});
+traceDepthSel?.addEventListener('change', () => {
+  if (!trace) return;
+  trace.depth = traceDepthSel.value ? Number(traceDepthSel.value) : Infinity;
+  applyTrace();
+});
+tracePathBtn?.addEventListener('click', () => {
+  if (!trace) return;
+  if (trace.picking || trace.to) {
+    trace.picking = false;
+    trace.to = null;
+  } else {
+    trace.picking = true;
+  }
+  applyTrace();
+});
+traceExportBtn?.addEventListener('click', openTraceAsDiagram);
+qs('#traceClose')?.addEventListener('click', () => {
+  stopTrace();
+  diagramEl.focus({ preventScroll: true });
+});
+
+// ---------- Visual diff ----------
+// Compare draws the current flowchart and another version of it (pasted, from
+// the clipboard, a revision, another tab or the library) as one diagram in a
+// new tab, marked up by DiagramStructure.flowchartDiff. The tab keeps the list
+// of changes; its panel zooms to each one and exports the result as SVG.
+
+// The diff is built for flowcharts only
+const COMPARE_FLOWCHARTS_ONLY = 'Only flowcharts can be compared — use History for a line diff of other diagrams';
+
+const DIFF_PANEL_CONFIG = {
+  MARKS: { added: '+', removed: '−', changed: '~' },
+  VERBS: { added: 'Added', removed: 'Removed' }
+};
+
+let compareChoices = new Map(); // <option> value -> { code, name } while Compare is open
+let diffFocusEls = []; // elements of the change picked in the panel
+
+async function openCompare() {
+  if (!compareModal) return;
+  storeActiveDiagram();
+  compareChoices = new Map([['paste', { code: '', name: 'Pasted version' }]]);
+  const option = (value, choice) => {
+    compareChoices.set(value, choice);
+    return `<option value="${escapeHtml(value)}">${escapeHtml(choice.name)}</option>`;
+  };
+  const group = (label, options) => (options.length ? `<optgroup label="${escapeHtml(label)}">${options.join('')}</optgroup>` : '');
+
+  const revisions = historyTimeline()
+    .filter((rev) => !rev.current && rev.code !== code)
+    .map((rev) => option(`rev:${rev.id}`, { code: rev.code, name: `${revisionLabel(rev)} · ${new Date(rev.at).toLocaleTimeString()}` }));
+  const tabs = diagrams
+    .map((d, i) => (i === activeDiagram ? '' : option(`tab:${i}`, { code: d.code, name: `Tab ${i + 1}${d.title ? ` · ${d.title}` : ''}` })))
+    .filter(Boolean);
+  let saved = [];
+  try {
+    saved = await listDiagrams();
+  } catch (e) {
+    console.error(e);
+  }
+  const library = saved
+    .filter((entry) => entry.code !== code)
+    .map((entry) => option(`lib:${entry.id}`, { code: entry.code, name: entry.title || 'Untitled' }));
+
+  compareSourceSel.innerHTML = option('paste', compareChoices.get('paste')) +
+    group('Revisions of this diagram', revisions) +
+    group('Other tabs', tabs) +
+    group('Library', library);
+  // The newest revision that differs is the usual "what did I change?"
+  compareSourceSel.value = revisions.length ? compareSourceSel.options[1].value : 'paste';
+  compareHintEl.textContent = sourceLinkKind(detectDiagramType(code)) === 'flowchart' ? '' : COMPARE_FLOWCHARTS_ONLY;
+  updateComparePaste();
+  compareModal.classList.remove('hidden');
+  (compareSourceSel.value === 'paste' ? comparePasteEl : compareSourceSel).focus();
+}
+
+function closeCompare() {
+  compareModal?.classList.add('hidden');
+}
+
+function updateComparePaste() {
+  comparePasteField.hidden = compareSourceSel.value !== 'paste';
+}
+
+async function pasteCompareFromClipboard() {
+  try {
+    // Reading the clipboard is an optional permission, asked for on first use
+    if (chrome?.permissions && !(await chrome.permissions.request({ permissions: ['clipboardRead'] }))) {
+      compareHintEl.textContent = 'Clipboard access was not allowed — paste with Ctrl+V instead';
+      return;
+    }
+    const text = await navigator.clipboard.readText();
+    comparePasteEl.value = stripFences(text.trim());
+    compareHintEl.textContent = text.trim() ? '' : 'The clipboard has no text';
+  } catch (e) {
+    console.error(e);
+    compareHintEl.textContent = 'Could not read the clipboard — paste with Ctrl+V instead';
+  }
+}
+
+function runCompare() {
+  const choice = compareChoices.get(compareSourceSel.value);
+  if (!choice) return;
+  const other = compareSourceSel.value === 'paste' ? stripFences(comparePasteEl.value.trim()) : choice.code;
+  if (!other.trim()) {
+    compareHintEl.textContent = 'Paste the other version first';
+    comparePasteEl.focus();
+    return;
+  }
+  const otherIsOlder = compareOrderSel.value === 'before';
+  const diff = otherIsOlder ? DiagramStructure.flowchartDiff(other, code) : DiagramStructure.flowchartDiff(code, other);
+  if (!diff) {
+    compareHintEl.textContent = COMPARE_FLOWCHARTS_ONLY;
+    return;
+  }
+  if (!diff.changes.length) {
+    compareHintEl.textContent = 'No nodes or links differ';
+    return;
+  }
+  const current = diagrams[activeDiagram].title || 'current';
+  const title = otherIsOlder ? `Changes: ${choice.name} → ${current}` : `Changes: ${current} → ${choice.name}`;
+  closeCompare();
+  addDiagramTab({ code: diff.code, title, diff });
+  setStatus(`Opened “${title}”: ${diff.changes.length} change${diff.changes.length === 1 ? '' : 's'}`);
+}
+
+// Rendered link for a structure link, matched by endpoints and occurrence as in applyTrace
+function edgeTargetAt(index) {
+  const edge = diagramStructure?.edges[index];
+  if (!edge || !sourceIndex) return null;
+  const occurrence = diagramStructure.edges.slice(0, index).filter((e) => e.from === edge.from && e.to === edge.to).length;
+  return sourceIndex.targets.find((t) => t.type === 'edge' && t.from === edge.from && t.to === edge.to && t.occurrence === occurrence) || null;
+}
+
+// Elements of a change in the render; link indexes only hold for the code as compared
+function diffElements(change, edited) {
+  if (!sourceIndex) return [];
+  if (change.kind === 'node') return keyboardTargets.get(change.id)?.els || [];
+  return edited ? [] : edgeTargetAt(change.edge)?.els || [];
+}
+
+function describeChange(change) {
+  const quote = (text) => (text ? `“${text}”` : 'no label');
+  if (change.kind === 'node') {
+    return change.change === 'changed'
+      ? `Node ${quote(change.before)} → ${quote(change.label)}`
+      : `${DIFF_PANEL_CONFIG.VERBS[change.change]} node ${quote(change.label)}`;
+  }
+  const ends = `${nodeLabel(change.from)} → ${nodeLabel(change.to)}`;
+  if (change.change === 'changed') return `Link ${ends}: ${quote(change.before)} → ${quote(change.label)}`;
+  return `${DIFF_PANEL_CONFIG.VERBS[change.change]} link ${ends}${change.label ? ` ${quote(change.label)}` : ''}`;
+}
+
+// Shown for tabs opened by Compare; entries are matched to the render again after each one
+function refreshDiffPanel() {
+  if (!diffPanelEl) return;
+  clearDiffFocus();
+  const d = diagrams[activeDiagram];
+  diffPanelEl.hidden = !d || !d.diff;
+  if (diffPanelEl.hidden) return;
+  const { changes } = d.diff;
+  const edited = d.code !== d.diff.code;
+  const count = (change) => changes.filter((c) => c.change === change).length;
+  const [added, removed, changed] = ['added', 'removed', 'changed'].map(count);
+  diffSummaryEl.innerHTML = `<span class="diff-count-add">+${added}</span> <span class="diff-count-del">−${removed}</span> <span class="diff-count-change">~${changed}</span>`;
+  diffSummaryEl.setAttribute('aria-label', `${added} added, ${removed} removed, ${changed} changed`);
+  diffStaleEl.hidden = !edited;
+  diffListEl.innerHTML = changes.map((change, i) => {
+    const found = diffElements(change, edited).length > 0;
+    return `<li><button type="button" class="diff-item diff-item-${change.change}" data-index="${i}"${found ? '' : ' disabled title="Not in the current render"'}>
+      <span class="diff-mark" aria-hidden="true">${DIFF_PANEL_CONFIG.MARKS[change.change]}</span>
+      <span class="diff-item-text">${escapeHtml(describeChange(change))}</span>
+    </button></li>`;
+  }).join('');
+}
+
+function showDiffChange(index) {
+  const d = diagrams[activeDiagram];
+  const change = d?.diff?.changes[index];
+  const els = change ? diffElements(change, d.code !== d.diff.code) : [];
+  if (!els.length) return;
+  clearDiffFocus();
+  diffFocusEls = els;
+  for (const el of els) el.classList.add('diff-current');
+  diffListEl.querySelector(`[data-index="${index}"]`)?.setAttribute('aria-current', 'true');
+  zoomToElements(els);
+  announce(describeChange(change));
+}
+
+function clearDiffFocus() {
+  for (const el of diffFocusEls) el.classList.remove('diff-current');
+  diffFocusEls = [];
+  diffListEl?.querySelector('[aria-current]')?.removeAttribute('aria-current');
+}
+
+compareBtn?.addEventListener('click', openCompare);
+closeCompareBtn?.addEventListener('click', closeCompare);
+compareModal?.addEventListener('click', (e) => {
+  if (e.target === compareModal) closeCompare();
+});
+compareSourceSel?.addEventListener('change', () => {
+  compareHintEl.textContent = '';
+  updateComparePaste();
+});
+compareClipboardBtn?.addEventListener('click', pasteCompareFromClipboard);
+compareForm?.addEventListener('submit', (e) => {
+  e.preventDefault();
+  runCompare();
+});
+diffListEl?.addEventListener('click', (e) => {
+  const item = e.target.closest('.diff-item');
+  if (item) showDiffChange(Number(item.dataset.index));
+});
+diffToggleBtn?.addEventListener('click', () => {
+  const show = diffListEl.hidden;
+  diffListEl.hidden = !show;
+  const label = show ? 'Hide the list of changes' : 'Show the list of changes';
+  diffToggleBtn.setAttribute('aria-expanded', String(show));
+  diffToggleBtn.classList.toggle('diff-toggle-hidden', !show);
+  diffToggleBtn.setAttribute('aria-label', label);
+  diffToggleBtn.title = label;
+});
+diffExportBtn?.addEventListener('click', () => exportDiagram('svg'));
+
+// ---------- Presentation mode ----------
+// "Present" (or P in the diagram) shows the diagram alone, full screen, and
+// reveals a flowchart or sequence diagram one step at a time: a step per line
+// with links, or per "%% step" comment when the source has them (see
+// DiagramStructure.presentationSteps). Each step can zoom to what it adds,
+// and L turns the mouse pointer into a laser dot.
+
+const PRESENT_CONFIG = {
+  PADDING: 80, // px left around a step when zooming to it
+  MAX_SCALE: 2, // auto-zoom never goes closer than this
+  NEXT_KEYS: ['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter'],
+  PREV_KEYS: ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace']
+};
+
+let presentation = null; // { steps, index, autoZoom, laser, view } while presenting
+let presentEls = []; // elements carrying presentation classes
+
+function startPresentation() {
+  if (presentation || !presentBarEl) return;
+  if (!lastSvg) {
+    setStatus('Nothing to present yet');
+    return;
+  }
+  stopTrace();
+  closeDiagramSearch({ focusDiagram: false });
+  presentation = { steps: [], index: 0, autoZoom: true, laser: false, view: { scale, tx, ty } };
+  appEl.classList.add('presenting');
+  presentBarEl.hidden = false;
+  presentZoomBtn.setAttribute('aria-pressed', 'true');
+  // The side panel may refuse full screen; the diagram still fills the viewer
+  document.documentElement.requestFullscreen?.().catch(() => {});
+  diagramEl.focus({ preventScroll: true });
+  refreshPresentation();
+}
+
+function stopPresentation() {
+  if (!presentation) return;
+  const { view } = presentation;
+  setLaser(false);
+  presentation = null;
+  clearPresentationClasses();
+  appEl.classList.remove('presenting');
+  presentBarEl.hidden = true;
+  if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+  scale = view.scale;
+  tx = view.tx;
+  ty = view.ty;
+  applyTransform();
+  updateMinimap();
+  announce('Presentation ended');
+}
+
+// Steps are worked out again after each render; the presentation keeps its place
+function refreshPresentation() {
+  if (!presentation) return;
+  presentation.steps = (diagramStructure && DiagramStructure.presentationSteps(structureSrc, diagramStructure)) || [];
+  showPresentationStep(presentation.index);
+}
+
+function clearPresentationClasses() {
+  for (const el of presentEls) el.classList.remove('present-hidden', 'present-new');
+  presentEls = [];
+}
+
+function nodeElements(ids) {
+  return ids.flatMap((id) => keyboardTargets.get(id)?.els || []);
+}
+
+// Links of a flowchart (with their labels) or messages of a sequence diagram
+function linkElements(indexes) {
+  const labels = linkLabelMap();
+  return indexes.flatMap((index) => {
+    const target = sourceIndex.kind === 'sequence'
+      ? sourceIndex.targets.find((t) => t.type === 'message' && t.occurrence === index)
+      : edgeTargetAt(index);
+    return (target?.els || []).flatMap((el) => (labels.has(el) ? [el, labels.get(el)] : [el]));
+  });
+}
+
+function stepElements(step) {
+  const clusters = step.groups.map((id) => subgraphClusterEls.get(id)).filter(Boolean);
+  return [...nodeElements(step.nodes), ...linkElements(step.edges), ...clusters];
+}
+
+// What a step zooms to: its nodes and links with the nodes at both ends.
+// Sequence actors run the full height, so there only the messages count.
+function stepFocusElements(step) {
+  if (diagramStructure.kind === 'sequence' && step.edges.length) return linkElements(step.edges);
+  const ends = step.edges.flatMap((index) => [diagramStructure.edges[index].from, diagramStructure.edges[index].to]);
+  return [...nodeElements([...step.nodes, ...ends]), ...linkElements(step.edges)];
+}
+
+function showPresentationStep(index) {
+  const { steps } = presentation;
+  presentation.index = Math.max(0, Math.min(index, steps.length - 1));
+  clearPresentationClasses();
+  const mark = (el, cls) => {
+    el.classList.add(cls);
+    presentEls.push(el);
+  };
+  const step = steps[presentation.index];
+  for (const later of steps.slice(presentation.index + 1)) {
+    for (const el of stepElements(later)) mark(el, 'present-hidden');
+  }
+  if (step && presentation.index > 0) {
+    for (const el of stepElements(step)) mark(el, 'present-new');
+  }
+  const focus = step && steps.length > 1 && presentation.autoZoom ? stepFocusElements(step) : [];
+  if (focus.length) zoomToFit(focus);
+  else fitToView();
+
+  const label = steps.length > 1
+    ? `Step ${presentation.index + 1} of ${steps.length}${step.title ? ` · ${step.title}` : ''}`
+    : 'Whole diagram';
+  presentLabelEl.textContent = label;
+  presentPrevBtn.disabled = presentation.index <= 0;
+  presentNextBtn.disabled = presentation.index >= steps.length - 1;
+  announce(label);
+}
+
+// Zoom so the elements fill the view (up to MAX_SCALE), then center them
+function zoomToFit(els) {
+  const { PADDING, MAX_SCALE } = PRESENT_CONFIG;
+  const view = diagramEl.getBoundingClientRect();
+  let box = elementsBounds(els);
+  const width = box.right - box.left;
+  const height = box.bottom - box.top;
+  if (width > 0 && height > 0) {
+    const fit = Math.min(Math.max(view.width - 2 * PADDING, 40) / width, Math.max(view.height - 2 * PADDING, 40) / height);
+    zoomAtPoint(Math.min(fit, MAX_SCALE / scale), (box.left + box.right) / 2, (box.top + box.bottom) / 2);
+    box = elementsBounds(els);
+  }
+  tx += view.left + view.width / 2 - (box.left + box.right) / 2;
+  ty += view.top + view.height / 2 - (box.top + box.bottom) / 2;
+  applyTransform();
+  updateMinimap();
+}
+
+function setPresentationZoom(on) {
+  presentation.autoZoom = on;
+  presentZoomBtn.setAttribute('aria-pressed', String(on));
+  showPresentationStep(presentation.index);
+}
+
+function setLaser(on) {
+  presentation.laser = on;
+  diagramEl.classList.toggle('laser', on);
+  presentLaserBtn.setAttribute('aria-pressed', String(on));
+  if (!on) laserPointerEl.hidden = true;
+}
+
+// Capturing, so the diagram's own keys (panning, Tab between nodes) stay out of the way
+document.addEventListener('keydown', (e) => {
+  if (!presentation || e.ctrlKey || e.metaKey || e.altKey) return;
+  // Space and Enter still press the bar's buttons
+  if ((e.key === ' ' || e.key === 'Enter') && e.target.closest?.('button')) return;
+  const { NEXT_KEYS, PREV_KEYS } = PRESENT_CONFIG;
+  const key = e.key.toLowerCase();
+  if (NEXT_KEYS.includes(e.key)) showPresentationStep(presentation.index + 1);
+  else if (PREV_KEYS.includes(e.key)) showPresentationStep(presentation.index - 1);
+  else if (e.key === 'Home') showPresentationStep(0);
+  else if (e.key === 'End') showPresentationStep(presentation.steps.length - 1);
+  else if (key === 'z') setPresentationZoom(!presentation.autoZoom);
+  else if (key === 'l') setLaser(!presentation.laser);
+  else if (e.key === 'Escape') stopPresentation();
+  else return;
+  e.preventDefault();
+  e.stopPropagation();
+}, true);
+
+// Leaving full screen (Escape in most browsers) ends the presentation
+document.addEventListener('fullscreenchange', () => {
+  if (!presentation) return;
+  if (document.fullscreenElement) showPresentationStep(presentation.index);
+  else stopPresentation();
+});
+
+diagramEl.addEventListener('pointermove', (e) => {
+  if (!presentation?.laser) return;
+  const rect = diagramEl.getBoundingClientRect();
+  laserPointerEl.hidden = false;
+  laserPointerEl.style.left = `${e.clientX - rect.left}px`;
+  laserPointerEl.style.top = `${e.clientY - rect.top}px`;
+});
+diagramEl.addEventListener('pointerleave', () => {
+  if (laserPointerEl) laserPointerEl.hidden = true;
+});
+
+presentBtn?.addEventListener('click', startPresentation);
+presentPrevBtn?.addEventListener('click', () => showPresentationStep(presentation.index - 1));
+presentNextBtn?.addEventListener('click', () => showPresentationStep(presentation.index + 1));
+presentZoomBtn?.addEventListener('click', () => setPresentationZoom(!presentation.autoZoom));
+presentLaserBtn?.addEventListener('click', () => setLaser(!presentation.laser));
+qs('#presentExit')?.addEventListener('click', stopPresentation);
 
-/**
- * Utility functions for lint analysis
- */
-const LintUtils = {
-  /**
-   * Calculate Levenshtein distance between two strings
-   */
-  levenshteinDistance(str1, str2) {
-    const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(0));
-    
-    // Initialize first row and column
-    for (let i = 0; i <= str2.length; i++) matrix[i][0] = i;
-    for (let j = 0; j <= str1.length; j++) matrix[0][j] = j;
-    
-    // Fill the matrix
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1, // substitution
-            matrix[i][j - 1] + 1,     // insertion
-            matrix[i - 1][j] + 1      // deletion
-          );
-        }
-      }
-    }
-    
-    return matrix[str2.length][str1.length];
-  },
+// ---------- Diagram library ----------
 
-  /**
-   * Create a standardized lint issue object
-   */
-  createIssue(type, line, column, message, suggestion = null, quickFix = null) {
-    return { type, line, column, message, suggestion, quickFix };
-  },
+let libraryEntries = []; // cache of listDiagrams() while the library is open
 
-  /**
-   * Check if a string is a Mermaid keyword
-   */
-  isKeyword(text) {
-    return LINT_CONFIG.MERMAID_KEYWORDS.includes(text);
-  },
+function defaultLibraryTitle(d) {
+  const type = detectDiagramType(d.code) || 'diagram';
+  return d.source && d.source.title ? `${type} — ${d.source.title}` : `Untitled ${type}`;
+}
 
-  /**
-   * Check if two nodes are similar enough to be potential typos
-   */
-  areSimilarNodes(node1, node2) {
-    const { MAX_DISTANCE, MAX_LENGTH_DIFF } = LINT_CONFIG.TYPO_DETECTION;
-    const distance = this.levenshteinDistance(node1.toLowerCase(), node2.toLowerCase());
-    const lengthDiff = Math.abs(node1.length - node2.length);
-    
-    return distance <= MAX_DISTANCE && lengthDiff <= MAX_LENGTH_DIFF;
+async function openLibrary() {
+  if (!libraryModal) return;
+  storeActiveDiagram();
+  const d = diagrams[activeDiagram];
+  librarySaveTitle.value = d.title || defaultLibraryTitle(d);
+  librarySaveTags.value = (d.tags || []).join(', ');
+  librarySaveHint.textContent = d.libraryId ? 'Saving updates the stored copy.' : '';
+  librarySaveNewBtn.hidden = !d.libraryId;
+  libraryModal.classList.remove('hidden');
+  librarySearchEl.focus();
+  await refreshLibraryList();
+}
+
+function closeLibrary() {
+  libraryModal?.classList.add('hidden');
+}
+
+async function refreshLibraryList() {
+  try {
+    libraryEntries = await listDiagrams();
+  } catch (e) {
+    console.error(e);
+    libraryEntries = [];
+    libraryListEl.innerHTML = '<li class="library-empty">The library is unavailable (IndexedDB error — see console).</li>';
+    return;
   }
-};
+  renderLibraryList();
+}
 
-/**
- * Individual analyzers for different types of lint issues
- */
-const LintAnalyzers = {
-  /**
-   * Analyze graph direction declarations
-   */
-  analyzeDirections(lines) {
-    const issues = [];
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      const lineNum = i + 1;
-      
-      if (!line || line.startsWith('%%')) continue;
-      
-      const match = line.match(LINT_CONFIG.PATTERNS.DIRECTION);
-      if (match) {
-        const direction = match[2].toUpperCase();
-        if (!LINT_CONFIG.VALID_DIRECTIONS.includes(direction)) {
-          const column = line.indexOf(match[2]) + 1;
-          const message = `Unknown direction "${direction}". Valid directions are: ${LINT_CONFIG.VALID_DIRECTIONS.join(', ')}`;
-          const suggestion = `Change "${direction}" to one of: ${LINT_CONFIG.VALID_DIRECTIONS.join(', ')}`;
-          
-          issues.push(LintUtils.createIssue(
-            'unknown-direction',
-            lineNum,
-            column,
-            message,
-            suggestion,
-            {
-              type: 'replace',
-              text: direction,
-              replacements: LINT_CONFIG.VALID_DIRECTIONS
-            }
-          ));
-        }
-      }
-    }
-    
-    return issues;
-  },
+function renderLibraryList() {
+  const matches = searchDiagrams(libraryEntries, librarySearchEl.value);
+  libraryCountEl.textContent = `${matches.length} of ${libraryEntries.length}`;
+  if (!matches.length) {
+    libraryListEl.innerHTML = `<li class="library-empty">${libraryEntries.length ? 'No diagrams match this search.' : 'No saved diagrams yet.'}</li>`;
+    return;
+  }
+  libraryListEl.innerHTML = matches.map((entry) => {
+    const tags = (entry.tags || []).map((t) => `<span class="library-tag">#${escapeHtml(t)}</span>`).join(' ');
+    const source = /^https?:/i.test(entry.sourceUrl || '')
+      ? `<a class="library-source" href="${escapeHtml(entry.sourceUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(entry.sourceTitle || entry.sourceUrl)}</a>`
+      : '';
+    return `<li class="library-item" data-id="${escapeHtml(entry.id)}">
+      <div class="library-item-main">
+        <div class="library-item-title">${escapeHtml(entry.title || 'Untitled')}</div>
+        <div class="library-item-meta">
+          ${entry.type ? `<span class="library-type">${escapeHtml(entry.type)}</span>` : ''}
+          ${tags}
+          <span>Updated ${escapeHtml(new Date(entry.updatedAt).toLocaleString())}</span>
+        </div>
+        ${source}
+      </div>
+      <div class="library-item-actions">
+        <button type="button" class="btn" data-action="open">Open</button>
+        <button type="button" class="btn icon-btn" data-action="delete" aria-label="Delete ${escapeHtml(entry.title || 'diagram')}" title="Delete">
+          <svg viewBox="0 0 24 24" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M8 6V4h8v2"/><path d="M19 6l-1 14H6L5 6"/></svg>
+        </button>
+      </div>
+    </li>`;
+  }).join('');
+}
 
-  /**
-   * Analyze subgraph structure for missing end statements
-   */
-  analyzeSubgraphs(lines) {
-    const issues = [];
-    const subgraphStack = [];
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      const lineNum = i + 1;
-      
-      if (!line || line.startsWith('%%')) continue;
-      
-      if (LINT_CONFIG.PATTERNS.SUBGRAPH_START.test(line)) {
-        subgraphStack.push(lineNum);
-      } else if (LINT_CONFIG.PATTERNS.SUBGRAPH_END.test(line)) {
-        if (subgraphStack.length === 0) {
-          issues.push(LintUtils.createIssue(
-            'unexpected-end',
-            lineNum,
-            1,
-            'Unexpected "end" statement - no matching subgraph',
-            'Remove this "end" statement or add a matching subgraph'
-          ));
-        } else {
-          subgraphStack.pop();
-        }
-      }
-    }
-    
-    // Check for unclosed subgraphs
-    for (const startLine of subgraphStack) {
-      issues.push(LintUtils.createIssue(
-        'missing-end',
-        startLine,
-        1,
-        'Subgraph is missing closing "end" statement',
-        'Add "end" statement to close this subgraph',
-        {
-          type: 'add-end',
-          afterLine: lines.length
-        }
-      ));
-    }
-    
-    return issues;
-  },
+async function saveToLibrary({ asNew = false } = {}) {
+  storeActiveDiagram();
+  const d = diagrams[activeDiagram];
+  if (!d.code.trim()) {
+    setStatus('Nothing to save');
+    return;
+  }
+  try {
+    const record = await saveDiagram({
+      id: asNew ? undefined : d.libraryId || undefined,
+      title: librarySaveTitle.value.trim() || defaultLibraryTitle(d),
+      code: d.code,
+      type: detectDiagramType(d.code),
+      tags: parseTags(librarySaveTags.value),
+      theme: themeSel.value,
+      structure: structureSel.value,
+      sourceUrl: d.source ? d.source.url : '',
+      sourceTitle: d.source ? d.source.title : ''
+    });
+    d.libraryId = record.id;
+    d.title = record.title;
+    d.tags = record.tags;
+    d.baseCode = record.code;
+    scheduleDraftSave();
+    librarySaveHint.textContent = 'Saved. Saving again updates the stored copy.';
+    librarySaveNewBtn.hidden = false;
+    renderDiagramTabs();
+    setStatus('Saved to library');
+    await refreshLibraryList();
+  } catch (e) {
+    console.error(e);
+    setStatus('Save failed — see console');
+  }
+}
 
-  /**
-   * Extract all node definitions and references from the code
-   */
-  extractNodes(lines) {
-    const nodes = new Set();
-    const referencedNodes = new Set();
-    
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith('%%')) continue;
-      
-      // Extract explicit node definitions
-      const nodeDefMatch = trimmed.match(LINT_CONFIG.PATTERNS.NODE_DEFINITION);
-      if (nodeDefMatch) {
-        nodes.add(nodeDefMatch[1]);
-      }
-      
-      // Extract all potential node references
-      const allMatches = trimmed.matchAll(LINT_CONFIG.PATTERNS.NODE_REFERENCE);
-      for (const match of allMatches) {
-        const nodeId = match[1];
-        if (!LintUtils.isKeyword(nodeId)) {
-          nodes.add(nodeId);
-        }
-      }
-      
-      // Extract nodes from edge definitions
-      const edgeSourceMatches = trimmed.matchAll(LINT_CONFIG.PATTERNS.EDGE_SOURCE);
-      for (const match of edgeSourceMatches) {
-        referencedNodes.add(match[1]);
-      }
-      
-      const edgeTargetMatches = trimmed.matchAll(LINT_CONFIG.PATTERNS.EDGE_TARGET);
-      for (const match of edgeTargetMatches) {
-        referencedNodes.add(match[1]);
-      }
+// Reopen a saved diagram with the theme and structure it was saved with
+function openLibraryEntry(entry) {
+  applyViewSettings(entry);
+  closeLibrary();
+  const openIndex = diagrams.findIndex((d) => d.libraryId === entry.id);
+  if (openIndex !== -1) {
+    if (openIndex === activeDiagram) {
+      initMermaid(themeSel.value);
+      render();
+    } else {
+      selectDiagram(openIndex);
     }
-    
-    return { nodes, referencedNodes };
-  },
+    return;
+  }
+  addDiagramTab({
+    code: entry.code,
+    title: entry.title,
+    tags: entry.tags,
+    libraryId: entry.id,
+    source: entry.sourceUrl ? { url: entry.sourceUrl, title: entry.sourceTitle || '' } : null
+  });
+}
 
-  /**
-   * Analyze for potential typos in node references
-   */
-  analyzeTypos(lines, nodes, referencedNodes) {
-    const issues = [];
-    const { MIN_NODE_LENGTH } = LINT_CONFIG.TYPO_DETECTION;
-    
-    for (const nodeRef of referencedNodes) {
-      // Skip if node exists, is too short, or is a keyword
-      if (nodes.has(nodeRef) || nodeRef.length < MIN_NODE_LENGTH || LintUtils.isKeyword(nodeRef)) {
-        continue;
-      }
-      
-      // Check for similar existing nodes
-      let isPossibleTypo = false;
-      for (const existingNode of nodes) {
-        if (LintUtils.areSimilarNodes(nodeRef, existingNode)) {
-          isPossibleTypo = true;
-          break;
-        }
-      }
-      
-      if (isPossibleTypo) {
-        // Find the line where this node is referenced
-        const lineIndex = lines.findIndex(line => line.includes(nodeRef));
-        if (lineIndex !== -1) {
-          const line = lines[lineIndex];
-          issues.push(LintUtils.createIssue(
-            'dangling-edge',
-            lineIndex + 1,
-            line.indexOf(nodeRef) + 1,
-            `Node "${nodeRef}" might be a typo - similar to existing nodes`,
-            `Check for typos in node name "${nodeRef}"`,
-            {
-              type: 'define-node',
-              nodeId: nodeRef
-            }
-          ));
-        }
-      }
+async function deleteLibraryEntry(entry) {
+  if (!confirm(`Delete "${entry.title || 'Untitled'}" from the library?`)) return;
+  try {
+    await deleteDiagram(entry.id);
+    for (const d of diagrams) {
+      if (d.libraryId === entry.id) d.libraryId = null;
     }
-    
-    return issues;
+    await refreshLibraryList();
+  } catch (e) {
+    console.error(e);
+    setStatus('Delete failed — see console');
   }
-};
+}
 
-/**
- * Main lint analysis engine
- */
-const MermaidLint = {
-  /**
-   * Analyze Mermaid code and return list of issues
-   */
-  analyze(code) {
-    if (!code || !code.trim()) return [];
-    
-    const lines = code.split(/\r?\n/);
-    const issues = [];
-    
-    // Run individual analyzers
-    issues.push(...LintAnalyzers.analyzeDirections(lines));
-    issues.push(...LintAnalyzers.analyzeSubgraphs(lines));
-    
-    // Extract node information for typo analysis
-    const { nodes, referencedNodes } = LintAnalyzers.extractNodes(lines);
-    issues.push(...LintAnalyzers.analyzeTypos(lines, nodes, referencedNodes));
-    
-    return issues;
-  }
-};
+libraryBtn?.addEventListener('click', openLibrary);
+closeLibraryBtn?.addEventListener('click', closeLibrary);
 
-/**
- * Main analysis function (public API)
- */
-function analyzeMermaidCode(code) {
-  return MermaidLint.analyze(code);
+if (libraryModal) {
+  // Close when clicking outside content
+  libraryModal.addEventListener('click', (e) => {
+    if (e.target === libraryModal) closeLibrary();
+  });
+  librarySaveForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveToLibrary();
+  });
+  librarySaveNewBtn.addEventListener('click', () => saveToLibrary({ asNew: true }));
+  librarySearchEl.addEventListener('input', renderLibraryList);
+  libraryListEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    const item = e.target.closest('.library-item');
+    if (!btn || !item) return;
+    const entry = libraryEntries.find((en) => en.id === item.dataset.id);
+    if (!entry) return;
+    if (btn.dataset.action === 'open') openLibraryEntry(entry);
+    else if (btn.dataset.action === 'delete') deleteLibraryEntry(entry);
+  });
 }
 
 // ========== MERMAID LINT UI SYSTEM ==========
+// The analyzers live in mermaid-lint.mjs; this is the panel that shows their issues.
 
 /**
  * UI configuration and templates
  */
 const LINT_UI_CONFIG = {
-  ISSUE_TYPES: {
-    'dangling-edge': { severity: 'error', icon: 'error' },
-    'unknown-direction': { severity: 'warning', icon: 'warning' },
-    'missing-end': { severity: 'warning', icon: 'warning' },
-    'unexpected-end': { severity: 'warning', icon: 'warning' }
-  },
   EMPTY_MESSAGE: 'No issues found ✓',
   LINE_HEIGHT_APPROX: 18
 };
@@ -740,58 +3576,109 @@ const LintIcons = {
 };
 
 /**
- * Quick fix button generators
+ * Quick fix button generators. Buttons point back at their issue by index in
+ * LintUI.issues; the edit itself comes from QuickFixes (mermaid-lint.mjs).
  */
 const QuickFixGenerators = {
-  replace(issue) {
-    return issue.quickFix.replacements.map(replacement => 
-      `<button class="lint-fix-btn" data-fix-type="replace" data-old-text="${escapeHtml(issue.quickFix.text)}" data-new-text="${escapeHtml(replacement)}" data-line="${issue.line}">
+  replace(issue, index) {
+    return issue.quickFix.replacements.map((replacement, choice) => 
+      `<button class="lint-fix-btn" data-issue="${index}" data-choice="${choice}">
         Fix: Use "${escapeHtml(replacement)}"
       </button>`
     ).join('');
   },
 
-  'add-end'(issue) {
-    return `<button class="lint-fix-btn" data-fix-type="add-end" data-line="${issue.quickFix.afterLine}">
-      Add "end" statement
+  'add-end'(issue, index) {
+    return `<button class="lint-fix-btn" data-issue="${index}">
+      Add "${escapeHtml(issue.quickFix.text || 'end')}" after line ${issue.quickFix.afterLine}
+    </button>`;
+  },
+
+  'remove-line'(issue, index) {
+    return `<button class="lint-fix-btn" data-issue="${index}">
+      Remove line ${issue.quickFix.line}
     </button>`;
   },
 
-  'define-node'(issue) {
-    return `<button class="lint-fix-btn" data-fix-type="define-node" data-node-id="${escapeHtml(issue.quickFix.nodeId)}" data-line="${issue.line}">
-      Define node "${escapeHtml(issue.quickFix.nodeId)}"
+  'insert-line'(issue, index) {
+    return `<button class="lint-fix-btn" data-issue="${index}">
+      Insert "${escapeHtml(issue.quickFix.text.trim())}"
+    </button>`;
+  },
+
+  scaffold(issue, index) {
+    return `<button class="lint-fix-btn" data-issue="${index}">
+      Add "${escapeHtml(issue.quickFix.text.trim())}" after line ${issue.quickFix.afterLine}
     </button>`;
   }
 };
 
 /**
- * Quick fix handlers
+ * Diff preview shown before a quick fix or "Fix all" changes the source
  */
-const QuickFixHandlers = {
-  replace(button, lines) {
-    const line = parseInt(button.getAttribute('data-line')) || 1;
-    const oldText = button.getAttribute('data-old-text');
-    const newText = button.getAttribute('data-new-text');
-    
-    if (line <= lines.length) {
-      lines[line - 1] = lines[line - 1].replace(oldText, newText);
-      return lines;
+const FixPreview = {
+  CONTEXT_LINES: 2,
+  pending: null, // { base, next }: editor text when opened and the fixed text
+
+  open({ title, summary, next }) {
+    if (!fixPreviewModal || !rawEl) return;
+    const base = rawEl.value;
+    if (next === base) {
+      setStatus('Nothing to change');
+      return;
     }
-    return lines;
+    this.pending = { base, next };
+    fixPreviewTitleEl.textContent = title;
+    fixPreviewSummaryEl.textContent = summary;
+    fixPreviewDiffEl.innerHTML = this.diffHTML(base, next);
+    fixPreviewModal.classList.remove('hidden');
+    fixPreviewApplyBtn?.focus();
   },
 
-  'add-end'(button, lines) {
-    lines.push('end');
-    return lines;
+  close() {
+    this.pending = null;
+    fixPreviewModal?.classList.add('hidden');
   },
 
-  'define-node'(button, lines) {
-    const line = parseInt(button.getAttribute('data-line')) || 1;
-    const nodeId = button.getAttribute('data-node-id');
-    const insertIndex = Math.max(0, line - 1);
-    
-    lines.splice(insertIndex, 0, `    ${nodeId}[${nodeId}]`);
-    return lines;
+  isOpen() {
+    return !!fixPreviewModal && !fixPreviewModal.classList.contains('hidden');
+  },
+
+  apply() {
+    const pending = this.pending;
+    this.close();
+    if (!pending) return;
+    // Line numbers of the fix refer to the text it was previewed on
+    if (rawEl.value !== pending.base) {
+      setStatus('The code changed since the preview; run the fix again');
+      return;
+    }
+    // One undo step, like typing; re-analysis follows from the edit
+    replaceEditorCode(pending.next);
+  },
+
+  /**
+   * Unified diff rows of the changed lines with a few lines of context
+   */
+  diffHTML(a, b) {
+    const ops = diffLines(a, b);
+    const near = (i) => ops
+      .slice(Math.max(0, i - this.CONTEXT_LINES), i + this.CONTEXT_LINES + 1)
+      .some((op) => op.type !== 'same');
+    const rows = [];
+    let skipped = false;
+    ops.forEach((op, i) => {
+      if (!near(i)) {
+        skipped = true;
+        return;
+      }
+      if (skipped && rows.length) rows.push('<tr><td class="diff-num"></td><td class="diff-num"></td><td class="diff-text diff-empty">…</td></tr>');
+      skipped = false;
+      const cls = op.type === 'del' ? ' diff-del' : op.type === 'add' ? ' diff-add' : '';
+      const sign = op.type === 'del' ? '−' : op.type === 'add' ? '+' : ' ';
+      rows.push(`<tr><td class="diff-num">${op.aLine || ''}</td><td class="diff-num">${op.bLine || ''}</td><td class="diff-text${cls}">${sign} ${escapeHtml(op.text)}</td></tr>`);
+    });
+    return rows.join('');
   }
 };
 
@@ -799,20 +3686,50 @@ const QuickFixHandlers = {
  * Main lint UI controller
  */
 const LintUI = {
+  issues: [], // issues currently listed; fix buttons refer to them by index
+
   /**
    * Display lint results in the UI
    */
   displayResults(issues) {
     if (!lintResults) return;
     
+    this.issues = issues;
     lintResults.innerHTML = '';
+    this.updateFixAll();
     
     if (issues.length === 0) {
       this.showEmptyState();
       return;
     }
     
-    issues.forEach(issue => this.createIssueElement(issue));
+    issues.forEach((issue, index) => this.createIssueElement(issue, index));
+  },
+
+  /**
+   * "Fix all" is offered while at least one fix has a single outcome
+   */
+  updateFixAll() {
+    if (!lintFixAllBtn) return;
+    const count = this.issues.filter((issue) => QuickFixes.isUnambiguous(issue)).length;
+    lintFixAllBtn.hidden = !count;
+    lintFixAllBtn.textContent = `Fix all (${count})`;
+  },
+
+  /**
+   * Flowchart summary in the panel header (hidden for other diagram types)
+   */
+  displayStats(stats) {
+    if (!lintStatsEl) return;
+    lintStatsEl.hidden = !stats;
+    if (!stats) return;
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const parts = [plural(stats.nodes, 'node'), plural(stats.edges, 'link'), `depth ${stats.depth}`];
+    if (stats.hotspots.length) {
+      parts.push(`fan-out: ${stats.hotspots.map((h) => `${h.id} (${h.fanOut})`).join(', ')}`);
+    }
+    lintStatsEl.textContent = parts.join(' · ');
+    lintStatsEl.title = 'Nodes, links, longest path from an entry node, and nodes with the most outgoing links';
   },
 
   /**
@@ -825,14 +3742,16 @@ const LintUI = {
   /**
    * Create a single issue element
    */
-  createIssueElement(issue) {
+  createIssueElement(issue, index) {
     const issueEl = document.createElement('div');
     issueEl.className = 'lint-issue';
     
-    const config = LINT_UI_CONFIG.ISSUE_TYPES[issue.type] || { icon: 'warning' };
-    const iconSvg = LintIcons[config.icon] || LintIcons.warning;
+    const config = LINT_CONFIG.ISSUE_TYPES[issue.type] || { severity: 'warning' };
+    // Lint issues carry the severity chosen in the settings; parse errors use the default
+    const icon = issue.severity || config.severity;
+    const iconSvg = LintIcons[icon] || LintIcons.warning;
     
-    issueEl.innerHTML = this.buildIssueHTML(issue, config.icon, iconSvg);
+    issueEl.innerHTML = this.buildIssueHTML(issue, icon, iconSvg, index);
     issueEl.addEventListener('click', () => this.jumpToLine(issue));
     
     lintResults.appendChild(issueEl);
@@ -841,13 +3760,21 @@ const LintUI = {
   /**
    * Build HTML for an issue element
    */
-  buildIssueHTML(issue, iconType, iconSvg) {
+  buildIssueHTML(issue, iconType, iconSvg, index) {
     const suggestionHTML = issue.suggestion 
       ? `<div class="lint-suggestion">${escapeHtml(issue.suggestion)}</div>` 
       : '';
     
     const quickFixHTML = issue.quickFix 
-      ? `<div class="lint-actions">${this.buildQuickFixButtons(issue)}</div>` 
+      ? `<div class="lint-actions">${this.buildQuickFixButtons(issue, index)}</div>` 
+      : '';
+
+    const expectedHTML = issue.expected && issue.expected.length
+      ? `<div class="lint-expected">Expected: ${issue.expected.map(t => `<code>${escapeHtml(t)}</code>`).join(' ')}</div>`
+      : '';
+
+    const locationHTML = issue.line
+      ? `<button type="button" class="lint-location lint-jump">Line ${issue.line}, Column ${issue.column}</button>`
       : '';
     
     return `
@@ -856,7 +3783,8 @@ const LintUI = {
       </div>
       <div class="lint-content">
         <div class="lint-message">${escapeHtml(issue.message)}</div>
-        <div class="lint-location">Line ${issue.line}, Column ${issue.column}</div>
+        ${locationHTML}
+        ${expectedHTML}
         ${suggestionHTML}
         ${quickFixHTML}
       </div>
@@ -866,22 +3794,27 @@ const LintUI = {
   /**
    * Build quick fix buttons for an issue
    */
-  buildQuickFixButtons(issue) {
+  buildQuickFixButtons(issue, index) {
     const generator = QuickFixGenerators[issue.quickFix.type];
-    return generator ? generator(issue) : '';
+    return generator ? generator(issue, index) : '';
   },
 
   /**
    * Jump to the line/column of an issue in the editor
    */
   jumpToLine(issue) {
-    if (!rawEl) return;
+    if (!rawEl || !issue.line) return;
+
+    // Reveal the editor if the code panel is collapsed
+    if (document.getElementById('content')?.classList.contains('collapsed')) {
+      toggleCodeBtn?.click();
+    }
     
     const lines = rawEl.value.split('\n');
     let charPos = 0;
     
     // Calculate character position
-    for (let i = 0; i < issue.line - 1; i++) {
+    for (let i = 0; i < issue.line - 1 && i < lines.length; i++) {
       charPos += lines[i].length + 1; // +1 for newline
     }
     charPos += issue.column - 1;
@@ -893,22 +3826,31 @@ const LintUI = {
   },
 
   /**
-   * Apply a quick fix from a button click
+   * Preview the quick fix of a button before applying it
    */
   applyQuickFix(button) {
-    const fixType = button.getAttribute('data-fix-type');
-    const handler = QuickFixHandlers[fixType];
-    
-    if (!handler || !rawEl) return;
-    
-    const lines = rawEl.value.split('\n');
-    const updatedLines = handler(button, lines);
-    
-    // Update the editor and trigger re-analysis
-    rawEl.value = updatedLines.join('\n');
-    code = rawEl.value;
-    scheduleHighlightUpdate();
-    scheduleLintUpdate();
+    const issue = this.issues[Number(button.getAttribute('data-issue'))];
+    if (!issue || !issue.quickFix || !rawEl) return;
+    const choice = Number(button.getAttribute('data-choice')) || 0;
+    FixPreview.open({
+      title: 'Preview fix',
+      summary: `Line ${issue.line}: ${issue.message}`,
+      next: QuickFixes.applyOne(rawEl.value, issue, choice)
+    });
+  },
+
+  /**
+   * Preview every fix with a single outcome, on a fresh analysis of the editor
+   */
+  fixAll() {
+    if (!rawEl) return;
+    const issues = analyzeMermaidCode(rawEl.value);
+    const { code: next, fixed } = QuickFixes.applyAll(rawEl.value, issues);
+    const choices = issues.filter((issue) => issue.quickFix && !QuickFixes.isUnambiguous(issue)).length;
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 'es'}`;
+    let summary = `Applies ${plural(fixed.length, 'fix')}.`;
+    if (choices) summary += ` ${plural(choices, 'fix')} with several options ${choices === 1 ? 'is' : 'are'} left for you to pick in Code Analysis.`;
+    FixPreview.open({ title: 'Fix all', summary, next });
   }
 };
 
@@ -952,7 +3894,10 @@ const LintController = {
     
     const currentCode = rawEl.value || '';
     const issues = analyzeMermaidCode(currentCode);
+    // Mermaid's own parse error (from the last render) always comes first
+    if (parseIssue) issues.unshift(parseIssue);
     displayLintResults(issues);
+    LintUI.displayStats(MermaidLint.summarize(currentCode));
   },
 
   /**
@@ -971,6 +3916,7 @@ const LintController = {
       if (lintCollapsed) {
         lintPanel.classList.add('collapsed');
       }
+      await LintSettingsStore.load();
     } catch (error) {
       console.warn('Failed to initialize lint panel state:', error);
     }
@@ -993,6 +3939,152 @@ const LintController = {
   }
 };
 
+// ========== LINT SETTINGS ==========
+
+/**
+ * LintSettings (mermaid-lint.mjs) persisted in chrome.storage.local under
+ * "lintSettings" in its toStorage() shape
+ */
+const LINT_SETTINGS_KEY = 'lintSettings';
+
+const LintSettingsStore = {
+  async load() {
+    if (typeof chrome === 'undefined' || !chrome.storage) return;
+    try {
+      const { [LINT_SETTINGS_KEY]: stored } = await chrome.storage.local.get(LINT_SETTINGS_KEY);
+      LintSettings.fromStorage(stored);
+    } catch (error) {
+      console.warn('Failed to load lint settings:', error);
+    }
+  },
+
+  async save() {
+    if (typeof chrome === 'undefined' || !chrome.storage) return;
+    try {
+      await chrome.storage.local.set({ [LINT_SETTINGS_KEY]: LintSettings.toStorage() });
+    } catch (error) {
+      console.warn('Failed to save lint settings:', error);
+    }
+  }
+};
+
+/**
+ * Lint settings dialog: typo thresholds and one row per rule
+ */
+const LintSettingsUI = {
+  // Typo input id -> TYPO_DETECTION key
+  TYPO_FIELDS: {
+    typoMaxDistance: 'MAX_DISTANCE',
+    typoMaxLengthDiff: 'MAX_LENGTH_DIFF',
+    typoMinLength: 'MIN_NODE_LENGTH'
+  },
+
+  open() {
+    if (!lintSettingsModal) return;
+    this.render();
+    lintSettingsModal.classList.remove('hidden');
+    qs('#typoMaxDistance')?.focus();
+  },
+
+  close() {
+    lintSettingsModal?.classList.add('hidden');
+  },
+
+  isOpen() {
+    return !!lintSettingsModal && !lintSettingsModal.classList.contains('hidden');
+  },
+
+  render() {
+    const typo = LINT_CONFIG.TYPO_DETECTION;
+    for (const [id, key] of Object.entries(this.TYPO_FIELDS)) {
+      const input = qs(`#${id}`);
+      if (input) input.value = String(typo[key]);
+    }
+    if (typoIgnoreNumberedEl) typoIgnoreNumberedEl.checked = !!typo.IGNORE_NUMBERED;
+    if (lintRulesEl) lintRulesEl.innerHTML = LINT_CONFIG.RULE_GROUPS.map((group) => this.groupHTML(group)).join('');
+  },
+
+  groupHTML({ title, rules }) {
+    const rows = Object.entries(rules).map(([type, description]) => {
+      const enabled = LintSettings.isEnabled(type);
+      const severity = LintSettings.severity(type);
+      const options = LINT_CONFIG.SEVERITIES
+        .map((s) => `<option value="${s}"${s === severity ? ' selected' : ''}>${s}</option>`)
+        .join('');
+      return `<li class="lint-rule${enabled ? '' : ' disabled'}">
+        <label class="lint-rule-toggle">
+          <input type="checkbox" data-rule="${type}"${enabled ? ' checked' : ''}/>
+          <code>${type}</code>
+        </label>
+        <span class="lint-rule-desc">${escapeHtml(description)}</span>
+        <select data-rule="${type}" aria-label="Severity of ${type}"${enabled ? '' : ' disabled'}>${options}</select>
+      </li>`;
+    }).join('');
+    return `<h4>${escapeHtml(title)}</h4><ul class="lint-rule-list">${rows}</ul>`;
+  },
+
+  /**
+   * Store the changed settings and re-lint with them
+   */
+  commit() {
+    LintSettingsStore.save();
+    updateLintResults();
+  },
+
+  onRuleChange(e) {
+    const type = e.target.getAttribute('data-rule');
+    if (!type) return;
+    if (e.target.type === 'checkbox') {
+      LintSettings.setRule(type, { enabled: e.target.checked });
+      const row = e.target.closest('.lint-rule');
+      row?.classList.toggle('disabled', !e.target.checked);
+      const select = row?.querySelector('select');
+      if (select) select.disabled = !e.target.checked;
+    } else {
+      LintSettings.setRule(type, { severity: e.target.value });
+    }
+    this.commit();
+  },
+
+  onTypoChange() {
+    const values = { ...LINT_CONFIG.TYPO_DETECTION };
+    for (const [id, key] of Object.entries(this.TYPO_FIELDS)) {
+      const input = qs(`#${id}`);
+      const n = parseInt(input && input.value, 10);
+      if (Number.isNaN(n)) continue;
+      values[key] = Math.min(Number(input.max) || n, Math.max(Number(input.min) || 0, n));
+    }
+    if (typoIgnoreNumberedEl) values.IGNORE_NUMBERED = typoIgnoreNumberedEl.checked;
+    LintSettings.setTypo(values);
+    this.commit();
+  },
+
+  onReset() {
+    LintSettings.reset();
+    this.render();
+    this.commit();
+  }
+};
+
+lintSettingsBtn?.addEventListener('click', () => LintSettingsUI.open());
+closeLintSettingsBtn?.addEventListener('click', () => LintSettingsUI.close());
+lintSettingsModal?.addEventListener('click', (e) => {
+  if (e.target === lintSettingsModal) LintSettingsUI.close();
+});
+lintRulesEl?.addEventListener('change', (e) => LintSettingsUI.onRuleChange(e));
+lintTypoFieldsEl?.addEventListener('change', () => LintSettingsUI.onTypoChange());
+lintSettingsResetBtn?.addEventListener('click', () => LintSettingsUI.onReset());
+
+// Settings changed in another viewer window
+if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes[LINT_SETTINGS_KEY]) return;
+    LintSettings.fromStorage(changes[LINT_SETTINGS_KEY].newValue);
+    if (LintSettingsUI.isOpen()) LintSettingsUI.render();
+    updateLintResults();
+  });
+}
+
 /**
  * Public API functions for backward compatibility
  */
@@ -1044,7 +4136,8 @@ function escapeHtml(s) {
   return s
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 function highlightMermaidLine(line) {
@@ -1091,15 +4184,19 @@ function highlightMermaidLine(line) {
   return out;
 }
 
-function highlightMermaid(src) {
+function highlightMermaid(src, errorLine = 0) {
   const lines = src.split(/\r?\n/);
-  return lines.map(highlightMermaidLine).join('\n');
+  return lines.map((line, i) => {
+    const html = highlightMermaidLine(line);
+    // Inline marker for the line Mermaid's parser rejected
+    return i + 1 === errorLine ? `<span class="line-error">${html || ' '}</span>` : html;
+  }).join('\n');
 }
 
 function updateHighlight() {
   if (!codeHighlightEl) return;
   const src = rawEl ? rawEl.value : '';
-  codeHighlightEl.innerHTML = highlightMermaid(src || '');
+  codeHighlightEl.innerHTML = highlightMermaid(src || '', parseIssue ? parseIssue.line : 0);
   // Keep overlay scroll in sync after content changes
   syncHighlightScroll();
 }
@@ -1281,6 +4378,8 @@ function getMermaidThemeConfig(val) {
 function setupInteractions() {
   // Zoom with wheel
   diagramEl.addEventListener('wheel', (e) => {
+    // Let overlays such as the repair bar scroll normally
+    if (e.target && e.target.closest && (e.target.closest('.repair-bar') || e.target.closest('#minimap') || e.target.closest('.diagram-search'))) return;
     e.preventDefault();
     const factor = e.deltaY < 0 ? 1.1 : 1/1.1;
     zoomAtPoint(factor, e.clientX, e.clientY);
@@ -1307,7 +4406,7 @@ function setupInteractions() {
   // Pan with mouse drag
   diagramEl.addEventListener('mousedown', (e) => {
     // Ignore if clicking a link inside the SVG
-    if (e.target && e.target.closest && (e.target.closest('a') || e.target.closest('#minimap'))) return;
+    if (e.target && e.target.closest && (e.target.closest('a') || e.target.closest('#minimap') || e.target.closest('.repair-bar') || e.target.closest('.diagram-search'))) return;
     isPanning = true;
     startPan = { x: e.clientX, y: e.clientY, tx, ty };
     diagramEl.style.cursor = 'grabbing';
@@ -1325,6 +4424,7 @@ function setupInteractions() {
   if (minimapEl) {
     minimapEl.addEventListener('mousedown', onMinimapDown);
   }
+  minimapBtn?.addEventListener('click', () => setMinimapVisible(!minimapVisible, { persist: true }));
 
   // System theme listener when in auto
   const mm = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)');
@@ -1365,6 +4465,16 @@ function setupKeyboardShortcuts() {
       return;
     }
 
+    // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z or Ctrl + Y: Redo.
+    // Other text fields (library search, revision name) keep their native undo.
+    const inOtherField = e.target !== rawEl && e.target.closest?.('input, textarea, select, [contenteditable]');
+    if (modKey(e) && !e.altKey && !inOtherField && (e.key === 'z' || e.key === 'Z' || (e.key === 'y' && !isMac))) {
+      e.preventDefault();
+      if (e.key === 'y' || e.shiftKey) redoEdit();
+      else undoEdit();
+      return;
+    }
+
     // Ctrl/Cmd + Enter: Re-render
     if (modKey(e) && e.key === 'Enter') {
       e.preventDefault();
@@ -1374,13 +4484,24 @@ function setupKeyboardShortcuts() {
       return;
     }
 
-    // Ctrl/Cmd + E: Export
+    // Ctrl/Cmd + E: Export in the last-used format
     if (modKey(e) && e.key === 'e') {
       e.preventDefault();
-      exportSVG();
+      exportDiagram();
       return;
     }
 
+    // Ctrl/Cmd + Alt + C / S / M: Copy as PNG / SVG / Markdown source
+    // (matched on e.code: Option changes e.key on macOS)
+    if (modKey(e) && e.altKey) {
+      const copyKeys = { KeyC: 'png', KeyS: 'svg', KeyM: 'source' };
+      if (copyKeys[e.code]) {
+        e.preventDefault();
+        copyDiagram(copyKeys[e.code]);
+        return;
+      }
+    }
+
     // Ctrl/Cmd + B: Toggle code panel
     if (modKey(e) && e.key === 'b') {
       e.preventDefault();
@@ -1413,7 +4534,7 @@ function setupKeyboardShortcuts() {
     // Ctrl/Cmd + S: Save/Export (alias for export)
     if (modKey(e) && e.key === 's') {
       e.preventDefault();
-      exportSVG();
+      exportDiagram();
       return;
     }
 
@@ -1438,6 +4559,36 @@ function setupKeyboardShortcuts() {
         helpModal.classList.add('hidden');
         return;
       }
+      if (libraryModal && !libraryModal.classList.contains('hidden')) {
+        e.preventDefault();
+        closeLibrary();
+        return;
+      }
+      if (historyModal && !historyModal.classList.contains('hidden')) {
+        e.preventDefault();
+        closeHistory();
+        return;
+      }
+      if (compareModal && !compareModal.classList.contains('hidden')) {
+        e.preventDefault();
+        closeCompare();
+        return;
+      }
+      if (FixPreview.isOpen()) {
+        e.preventDefault();
+        FixPreview.close();
+        return;
+      }
+      if (outlineModal && !outlineModal.classList.contains('hidden')) {
+        e.preventDefault();
+        closeOutline();
+        return;
+      }
+      if (LintSettingsUI.isOpen()) {
+        e.preventDefault();
+        LintSettingsUI.close();
+        return;
+      }
       if (e.target === rawEl) {
         e.preventDefault();
         rawEl.blur();
@@ -1489,6 +4640,7 @@ function applyTransform() {
   canvasEl.style.transform = `translate(${rtx}px, ${rty}px)`;
   // Apply zoom inside the SVG to ensure text scales with shapes, even after re-render
   applySvgScale();
+  scheduleDraftSave();
 }
 
 // Ensure zoom is applied inside the SVG content so fonts scale consistently
@@ -1551,43 +4703,95 @@ function fitToView() {
   updateMinimap();
 }
 
+// ----- Minimap -----
+// A scaled copy of the rendered SVG with a rectangle for the visible area.
+// Pans and zooms fire many times per frame, so redraws are batched into one
+// animation frame; the copy itself is only rebuilt when a new SVG is rendered.
 function updateMinimap() {
-  if (!minimapEl || !lastSvg) return;
-  const mmRect = minimapEl.getBoundingClientRect();
-  // Clone SVG content only if source changed
+  if (minimapFrame) return;
+  minimapFrame = requestAnimationFrame(() => {
+    minimapFrame = 0;
+    drawMinimap();
+  });
+}
+
+function drawMinimap() {
+  if (!minimapEl) return;
+  minimapEl.hidden = !minimapVisible || !lastSvg || !lastSvgSize;
+  if (minimapEl.hidden) return;
   if (lastMinimapSource !== lastSvg || !mmContentEl.firstChild) {
-    mmContentEl.innerHTML = '';
-    const clone = lastSvg.cloneNode(true);
-    clone.removeAttribute('width');
-    clone.removeAttribute('height');
-    clone.style.width = `${lastSvgSize.w}px`;
-    clone.style.height = `${lastSvgSize.h}px`;
-    mmContentEl.appendChild(clone);
+    mmContentEl.replaceChildren(minimapCopy(lastSvg));
     lastMinimapSource = lastSvg;
+    mmLayout = null;
+  }
+  const boxW = minimapEl.clientWidth;
+  const boxH = minimapEl.clientHeight;
+  if (!mmLayout || mmLayout.boxW !== boxW || mmLayout.boxH !== boxH) {
+    // Scale to fit the minimap box, centered
+    const mmScale = Math.min(boxW / lastSvgSize.w, boxH / lastSvgSize.h);
+    mmLayout = {
+      scale: mmScale,
+      x: (boxW - lastSvgSize.w * mmScale) / 2,
+      y: (boxH - lastSvgSize.h * mmScale) / 2,
+      boxW,
+      boxH
+    };
+    mmContentEl.style.transformOrigin = '0 0';
+    mmContentEl.style.transform = `translate(${mmLayout.x}px, ${mmLayout.y}px) scale(${mmScale})`;
   }
-  // Scale to fit minimap box
-  const mmScale = Math.min(mmRect.width / lastSvgSize.w, mmRect.height / lastSvgSize.h);
-  mmContentEl.style.transformOrigin = '0 0';
-  mmContentEl.style.transform = `scale(${mmScale})`;
   // Viewport rectangle
-  const viewportW = diagramEl.clientWidth * mmScale / scale;
-  const viewportH = diagramEl.clientHeight * mmScale / scale;
-  const viewportX = (-tx) * mmScale / scale;
-  const viewportY = (-ty) * mmScale / scale;
-  mmViewportEl.style.width = `${viewportW}px`;
-  mmViewportEl.style.height = `${viewportH}px`;
-  mmViewportEl.style.transform = `translate(${viewportX}px, ${viewportY}px)`;
+  const { scale: mmScale, x, y } = mmLayout;
+  mmViewportEl.style.width = `${diagramEl.clientWidth * mmScale / scale}px`;
+  mmViewportEl.style.height = `${diagramEl.clientHeight * mmScale / scale}px`;
+  mmViewportEl.style.transform = `translate(${x - tx * mmScale / scale}px, ${y - ty * mmScale / scale}px)`;
+}
+
+// Unzoomed copy of the diagram. Mermaid scopes its styles to the root SVG's
+// id, so the copy gets its own id with the rules rewritten to match; element
+// ids outside <defs>/<marker> are dropped so lookups still find the original.
+function minimapCopy(svg) {
+  const clone = svg.cloneNode(true);
+  clone.removeAttribute('width');
+  clone.removeAttribute('height');
+  clone.style.width = `${lastSvgSize.w}px`;
+  clone.style.height = `${lastSvgSize.h}px`;
+  clone.querySelector('[data-zoom-wrapper]')?.removeAttribute('transform');
+  for (const el of clone.querySelectorAll('.keyboard-focus, .source-linked')) {
+    el.classList.remove('keyboard-focus', 'source-linked');
+  }
+  for (const el of clone.querySelectorAll('[id]')) {
+    if (!el.closest('defs, marker')) el.removeAttribute('id');
+  }
+  if (svg.id) {
+    clone.id = `${svg.id}-minimap`;
+    for (const style of clone.querySelectorAll('style')) {
+      style.textContent = style.textContent.split(`#${svg.id}`).join(`#${clone.id}`);
+    }
+  }
+  return clone;
+}
+
+function setMinimapVisible(visible, { persist = false } = {}) {
+  minimapVisible = visible;
+  minimapBtn?.setAttribute('aria-pressed', String(visible));
+  minimapBtn?.setAttribute('aria-label', visible ? 'Hide minimap' : 'Show minimap');
+  drawMinimap();
+  if (persist) {
+    try { chrome?.storage?.local?.set({ showMinimap: visible }); } catch (_) {}
+  }
 }
 
 function onMinimapDown(e) {
-  if (!lastSvg || !lastSvgSize) return;
+  if (!lastSvg || !lastSvgSize || e.button !== 0) return;
   e.preventDefault();
   e.stopPropagation();
   mmDragging = true;
+  minimapEl.classList.add('dragging');
   onMinimapMove(e);
   const move = (ev) => onMinimapMove(ev);
   const up = () => {
     mmDragging = false;
+    minimapEl.classList.remove('dragging');
     window.removeEventListener('mousemove', move);
     window.removeEventListener('mouseup', up);
   };
@@ -1596,14 +4800,13 @@ function onMinimapDown(e) {
 }
 
 function onMinimapMove(e) {
-  if (!mmDragging || !lastSvg || !lastSvgSize) return;
+  if (!mmDragging || !lastSvg || !lastSvgSize || !mmLayout) return;
   const mmRect = minimapEl.getBoundingClientRect();
-  const mmScale = Math.min(mmRect.width / lastSvgSize.w, mmRect.height / lastSvgSize.h);
   const x = Math.max(0, Math.min(mmRect.width, e.clientX - mmRect.left));
   const y = Math.max(0, Math.min(mmRect.height, e.clientY - mmRect.top));
   // Convert minimap coords to canvas coords and center viewport there
-  const targetX = x / mmScale;
-  const targetY = y / mmScale;
+  const targetX = (x - mmLayout.x) / mmLayout.scale;
+  const targetY = (y - mmLayout.y) / mmLayout.scale;
   const viewW = diagramEl.clientWidth / scale;
   const viewH = diagramEl.clientHeight / scale;
   tx = - (targetX - viewW / 2) * scale;
@@ -1686,22 +4889,30 @@ async function restoreLayout() {
 }
 
 async function restorePreferences() {
-  let theme, structure, alwaysOnTop;
+  let theme, structure, alwaysOnTop, savedExportPrefs, showMinimap;
   
   if (typeof chrome === 'undefined' || !chrome.storage) {
     theme = 'auto';
     structure = 'default';
     alwaysOnTop = false;
   } else {
-    const data = await chrome.storage.local.get(['theme', 'structure', 'alwaysOnTop']);
+    const data = await chrome.storage.local.get(['theme', 'structure', 'alwaysOnTop', 'exportPrefs', 'showMinimap']);
     theme = data.theme;
     structure = data.structure;
     alwaysOnTop = data.alwaysOnTop;
+    savedExportPrefs = data.exportPrefs;
+    showMinimap = data.showMinimap;
   }
   
   if (theme) themeSel.value = theme;
   if (structure) structureSel.value = structure;
   if (typeof alwaysOnTop === 'boolean') ontopChk.checked = alwaysOnTop;
+  if (typeof showMinimap === 'boolean') setMinimapVisible(showMinimap);
+  if (savedExportPrefs && typeof savedExportPrefs === 'object') {
+    exportPrefs = { ...exportPrefs, ...savedExportPrefs };
+    if (!EXPORT_FORMATS[exportPrefs.format]) exportPrefs.format = 'svg';
+  }
+  syncExportMenu();
   applyAlwaysOnTop();
 }
 
@@ -1730,11 +4941,17 @@ function openRightPopup(url) {
 
 async function storeCurrentCodeAndGetUrl() {
   const id = (crypto && crypto.randomUUID) ? crypto.randomUUID() : `id-${Date.now()}-${Math.random().toString(36).slice(2)}`;
-  const sanitized = normalizeBracketLabelParens(code);
+  storeActiveDiagram();
+  const payload = {
+    diagrams: diagrams.map(toDiagramMeta),
+    active: activeDiagram,
+    theme: themeSel.value,
+    structure: structureSel.value
+  };
   
   try {
     if (chrome?.storage?.session) {
-      await chrome.storage.session.set({ [id]: sanitized });
+      await chrome.storage.session.set({ [id]: payload });
     }
   } catch (_) {}
   